@@ -0,0 +1,122 @@
+/**
+ * @fileOverview Fixture data and event builders shared by the Jest tests.
+ * 
+ * @author Aman Pathak /Abdul Quadir Kotwala / Ashish Singh
+ * @Date: 9th March 2025
+ * @company Salesforce
+ * @copyright Copyright (c) 2025 Salesforce. All rights reserved.
+ */
+
+const ACCOUNT_TYPES = ['Customer - Direct', 'Prospect', 'Partner'];
+const ACCOUNT_RATINGS = ['Hot', 'Warm', 'Cold'];
+
+// Columns of the account fixtures, one per type handled differently by sort, search and export
+export const ACCOUNT_COLUMNS = [
+    { label: 'Account Name', fieldName: 'Name', type: 'text', sortable: true },
+    { label: 'Account Number', fieldName: 'AccountNumber', type: 'text', sortable: true },
+    { label: 'Type', fieldName: 'Type', type: 'text', sortable: true },
+    { label: 'Annual Revenue', fieldName: 'AnnualRevenue', type: 'currency', sortable: true },
+    { label: 'Created Date', fieldName: 'CreatedDate', type: 'date', sortable: true },
+    { label: 'Active', fieldName: 'IsActive', type: 'boolean', sortable: true }
+];
+
+/**
+ * Builds an 18 character record ID.
+ * 
+ * @param {*} index - The number of the record.
+ * @param {*} prefix - The key prefix of the object, 001 for accounts.
+ * 
+ * @returns {string} The record ID.
+ */
+export const buildId = (index, prefix = '001') => {
+    return `${prefix}${String(index).padStart(12, '0')}AAA`;
+}
+
+/**
+ * Builds an account. The values are derived from the index so tests can predict them.
+ * 
+ * @param {*} index - The number of the account.
+ * @param {*} overrides - Field values replacing the generated ones.
+ * 
+ * @returns {Object} The account.
+ */
+export const buildAccount = (index, overrides = {}) => {
+    return {
+        Id: buildId(index),
+        Name: `Account ${index}`,
+        AccountNumber: `ACC-${index}`,
+        Type: ACCOUNT_TYPES[index % ACCOUNT_TYPES.length],
+        Rating: ACCOUNT_RATINGS[index % ACCOUNT_RATINGS.length],
+        AnnualRevenue: (index * 7919) % 100000,
+        CreatedDate: new Date(Date.UTC(2024, 0, 1 + index)).toISOString(),
+        IsActive: index % 2 === 0,
+        Owner: { Name: `Owner ${index % 4}` },
+        ...overrides
+    };
+}
+
+/**
+ * Builds a list of accounts numbered from 1.
+ * 
+ * @param {*} count - The number of accounts.
+ * @param {*} overrides - Field values given to every account, or a function(index) returning them.
+ * 
+ * @returns {Array} The accounts.
+ */
+export const buildAccounts = (count, overrides = {}) => {
+    return Array.from({ length: count }, (_, i) => buildAccount(i + 1, typeof overrides === 'function' ? overrides(i + 1) : overrides));
+}
+
+/**
+ * Builds a page as returned by a pageProvider or RecordTableController.getRecords.
+ * 
+ * @param {*} records - All records.
+ * @param {*} offset - The index of the first record of the page.
+ * @param {*} pageSize - The number of records of the page.
+ * 
+ * @returns {Object} The page with records and totalCount.
+ */
+export const buildPage = (records, offset = 0, pageSize = 15) => {
+    return { records: records.slice(offset, offset + pageSize), totalCount: records.length };
+}
+
+/**
+ * Builds a rowselection event as fired by lightning-datatable.
+ * 
+ * @param {*} action - selectAllRows, deselectAllRows, rowSelect, rowDeselect, selectRows or deselectRows.
+ * @param {*} selectedRows - The rows checked after the action.
+ * @param {*} value - The key of the clicked row, or the keys for selectRows and deselectRows.
+ * 
+ * @returns {Object} The event.
+ */
+export const buildSelectionEvent = (action, selectedRows = [], value) => {
+    return { detail: { config: { action, value }, selectedRows } };
+}
+
+/**
+ * Builds a paste event on a search box.
+ * 
+ * @param {*} text - The text on the clipboard.
+ * @param {*} target - The search box: value, selectionStart and selectionEnd. The cursor is at the end by default.
+ * 
+ * @returns {Object} The event, with clipboardData.setData and preventDefault as mock functions.
+ */
+export const buildPasteEvent = (text, { value = '', selectionStart = value.length, selectionEnd = selectionStart } = {}) => {
+    return {
+        clipboardData: {
+            getData: jest.fn(() => text),
+            setData: jest.fn()
+        },
+        target: { value, selectionStart, selectionEnd },
+        preventDefault: jest.fn()
+    };
+}
+
+/**
+ * Waits for pending promises and timers of zero delay, searches and sorts yield with setTimeout.
+ * 
+ * @returns {Promise} Resolved after the pending work.
+ */
+export const flushPromises = () => {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
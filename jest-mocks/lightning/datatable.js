@@ -0,0 +1,137 @@
+/**
+ * @fileOverview Jest stub of lightning-datatable. It takes the public properties of the real datatable and offers
+ * helpers to fire the events the real datatable fires when the user interacts with it.
+ * 
+ * @author Aman Pathak /Abdul Quadir Kotwala / Ashish Singh
+ * @Date: 9th March 2025
+ * @company Salesforce
+ * @copyright Copyright (c) 2025 Salesforce. All rights reserved.
+ */
+
+import { LightningElement, api } from 'lwc';
+
+export default class Datatable extends LightningElement {
+    @api columns;
+    @api columnWidthsMode;
+    @api data;
+    @api defaultSortDirection;
+    @api draftValues;
+    @api enableInfiniteLoading;
+    @api errors;
+    @api hideCheckboxColumn;
+    @api hideTableHeader;
+    @api isLoading;
+    @api keyField;
+    @api loadMoreOffset;
+    @api maxColumnWidth;
+    @api maxRowSelection;
+    @api minColumnWidth;
+    @api resizeColumnDisabled;
+    @api resizeStep;
+    @api rowNumberOffset;
+    @api selectedRows;
+    @api showRowNumberColumn;
+    @api sortedBy;
+    @api sortedDirection;
+    @api suppressBottomBar;
+    @api wrapTableHeader;
+
+    /**
+     * Returns the keys of the rows, rendered like the rows of the real datatable (data-row-key-value) so tests can focus a cell.
+     * 
+     * @returns {Array} Items with the key.
+     */
+    get rows() {
+        return (this.data || []).map(row => ({ key: String(row[this.keyField]) }));
+    }
+
+    /**
+     * Returns the rows checked in the datatable.
+     * 
+     * @returns {Array} The selected rows of data.
+     */
+    @api getSelectedRows() {
+        const selectedKeys = new Set(this.selectedRows || []);
+        return (this.data || []).filter(row => selectedKeys.has(row[this.keyField]));
+    }
+
+    /**
+     * Fires rowselection like a click on a row checkbox (rowSelect, rowDeselect) or on the header checkbox
+     * (selectAllRows, deselectAllRows). detail.selectedRows holds the rows checked after the click.
+     * 
+     * @param {*} action - The action of the click.
+     * @param {*} value - The key of the clicked row, for rowSelect and rowDeselect.
+     */
+    @api fireRowSelection(action, value) {
+        const rows = this.data || [];
+        const selectedKeys = new Set(this.selectedRows || []);
+        switch (action) {
+            case 'rowSelect':
+                selectedKeys.add(value);
+                break;
+            case 'rowDeselect':
+                selectedKeys.delete(value);
+                break;
+            case 'selectAllRows':
+                rows.forEach(row => selectedKeys.add(row[this.keyField]));
+                break;
+            case 'deselectAllRows':
+                selectedKeys.clear();
+                break;
+            default:
+                break;
+        }
+        this.dispatchEvent(new CustomEvent('rowselection', {
+            detail: {
+                selectedRows: rows.filter(row => selectedKeys.has(row[this.keyField])),
+                config: { action, value }
+            }
+        }));
+    }
+
+    /**
+     * Fires sort like a click on a column header.
+     * 
+     * @param {*} fieldName - The field of the column.
+     * @param {*} sortDirection - asc or desc.
+     */
+    @api fireSort(fieldName, sortDirection = 'asc') {
+        this.dispatchEvent(new CustomEvent('sort', { detail: { fieldName, sortDirection } }));
+    }
+
+    /**
+     * Fires loadmore like a scroll to the end of the rows.
+     */
+    @api fireLoadMore() {
+        this.dispatchEvent(new CustomEvent('loadmore'));
+    }
+
+    /**
+     * Fires rowaction like a click on an item of the row action menu.
+     * 
+     * @param {*} name - The name of the action.
+     * @param {*} row - The row of the menu.
+     */
+    @api fireRowAction(name, row) {
+        this.dispatchEvent(new CustomEvent('rowaction', { detail: { action: { name }, row } }));
+    }
+
+    /**
+     * Fires cellchange like an inline edit of cells.
+     * 
+     * @param {*} draftValues - The edited values, each with the key field of the row.
+     */
+    @api fireCellChange(draftValues) {
+        this.dispatchEvent(new CustomEvent('cellchange', { detail: { draftValues } }));
+    }
+
+    /**
+     * Fires cellchange and save like an inline edit followed by a click on Save.
+     * 
+     * @param {*} draftValues - The edited values, each with the key field of the row.
+     */
+    @api fireSave(draftValues) {
+        this.fireCellChange(draftValues);
+        this.dispatchEvent(new CustomEvent('save', { detail: { draftValues } }));
+    }
+}
@@ -0,0 +1,47 @@
+/**
+ * @fileOverview Jest stub of lightning/empApi. Subscriptions are kept so tests can emit change events with emitMessage.
+ * 
+ * @author Aman Pathak /Abdul Quadir Kotwala / Ashish Singh
+ * @Date: 9th March 2025
+ * @company Salesforce
+ * @copyright Copyright (c) 2025 Salesforce. All rights reserved.
+ */
+
+const callbacks = new Map();
+
+export const subscribe = jest.fn((channel, replayId, onMessageCallback) => {
+    callbacks.set(channel, onMessageCallback);
+    return Promise.resolve({ channel, id: `${channel}-${callbacks.size}` });
+});
+
+export const unsubscribe = jest.fn((subscription, callback) => {
+    callbacks.delete(subscription?.channel);
+    if (callback) {
+        callback({ successful: true });
+    }
+    return Promise.resolve(true);
+});
+
+export const onError = jest.fn();
+export const setDebugFlag = jest.fn();
+export const isEmpEnabled = jest.fn(() => Promise.resolve(true));
+
+/**
+ * Delivers a message to the subscriber of a channel, like a platform or change data capture event.
+ * 
+ * @param {*} channel - The channel, e.g. /data/AccountChangeEvent.
+ * @param {*} message - The message, e.g. { data: { payload: { ChangeEventHeader: { ... } } } }.
+ */
+export const emitMessage = (channel, message) => {
+    const callback = callbacks.get(channel);
+    if (callback) {
+        callback(message);
+    }
+};
+
+/**
+ * Forgets the subscriptions, call it after each test.
+ */
+export const reset = () => {
+    callbacks.clear();
+};
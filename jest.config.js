@@ -0,0 +1,35 @@
+const { jestConfig } = require('@salesforce/sfdx-lwc-jest/config');
+
+module.exports = {
+    ...jestConfig,
+    moduleNameMapper: {
+        // Stubs with helpers to fire the events of the base components, see jest-mocks/
+        '^lightning/datatable$': '<rootDir>/jest-mocks/lightning/datatable',
+        '^lightning/empApi$': '<rootDir>/jest-mocks/lightning/empApi'
+    },
+    testPathIgnorePatterns: ['<rootDir>/node_modules/', '<rootDir>/.localdevserver/'],
+    collectCoverageFrom: ['lwc/**/*.js', '!lwc/**/__tests__/**'],
+    // A few points below the coverage of the suite, so untested code fails the run. Raise them when tests are added
+    coverageThreshold: {
+        global: {
+            statements: 80,
+            branches: 60,
+            functions: 75,
+            lines: 80
+        },
+        // The service holds the selection, sort and search logic every table relies on
+        './lwc/dataTableService/dataTableService.js': {
+            statements: 85,
+            branches: 58,
+            functions: 82,
+            lines: 85
+        },
+        // A broken file only shows when it is opened in Excel
+        './lwc/dataTableService/xlsxBuilder.js': {
+            statements: 100,
+            branches: 100,
+            functions: 100,
+            lines: 100
+        }
+    }
+};
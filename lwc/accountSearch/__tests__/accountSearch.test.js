@@ -1,25 +1,106 @@
 import { createElement } from 'lwc';
 import AccountSearch from 'c/accountSearch';
+import getColumns from '@salesforce/apex/RecordTableController.getColumns';
+import getRecords from '@salesforce/apex/RecordTableController.getRecords';
+import { updateRecord } from 'lightning/uiRecordApi';
+import { buildAccounts, buildPage, flushPromises } from '../../../jest-mocks/fixtures';
+
+jest.mock('@salesforce/apex/RecordTableController.getColumns', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/RecordTableController.getRecords', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('lightning/uiRecordApi', () => ({ updateRecord: jest.fn() }), { virtual: true });
+
+const DESCRIBED_COLUMNS = [
+    { label: 'Account Name', fieldName: 'Name', type: 'text', sortable: true, updateable: true },
+    { label: 'Account Number', fieldName: 'AccountNumber', type: 'text', sortable: true, updateable: true },
+    { label: 'Account Type', fieldName: 'Type', type: 'text', sortable: true, updateable: true },
+    { label: 'Account Phone', fieldName: 'Phone', type: 'phone', sortable: true, updateable: true },
+    { label: 'Account Rating', fieldName: 'Rating', type: 'text', sortable: true, updateable: true }
+];
+
+const ACCOUNTS = buildAccounts(20, index => ({ Phone: `555-01${String(index).padStart(2, '0')}` }));
+
+const createAccountSearch = async () => {
+    const element = createElement('c-account-search', {
+        is: AccountSearch
+    });
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+};
+
+const getTable = element => element.shadowRoot.querySelector('c-advanced-data-table');
 
 describe('c-account-search', () => {
+    beforeEach(() => {
+        getColumns.mockResolvedValue(DESCRIBED_COLUMNS);
+        getRecords.mockImplementation(({ request }) => Promise.resolve(buildPage(ACCOUNTS, request.offsetSize, request.pageSize)));
+    });
+
     afterEach(() => {
         // The jsdom instance is shared across test cases in a single file so reset the DOM
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        jest.clearAllMocks();
+    });
+
+    it('loads the account columns from the field describe and applies the overrides', async () => {
+        const element = await createAccountSearch();
+
+        expect(getColumns).toHaveBeenCalledWith({ objectApiName: 'Account', fieldSetName: undefined, fieldNames: ['Name', 'AccountNumber', 'Type', 'Phone', 'Rating'] });
+        const columns = getTable(element).columns;
+        expect(columns.map(column => column.fieldName)).toEqual(['Name', 'AccountNumber', 'Type', 'Phone', 'Rating']);
+        expect(columns[0]).toMatchObject({ label: 'Account Name', type: 'recordLink', typeAttributes: { objectApiName: 'Account' } });
+        expect(columns[3]).toMatchObject({ editable: true, validation: { max: 40 } });
+        expect(columns[4].type).toBe('badge');
+    });
+
+    it('loads the accounts page by page through the controller', async () => {
+        const element = await createAccountSearch();
+
+        expect(getRecords.mock.calls[0][0].request).toMatchObject({ objectApiName: 'Account', offsetSize: 0, pageSize: 15 });
+
+        const page = await getTable(element).pageProvider({ offset: 15, pageSize: 15, sortBy: [], searchTerms: [], columnFilters: [] });
+
+        expect(getRecords.mock.calls[1][0].request).toMatchObject({ offsetSize: 15, pageSize: 15 });
+        expect(page.records).toHaveLength(5);
+        expect(page.totalCount).toBe(20);
+    });
+
+    it('passes errors of the controller to the table', async () => {
+        getRecords.mockRejectedValue({ body: { message: 'Insufficient access rights' } });
+        const element = await createAccountSearch();
+        await flushPromises();
+
+        expect(getTable(element).shadowRoot.textContent).toContain('Insufficient access rights');
+    });
+
+    it('saves the inline edits and hands the saved values back to the table', async () => {
+        updateRecord.mockResolvedValue({});
+        const element = await createAccountSearch();
+        const draftValues = [{ Id: ACCOUNTS[0].Id, Phone: '555-9999' }];
+        const resolve = jest.fn();
+        const reject = jest.fn();
+
+        getTable(element).dispatchEvent(new CustomEvent('save', { detail: { draftValues, resolve, reject } }));
+        await flushPromises();
+
+        expect(updateRecord).toHaveBeenCalledWith({ fields: { Id: ACCOUNTS[0].Id, Phone: '555-9999' } });
+        expect(resolve).toHaveBeenCalledWith(draftValues);
+        expect(reject).not.toHaveBeenCalled();
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
-        // Arrange
-        const element = createElement('c-account-search', {
-            is: AccountSearch
-        });
+    it('rejects the save when a record cannot be updated', async () => {
+        const error = { body: { message: 'Phone is invalid' } };
+        updateRecord.mockRejectedValue(error);
+        const element = await createAccountSearch();
+        const resolve = jest.fn();
+        const reject = jest.fn();
 
-        // Act
-        document.body.appendChild(element);
+        getTable(element).dispatchEvent(new CustomEvent('save', { detail: { draftValues: [{ Id: ACCOUNTS[0].Id, Phone: 'x' }], resolve, reject } }));
+        await flushPromises();
 
-        // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+        expect(reject).toHaveBeenCalledWith(error);
+        expect(resolve).not.toHaveBeenCalled();
     });
-});
\ No newline at end of file
+});
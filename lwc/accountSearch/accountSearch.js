@@ -1,39 +1,66 @@
-import { LightningElement,wire ,track} from 'lwc';
-import getAccounts from'@salesforce/apex/AccountSearchController.getAccounts';
+import { LightningElement ,track} from 'lwc';
+import { updateRecord } from 'lightning/uiRecordApi';
+import { loadColumns, createRecordProvider } from 'c/recordTableAdapter';
+
+const ACCOUNT_TABLE = {
+    objectApiName: 'Account',
+    fieldNames: ['Name', 'AccountNumber', 'Type', 'Phone', 'Rating']
+};
 
 export default class AccountSearch extends LightningElement {
-    @track accounts;
 	@track error;
 
-    @track preSelections = [];
+    @track preSelections = ['001gL000000R8eEQAS','001gL000000R8eGQAS']; // can be obtained from server
     @track searchableFields=['Name','AccountNumber','Type','Phone','Rating'];
-    @track accountColumns = [
-        {label: 'Account Name', fieldName: 'Name', type: 'text', sortable: true},
-        {label: 'Account Number', fieldName: 'AccountNumber', type: 'text', sortable: true},
-        {label: 'Type', fieldName: 'Type', type: 'text', sortable: true},
-        {label: 'Phone', fieldName: 'Phone', type: 'phone', sortable: true},
-        {label: 'Rating', fieldName: 'Rating', type: 'text', sortable: true}];
-
-    @wire (getAccounts)wiredAccounts({data, error}){
-		if(data) {
-			this.accounts =data;
-			this.error = undefined;
-            const advancedDataTable = this.refs?.dataTableAdvanced;
-            this.preSelections=['001gL000000R8eEQAS','001gL000000R8eGQAS']; // can be obtained from server
-            if(advancedDataTable){
-                advancedDataTable?.preSelection(this.preSelections);
+    @track accountColumns = [];
+
+    recordProvider = createRecordProvider(ACCOUNT_TABLE);
+
+    /**
+     * Loads the accounts page by page through the generic RecordTableController, the table passes its paging,
+     * sort, search and filter state in the request.
+     */
+    accountPageProvider = (request) => {
+        return this.recordProvider(request).then(page => {
+            this.error = undefined;
+            return page;
+        }).catch(error => {
+            this.error = error;
+            throw error;
+        });
+    };
+
+    connectedCallback() {
+        // Labels and types come from the field describe, only Phone is made editable with a validation.
+        // Name links to the account and Rating is shown as a coloured badge.
+        loadColumns({
+            ...ACCOUNT_TABLE,
+            columnOverrides: {
+                Name: { type: 'recordLink', typeAttributes: { objectApiName: 'Account' } },
+                Rating: { type: 'badge', typeAttributes: { variants: { Hot: 'error', Warm: 'warning', Cold: 'lightest' } } },
+                Phone: { editable: true, validation: { pattern: '^[0-9 +().-]*$', max: 40, message: 'Enter a valid phone number' } }
             }
-           
-		}else {
-			this.accounts =undefined;
-			this.error = error;
-		}
-	}
+        }).then(columns => {
+            this.accountColumns = columns;
+        }).catch(error => {
+            this.error = error;
+        });
+    }
 
     handleSelection(event){
 
     }
 
+    /**
+     * Saves the inline edits of the table and hands the saved values back to it.
+     */
+    handleSave(event){
+        const { draftValues, resolve, reject } = event.detail;
+        Promise.all(draftValues.map(draft => updateRecord({ fields: { ...draft } })))
+            .then(() => resolve(draftValues))
+            .catch(error => reject(error));
+    }
+
 
     
-}
\ No newline at end of file
+}
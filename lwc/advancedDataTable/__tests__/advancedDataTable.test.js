@@ -1,25 +1,1534 @@
 import { createElement } from 'lwc';
 import AdvancedDataTable from 'c/advancedDataTable';
+import { registerSa11yMatcher } from '@sa11y/jest';
+import LightningPrompt from 'lightning/prompt';
+import LightningConfirm from 'lightning/confirm';
+import { subscribe, unsubscribe, emitMessage, reset as resetEmpApi } from 'lightning/empApi';
+import { multiSortData } from 'c/dataTableService';
+import { ACCOUNT_COLUMNS, buildId, buildAccounts, buildPage, flushPromises } from '../../../jest-mocks/fixtures';
+
+const COLUMNS = [
+    { label: 'Account Name', fieldName: 'Name', type: 'text', sortable: true },
+    { label: 'Type', fieldName: 'Type', type: 'text', sortable: true }
+];
+
+const ROWS = [
+    { Id: '001000000000001', Name: 'Acme', Type: 'Customer' },
+    { Id: '001000000000002', Name: 'Globex', Type: 'Prospect' },
+    { Id: '001000000000003', Name: 'Initech', Type: 'Customer' }
+];
+
+// Custom labels resolve to their names in Jest, the texts under test are given through the labels property
+const LABELS = {
+    searchLabel: 'Search rows (Alt+Shift+F)',
+    searchResult: "{0} result for '{1}'",
+    searchResults: "{0} results for '{1}'",
+    showingAllRows: 'Showing all {0} rows',
+    selectedTab: 'Selected ({0})',
+    availableTab: 'Available ({0} of {1})',
+    availableTabRemote: 'Available ({0})',
+    clearAll: 'Clear All',
+    cappedCount: '{0}+',
+    allLoadedSelected: 'All {0} loaded rows are selected, {1} rows match.',
+    tabAnnouncement: '{0} tab',
+    sortedBy: 'Sorted by {0}',
+    sortDescending: '{0} descending',
+    selectionLimit: 'You can select up to {0} rows.',
+    rowSelected: '{0} row selected',
+    rowsSelected: '{0} rows selected',
+    views: 'Views',
+    defaultView: '{0} (Default)',
+    fieldRequired: '{0} is required',
+    fieldMinimum: '{0} must be at least {1}',
+    fieldMaximumLength: '{0} must be at most {1} characters',
+    rowErrorsTitle: 'We found an error',
+    saveErrorsRows: 'Fix the errors in {0} rows before saving',
+    saveFailed: 'The changes could not be saved',
+    reconciliationSummary: '{0} of {1} values matched {2} rows',
+    selectAllMatched: 'Select All Matched',
+    copyNotFound: 'Copy Not Found',
+    rowsAddedToSelection: '{0} rows added to the selection',
+    valuesCopied: '{0} values copied',
+    valuesNotCopied: 'The values could not be copied'
+};
+
+const createTable = (rows = ROWS) => {
+    const element = createElement('c-advanced-data-table', {
+        is: AdvancedDataTable
+    });
+    element.columns = COLUMNS;
+    element.tableData = rows;
+    element.labels = LABELS;
+    document.body.appendChild(element);
+    return element;
+};
+
+const getAvailableTable = element => element.shadowRoot.querySelector('c-extended-datatable[data-name="available"]');
+
+// Big tables are searched and sorted in chunks of 5,000 rows, each chunk waits for a timer
+const flushChunks = async () => {
+    for (let i = 0; i < 20; i++) {
+        await flushPromises();
+    }
+};
+
+const typeSearch = (element, value) => {
+    const search = element.shadowRoot.querySelector('lightning-input[data-id="search"]');
+    search.value = value;
+    search.dispatchEvent(new CustomEvent('change'));
+};
+
+const submitSearch = (element, value) => {
+    typeSearch(element, value);
+    element.shadowRoot.querySelector('lightning-input[data-id="search"]').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+};
+
+const getSelectedTable = element => element.shadowRoot.querySelector('c-extended-datatable[data-name="readOnly"]');
+
+const getFieldNames = table => table.columns.map(column => column.fieldName).filter(fieldName => fieldName);
+
+const getExportMenu = element => element.shadowRoot.querySelector('lightning-button-menu[data-id="exportMenu"]');
+
+// Selects an export menu item and returns the files handed to the browser
+const exportFiles = (element, value) => {
+    const blobs = [];
+    URL.createObjectURL = jest.fn(blob => {
+        blobs.push(blob);
+        return 'blob:export';
+    });
+    URL.revokeObjectURL = jest.fn();
+    // jsdom does not navigate to the download link
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    getExportMenu(element).dispatchEvent(new CustomEvent('select', { detail: { value } }));
+    click.mockRestore();
+    return blobs;
+};
+
+// Reads the lines of the CSV file exported by the export menu
+const exportRows = async (element, value) => {
+    const blobs = exportFiles(element, value);
+    const text = await new Promise(resolve => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(blobs[0]);
+    });
+    return text.replace(/^\uFEFF/, '').trim().split(/\r?\n/);
+};
+
+const getAnnouncement = element => element.shadowRoot.querySelector('[data-id="announcer"]').textContent.trim();
 
 describe('c-advanced-data-table', () => {
+    beforeAll(() => {
+        registerSa11yMatcher();
+    });
+
     afterEach(() => {
         // The jsdom instance is shared across test cases in a single file so reset the DOM
         while (document.body.firstChild) {
             document.body.removeChild(document.body.firstChild);
         }
+        resetEmpApi();
+        jest.clearAllMocks();
+    });
+
+    describe('row selection', () => {
+        it('selects a row checked in the datatable and reports it to the parent', async () => {
+            const element = createTable();
+            const handler = jest.fn();
+            element.addEventListener('rowselection', handler);
+            await flushPromises();
+
+            getAvailableTable(element).fireRowSelection('rowSelect', ROWS[1].Id);
+            await flushPromises();
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].detail).toMatchObject({ action: 'rowSelect', recordId: ROWS[1].Id, selectedRows: [ROWS[1].Id], totalSelected: 1 });
+            expect(element.getSelectedIds()).toEqual([ROWS[1].Id]);
+            expect(getAvailableTable(element).selectedRows).toEqual([ROWS[1].Id]);
+        });
+
+        it('selects and deselects all rows from the header checkbox', async () => {
+            const element = createTable();
+            const handler = jest.fn();
+            element.addEventListener('rowselection', handler);
+            await flushPromises();
+
+            getAvailableTable(element).fireRowSelection('selectAllRows');
+            expect(element.getSelectedIds()).toEqual(ROWS.map(row => row.Id));
+
+            getAvailableTable(element).fireRowSelection('deselectAllRows');
+            expect(element.getSelectedIds()).toEqual([]);
+            expect(handler.mock.calls[1][0].detail.deselectedRecords).toHaveLength(ROWS.length);
+        });
+
+        it('deselects a row unchecked in the datatable', async () => {
+            const element = createTable();
+            element.setSelection([ROWS[0].Id, ROWS[2].Id]);
+            await flushPromises();
+
+            getAvailableTable(element).fireRowSelection('rowDeselect', ROWS[0].Id);
+
+            expect(element.getSelectedIds()).toEqual([ROWS[2].Id]);
+        });
+
+        it('blocks selections beyond maxSelection', async () => {
+            const element = createTable();
+            element.maxSelection = 1;
+            const handler = jest.fn();
+            element.addEventListener('rowselection', handler);
+            await flushPromises();
+
+            getAvailableTable(element).fireRowSelection('rowSelect', ROWS[0].Id);
+            getAvailableTable(element).fireRowSelection('rowSelect', ROWS[1].Id);
+            await flushPromises();
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(element.getSelectedIds()).toEqual([ROWS[0].Id]);
+            expect(getAvailableTable(element).selectedRows).toEqual([ROWS[0].Id]);
+        });
+    });
+
+    describe('selection API', () => {
+        it('replaces the selection or adds to it without firing rowselection', async () => {
+            const element = createTable();
+            const handler = jest.fn();
+            element.addEventListener('rowselection', handler);
+            await flushPromises();
+
+            expect(element.setSelection([ROWS[0].Id, ROWS[0].Id])).toBe(true);
+            expect(element.getSelectedIds()).toEqual([ROWS[0].Id]);
+            expect(element.setSelection([ROWS[2].Id], { append: true })).toBe(true);
+            expect(element.getSelectedIds()).toEqual([ROWS[0].Id, ROWS[2].Id]);
+            element.setSelection([ROWS[1].Id]);
+            await flushPromises();
+
+            expect(element.getSelectedIds()).toEqual([ROWS[1].Id]);
+            expect(getAvailableTable(element).selectedRows).toEqual([ROWS[1].Id]);
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('tells whether a row is selected and clears the selection', async () => {
+            const element = createTable();
+            element.selectedIds = [ROWS[0].Id, ROWS[1].Id];
+            await flushPromises();
+
+            expect(element.selectedIds).toEqual([ROWS[0].Id, ROWS[1].Id]);
+            expect(element.isSelected(ROWS[1].Id)).toBe(true);
+            expect(element.isSelected(ROWS[2].Id)).toBe(false);
+
+            element.clearSelection();
+            await flushPromises();
+
+            expect(element.selectedIds).toEqual([]);
+            expect(element.isSelected(ROWS[1].Id)).toBe(false);
+            expect(getAvailableTable(element).selectedRows).toEqual([]);
+        });
+
+        it('returns the selected records in selection order and leaves out rows that are not loaded', async () => {
+            const element = createTable();
+            element.setSelection([ROWS[2].Id, 'notLoaded', ROWS[0].Id]);
+            await flushPromises();
+
+            expect(element.getSelectedRows()).toEqual([ROWS[2], ROWS[0]]);
+            expect(element.getSelectedIds()).toEqual([ROWS[2].Id, 'notLoaded', ROWS[0].Id]);
+        });
+
+        it('selects pre-selected rows once the data arrives', async () => {
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = COLUMNS;
+            document.body.appendChild(element);
+            element.preSelection([ROWS[1].Id]);
+            element.preSelection([ROWS[2].Id]);
+            await flushPromises();
+            expect(element.getSelectedRows()).toEqual([]);
+
+            element.tableData = ROWS;
+            await flushPromises();
+
+            expect(element.getSelectedRows()).toEqual([ROWS[1], ROWS[2]]);
+            expect(getAvailableTable(element).selectedRows).toEqual([ROWS[1].Id, ROWS[2].Id]);
+        });
+
+        it('rejects a selection beyond maxSelection and keeps the current one', async () => {
+            const element = createTable();
+            element.maxSelection = 2;
+            element.setSelection([ROWS[0].Id]);
+
+            expect(element.setSelection(ROWS.map(row => row.Id))).toBe(false);
+            expect(element.setSelection([ROWS[1].Id, ROWS[2].Id], { append: true })).toBe(false);
+            await flushPromises();
+
+            expect(element.getSelectedIds()).toEqual([ROWS[0].Id]);
+            expect(element.shadowRoot.textContent).toContain('You can select up to 2 rows.');
+            expect(element.setSelection([ROWS[1].Id, ROWS[2].Id])).toBe(true);
+        });
+    });
+
+    describe('selected tab', () => {
+        const getTabLabels = element => [...element.shadowRoot.querySelectorAll('lightning-tab')].map(tab => tab.label);
+
+        const searchSelected = async (element, value) => {
+            const search = [...element.shadowRoot.querySelectorAll('lightning-input')].find(input => input.type === 'search');
+            search.value = value;
+            search.dispatchEvent(new CustomEvent('change'));
+            await flushPromises();
+        };
+
+        const getSelectedNames = element => getSelectedTable(element).data.map(row => row.Name);
+
+        it('counts the selected, matching and total rows in the tab labels', async () => {
+            const element = createTable();
+            await flushPromises();
+            expect(getTabLabels(element)).toEqual(['Selected (0)', 'Available (3 of 3)']);
+
+            element.setSelection([ROWS[0].Id, ROWS[1].Id]);
+            submitSearch(element, 'Customer');
+            await flushPromises();
+
+            expect(getTabLabels(element)).toEqual(['Selected (2)', 'Available (2 of 3)']);
+        });
+
+        it('removes a row from the selection and unchecks it in the Available tab', async () => {
+            const element = createTable();
+            const handler = jest.fn();
+            element.addEventListener('rowselection', handler);
+            element.setSelection(ROWS.map(row => row.Id));
+            await flushPromises();
+
+            getSelectedTable(element).fireRowAction('remove', ROWS[1]);
+            await flushPromises();
+
+            expect(element.getSelectedIds()).toEqual([ROWS[0].Id, ROWS[2].Id]);
+            expect(getSelectedNames(element)).toEqual(['Acme', 'Initech']);
+            expect(getAvailableTable(element).selectedRows).toEqual([ROWS[0].Id, ROWS[2].Id]);
+            expect(handler.mock.calls[0][0].detail).toMatchObject({ action: 'removeFromSelection', recordId: ROWS[1].Id, totalSelected: 2 });
+            expect(getTabLabels(element)[0]).toBe('Selected (2)');
+        });
+
+        it('clears the selection, including rows hidden by its search', async () => {
+            const element = createTable();
+            element.setSelection(ROWS.map(row => row.Id));
+            await flushPromises();
+            await searchSelected(element, 'Globex');
+            const clearAll = [...element.shadowRoot.querySelectorAll('lightning-button')].find(button => button.label === 'Clear All');
+            expect(clearAll.disabled).toBe(false);
+
+            clearAll.click();
+            await flushPromises();
+
+            expect(element.getSelectedIds()).toEqual([]);
+            expect(getAvailableTable(element).selectedRows).toEqual([]);
+            expect(getSelectedTable(element).data).toEqual([]);
+            expect(clearAll.disabled).toBe(true);
+        });
+
+        it('searches and sorts the selected rows apart from the Available tab', async () => {
+            const element = createTable();
+            element.setSelection(ROWS.map(row => row.Id));
+            await flushPromises();
+
+            await searchSelected(element, 'Customer');
+            getSelectedTable(element).fireSort('Name', 'desc');
+            await flushPromises();
+
+            expect(getSelectedNames(element)).toEqual(['Initech', 'Acme']);
+            expect(getSelectedTable(element).sortedDirection).toBe('desc');
+            expect(getAvailableTable(element).data.map(row => row.Name)).toEqual(['Acme', 'Globex', 'Initech']);
+            expect(getAvailableTable(element).sortedBy).toBeUndefined();
+
+            getAvailableTable(element).fireRowSelection('rowDeselect', ROWS[0].Id);
+            await flushPromises();
+            expect(getSelectedNames(element)).toEqual(['Initech']);
+
+            getSelectedTable(element).fireRowAction('remove', ROWS[2]);
+            await flushPromises();
+            expect(getSelectedNames(element)).toEqual([]);
+            expect(getAvailableTable(element).selectedRows).toEqual([ROWS[1].Id]);
+        });
+    });
+
+    describe('export', () => {
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('exports every selected row, whatever the search of the Selected tab', async () => {
+            const element = createTable();
+            element.setSelection([ROWS[2].Id, ROWS[0].Id]);
+            await flushPromises();
+            const search = [...element.shadowRoot.querySelectorAll('lightning-input')].find(input => input.type === 'search');
+            search.value = 'Initech';
+            search.dispatchEvent(new CustomEvent('change'));
+            await flushPromises();
+            expect(getSelectedTable(element).data).toHaveLength(1);
+
+            const lines = await exportRows(element, 'csv:selected');
+
+            expect(lines).toEqual(['Account Name,Type', 'Initech,Customer', 'Acme,Customer']);
+        });
+
+        it('exports the searched rows', async () => {
+            const element = createTable();
+            await flushPromises();
+            submitSearch(element, 'Customer');
+            await flushPromises();
+
+            const lines = await exportRows(element, 'csv:filtered');
+
+            expect(lines).toEqual(['Account Name,Type', 'Acme,Customer', 'Initech,Customer']);
+        });
+
+        it('offers no export of all rows in remote mode', async () => {
+            const accounts = buildAccounts(20);
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = COLUMNS;
+            element.pageProvider = request => Promise.resolve(buildPage(accounts, request.offset, request.pageSize));
+            document.body.appendChild(element);
+            await flushPromises();
+
+            const values = [...getExportMenu(element).querySelectorAll('lightning-menu-item')].map(item => item.value);
+
+            expect(values).toEqual(['csv:filtered', 'csv:selected', 'xlsx:filtered', 'xlsx:selected']);
+        });
+
+        it('releases the exported file once the download had time to finish', async () => {
+            const element = createTable();
+            await flushPromises();
+            jest.useFakeTimers();
+
+            exportFiles(element, 'csv:all');
+            jest.advanceTimersByTime(1000);
+            expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+            jest.runOnlyPendingTimers();
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+        });
+    });
+
+    describe('column chooser', () => {
+        const openChooser = async element => {
+            [...element.shadowRoot.querySelectorAll('lightning-button-icon')].find(button => button.iconName === 'utility:settings').click();
+            await flushPromises();
+        };
+
+        const getColumnItem = (element, fieldName) => element.shadowRoot.querySelector(`li.columnItem[data-field-name="${fieldName}"]`);
+
+        const getChooserOrder = element => [...element.shadowRoot.querySelectorAll('li.columnItem')].map(item => item.dataset.fieldName);
+
+        const setColumnVisible = async (element, fieldName, isVisible) => {
+            const checkbox = getColumnItem(element, fieldName).querySelector('lightning-input');
+            checkbox.checked = isVisible;
+            checkbox.dispatchEvent(new CustomEvent('change'));
+            await flushPromises();
+        };
+
+        const fireDragEvent = (target, type) => {
+            const event = new CustomEvent(type, { cancelable: true });
+            event.dataTransfer = {};
+            target.dispatchEvent(event);
+        };
+
+        const EMPLOYEE_COLUMN = { label: 'Employees', fieldName: 'NumberOfEmployees', type: 'number' };
+
+        const createChooserTable = () => {
+            const element = createTable(ROWS.map((row, index) => ({ ...row, NumberOfEmployees: (index + 1) * 10 })));
+            element.columns = [...COLUMNS, EMPLOYEE_COLUMN];
+            return element;
+        };
+
+        it('hides a column in both tables and tells the parent', async () => {
+            const element = createChooserTable();
+            const handler = jest.fn();
+            element.addEventListener('columnschange', handler);
+            await openChooser(element);
+
+            await setColumnVisible(element, 'Type', false);
+
+            expect(getFieldNames(getAvailableTable(element))).toEqual(['Name', 'NumberOfEmployees']);
+            expect(getFieldNames(getSelectedTable(element))).toEqual(['Name', 'NumberOfEmployees']);
+            expect(handler.mock.calls[0][0].detail).toMatchObject({
+                hiddenColumns: ['Type'],
+                columnOrder: ['Name', 'Type', 'NumberOfEmployees'],
+                pinnedColumn: null
+            });
+
+            await setColumnVisible(element, 'Type', true);
+            expect(getFieldNames(getAvailableTable(element))).toEqual(['Name', 'Type', 'NumberOfEmployees']);
+            expect(handler.mock.calls[1][0].detail.hiddenColumns).toEqual([]);
+        });
+
+        it('keeps the last shown column visible', async () => {
+            const element = createTable();
+            await openChooser(element);
+
+            await setColumnVisible(element, 'Type', false);
+
+            expect(getColumnItem(element, 'Name').querySelector('lightning-input').disabled).toBe(true);
+        });
+
+        it('reorders the columns with the arrows and by drag and drop', async () => {
+            const element = createChooserTable();
+            const handler = jest.fn();
+            element.addEventListener('columnschange', handler);
+            await openChooser(element);
+
+            getColumnItem(element, 'NumberOfEmployees').querySelector('lightning-button-icon[data-direction="up"]').click();
+            await flushPromises();
+            expect(getChooserOrder(element)).toEqual(['Name', 'NumberOfEmployees', 'Type']);
+            expect(getFieldNames(getAvailableTable(element))).toEqual(['Name', 'NumberOfEmployees', 'Type']);
+
+            fireDragEvent(getColumnItem(element, 'Type'), 'dragstart');
+            fireDragEvent(getColumnItem(element, 'Name'), 'drop');
+            await flushPromises();
+
+            expect(getFieldNames(getAvailableTable(element))).toEqual(['Type', 'Name', 'NumberOfEmployees']);
+            expect(getFieldNames(getSelectedTable(element))).toEqual(['Type', 'Name', 'NumberOfEmployees']);
+            expect(handler.mock.calls[1][0].detail.columnOrder).toEqual(['Type', 'Name', 'NumberOfEmployees']);
+        });
+
+        it('pins a column first and keeps it shown', async () => {
+            const element = createChooserTable();
+            const handler = jest.fn();
+            element.addEventListener('columnschange', handler);
+            await openChooser(element);
+            await setColumnVisible(element, 'NumberOfEmployees', false);
+
+            getColumnItem(element, 'NumberOfEmployees').querySelector('lightning-button-icon-stateful').click();
+            await flushPromises();
+
+            expect(getFieldNames(getAvailableTable(element))).toEqual(['NumberOfEmployees', 'Name', 'Type']);
+            expect(handler.mock.calls[1][0].detail).toMatchObject({ hiddenColumns: [], pinnedColumn: 'NumberOfEmployees' });
+            expect(getColumnItem(element, 'NumberOfEmployees').querySelector('lightning-input').disabled).toBe(true);
+            expect(getColumnItem(element, 'NumberOfEmployees').querySelector('lightning-button-icon[data-direction="down"]').disabled).toBe(true);
+            expect(getColumnItem(element, 'Name').querySelector('lightning-button-icon[data-direction="up"]').disabled).toBe(true);
+
+            getColumnItem(element, 'NumberOfEmployees').querySelector('lightning-button-icon-stateful').click();
+            await flushPromises();
+            expect(handler.mock.calls[2][0].detail.pinnedColumn).toBeNull();
+        });
+
+        it('leaves hidden columns out of the search', async () => {
+            const element = createChooserTable();
+            await flushPromises();
+            submitSearch(element, 'Customer');
+            await flushPromises();
+            expect(getAvailableTable(element).data.map(row => row.Name)).toEqual(['Acme', 'Initech']);
+
+            await openChooser(element);
+            await setColumnVisible(element, 'Type', false);
+
+            expect(getAvailableTable(element).data).toEqual([]);
+        });
+
+        it('leaves hidden columns out of the export', async () => {
+            const element = createChooserTable();
+            await openChooser(element);
+            await setColumnVisible(element, 'Type', false);
+
+            const lines = await exportRows(element, 'csv:all');
+
+            expect(lines[0]).toBe('Account Name,Employees');
+            expect(lines[1]).toBe('Acme,10');
+        });
+    });
+
+    describe('multi-value search reconciliation', () => {
+        const getPanel = element => element.shadowRoot.querySelector('.reconciliationPanel');
+
+        const getPanelButton = (element, label) => [...getPanel(element).querySelectorAll('lightning-button')].find(button => button.label === label);
+
+        const getStatus = element => getPanel(element).querySelector('p.slds-text-color_weak')?.textContent;
+
+        const searchValues = async element => {
+            await flushPromises();
+            submitSearch(element, 'Acme, globex, Umbrella, Hooli');
+            await flushPromises();
+        };
+
+        afterEach(() => {
+            delete navigator.clipboard;
+        });
+
+        it('shows how the searched values matched the rows', async () => {
+            const element = createTable();
+            await flushPromises();
+            expect(getPanel(element)).toBeNull();
+
+            await searchValues(element);
+
+            expect(getPanel(element).querySelector('.slds-text-title_bold').textContent).toBe('2 of 4 values matched 2 rows');
+            const lists = [...getPanel(element).querySelectorAll('.reconciliationList')].map(list => [...list.querySelectorAll('li')].map(item => item.textContent));
+            expect(lists).toEqual([['Umbrella', 'Hooli'], [], ['Acme: 1', 'globex: 1', 'Umbrella: 0', 'Hooli: 0']]);
+
+            submitSearch(element, 'Acme');
+            await flushPromises();
+            expect(getPanel(element)).toBeNull();
+        });
+
+        it('selects the matched rows', async () => {
+            const element = createTable();
+            const handler = jest.fn();
+            element.addEventListener('rowselection', handler);
+            element.setSelection([ROWS[1].Id]);
+            await searchValues(element);
+
+            getPanelButton(element, 'Select All Matched').click();
+            await flushPromises();
+
+            expect(element.getSelectedIds()).toEqual([ROWS[1].Id, ROWS[0].Id]);
+            expect(handler.mock.calls[0][0].detail).toMatchObject({ action: 'selectMatched', totalSelected: 2 });
+            expect(getStatus(element)).toBe('1 rows added to the selection');
+        });
+
+        it('copies the values that matched no row', async () => {
+            navigator.clipboard = { writeText: jest.fn().mockResolvedValue() };
+            const element = createTable();
+            await searchValues(element);
+
+            getPanelButton(element, 'Copy Not Found').click();
+            await flushPromises();
+
+            expect(navigator.clipboard.writeText).toHaveBeenCalledWith('Umbrella\nHooli');
+            expect(getStatus(element)).toBe('2 values copied');
+        });
+
+        it('tells when the values could not be copied', async () => {
+            const element = createTable();
+            await searchValues(element);
+
+            // No clipboard outside secure contexts
+            getPanelButton(element, 'Copy Not Found').click();
+            await flushPromises();
+            expect(getStatus(element)).toBe('The values could not be copied');
+
+            navigator.clipboard = { writeText: jest.fn().mockRejectedValue(new Error('Not allowed')) };
+            await searchValues(element);
+            expect(getStatus(element)).toBeUndefined();
+            getPanelButton(element, 'Copy Not Found').click();
+            await flushPromises();
+            expect(getStatus(element)).toBe('The values could not be copied');
+        });
+
+        it('closes the panel', async () => {
+            const element = createTable();
+            await searchValues(element);
+
+            getPanel(element).querySelector('lightning-button-icon').click();
+            await flushPromises();
+
+            expect(getPanel(element)).toBeNull();
+        });
+    });
+
+    describe('inline editing', () => {
+        const EDIT_COLUMNS = [
+            { label: 'Account Name', fieldName: 'Name', type: 'text', sortable: true, editable: true, validation: { required: true, max: 20 } },
+            { label: 'Phone', fieldName: 'Phone', type: 'phone', editable: true, validation: { pattern: '^[0-9 +()-]*$', message: 'Enter a valid phone number' } },
+            { label: 'Employees', fieldName: 'NumberOfEmployees', type: 'number', editable: true, validation: { min: 1 } },
+            {
+                label: 'Type',
+                fieldName: 'Type',
+                type: 'text',
+                editable: true,
+                validation: { validator: (value, row) => (value === 'Partner' && !row.Phone ? 'Partners need a phone number' : undefined) }
+            }
+        ];
+
+        const createEditTable = (rows = buildAccounts(20)) => {
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = EDIT_COLUMNS;
+            element.tableData = rows;
+            element.labels = LABELS;
+            document.body.appendChild(element);
+            return element;
+        };
+
+        const getUndoButton = element => [...element.shadowRoot.querySelectorAll('lightning-button')].find(button => button.iconName === 'utility:undo');
+
+        it('keeps the drafts when more rows are loaded, the rows are searched or sorted', async () => {
+            const element = createEditTable();
+            await flushPromises();
+            getAvailableTable(element).fireCellChange([{ Id: buildId(2), Name: 'Account 2 edited' }]);
+            await flushPromises();
+
+            getAvailableTable(element).fireLoadMore();
+            await flushPromises();
+            getAvailableTable(element).fireCellChange([{ Id: buildId(18), Phone: '555 0100' }]);
+            await flushPromises();
+            expect(getAvailableTable(element).draftValues).toEqual([{ Id: buildId(2), Name: 'Account 2 edited' }, { Id: buildId(18), Phone: '555 0100' }]);
+
+            submitSearch(element, 'Account 18');
+            await flushPromises();
+            expect(getAvailableTable(element).data.map(row => row.Id)).toEqual([buildId(18)]);
+            expect(getAvailableTable(element).draftValues).toHaveLength(2);
+
+            submitSearch(element, '');
+            getAvailableTable(element).fireSort('Name', 'desc');
+            await flushPromises();
+            expect(getAvailableTable(element).sortedDirection).toBe('desc');
+            expect(getAvailableTable(element).draftValues).toEqual([{ Id: buildId(2), Name: 'Account 2 edited' }, { Id: buildId(18), Phone: '555 0100' }]);
+        });
+
+        it('passes the errors of the validation rules to the datatable', async () => {
+            const element = createEditTable();
+            await flushPromises();
+
+            getAvailableTable(element).fireCellChange([
+                { Id: buildId(1), Name: '' },
+                { Id: buildId(2), Name: 'A name longer than twenty characters', Phone: 'call me' },
+                { Id: buildId(3), NumberOfEmployees: '0' },
+                { Id: buildId(4), Type: 'Partner' },
+                { Id: buildId(5), Name: 'Valid name', Phone: '555 0100', Type: 'Partner' }
+            ]);
+            await flushPromises();
+
+            const { rows, table } = getAvailableTable(element).errors;
+            expect(rows[buildId(1)]).toEqual({ title: 'We found an error', messages: ['Account Name is required'], fieldNames: ['Name'] });
+            expect(rows[buildId(2)]).toMatchObject({
+                messages: ['Account Name must be at most 20 characters', 'Enter a valid phone number'],
+                fieldNames: ['Name', 'Phone']
+            });
+            expect(rows[buildId(3)]).toMatchObject({ messages: ['Employees must be at least 1'], fieldNames: ['NumberOfEmployees'] });
+            expect(rows[buildId(4)]).toMatchObject({ messages: ['Partners need a phone number'], fieldNames: ['Type'] });
+            expect(rows[buildId(5)]).toBeUndefined();
+            expect(table.title).toBe('Fix the errors in 4 rows before saving');
+        });
+
+        it('does not ask the parent to save invalid drafts', async () => {
+            const element = createEditTable();
+            const handler = jest.fn();
+            element.addEventListener('save', handler);
+            await flushPromises();
+
+            getAvailableTable(element).fireSave([{ Id: buildId(1), Name: '' }]);
+            await flushPromises();
+
+            expect(handler).not.toHaveBeenCalled();
+            expect(getAvailableTable(element).errors.rows[buildId(1)]).toBeDefined();
+        });
+
+        it('applies the records the parent saved and clears the drafts', async () => {
+            const element = createEditTable();
+            element.addEventListener('save', event => {
+                event.detail.resolve(event.detail.changedRows.map(row => ({ ...row, Name: `${row.Name} (saved)` })));
+            });
+            await flushPromises();
+
+            getAvailableTable(element).fireSave([{ Id: buildId(1), Name: 'Renamed' }]);
+            await flushPromises();
+
+            expect(getAvailableTable(element).draftValues).toEqual([]);
+            expect(getAvailableTable(element).errors).toBeNull();
+            expect(getAvailableTable(element).data[0]).toMatchObject({ Id: buildId(1), Name: 'Renamed (saved)' });
+            expect(getUndoButton(element)).toBeUndefined();
+        });
+
+        it('keeps the drafts and shows the errors when the parent rejects the save', async () => {
+            const element = createEditTable();
+            const rowErrors = { rows: { [buildId(1)]: { title: 'We found an error', messages: ['Duplicate name'], fieldNames: ['Name'] } } };
+            let rejection = rowErrors;
+            element.addEventListener('save', event => event.detail.reject(rejection));
+            await flushPromises();
+
+            getAvailableTable(element).fireSave([{ Id: buildId(1), Name: 'Account 2' }]);
+            await flushPromises();
+            expect(getAvailableTable(element).errors).toEqual({ rows: rowErrors.rows, table: {} });
+            expect(getAvailableTable(element).draftValues).toEqual([{ Id: buildId(1), Name: 'Account 2' }]);
+
+            rejection = new Error('Server unavailable');
+            getAvailableTable(element).fireSave([]);
+            await flushPromises();
+            expect(getAvailableTable(element).errors).toEqual({ rows: {}, table: { title: 'The changes could not be saved', messages: ['Server unavailable'] } });
+            expect(getAvailableTable(element).draftValues).toEqual([{ Id: buildId(1), Name: 'Account 2' }]);
+        });
+
+        it('undoes the last edit', async () => {
+            const element = createEditTable();
+            await flushPromises();
+            expect(getUndoButton(element)).toBeUndefined();
+
+            getAvailableTable(element).fireCellChange([{ Id: buildId(1), Name: 'First edit' }]);
+            getAvailableTable(element).fireCellChange([{ Id: buildId(1), Name: '' }]);
+            await flushPromises();
+            expect(getAvailableTable(element).errors).not.toBeNull();
+
+            getUndoButton(element).click();
+            await flushPromises();
+            expect(getAvailableTable(element).draftValues).toEqual([{ Id: buildId(1), Name: 'First edit' }]);
+            expect(getAvailableTable(element).errors).toBeNull();
+
+            getUndoButton(element).click();
+            await flushPromises();
+            expect(getAvailableTable(element).draftValues).toEqual([]);
+            expect(getUndoButton(element)).toBeUndefined();
+        });
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
-        // Arrange
-        const element = createElement('c-advanced-data-table', {
-            is: AdvancedDataTable
+    describe('saved views', () => {
+        const STORAGE_KEY = 'advancedDataTable.views.accounts';
+        const CUSTOMERS_VIEW = { id: 'view-1', name: 'Customers', state: { searchValue: 'Customer', sortBy: [{ fieldName: 'Name', direction: 'desc' }] } };
+        const PROSPECTS_VIEW = { id: 'view-2', name: 'Prospects', state: { searchValue: 'Prospect' } };
+
+        const createViewTable = () => {
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = COLUMNS;
+            element.tableData = ROWS;
+            element.labels = LABELS;
+            element.tableName = 'accounts';
+            document.body.appendChild(element);
+            return element;
+        };
+
+        const getViewMenu = element => element.shadowRoot.querySelector('lightning-button-menu[data-id="viewMenu"]');
+
+        const selectViewMenu = async (element, value) => {
+            getViewMenu(element).dispatchEvent(new CustomEvent('select', { detail: { value } }));
+            await flushPromises();
+        };
+
+        const getStoredViews = () => JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+
+        const getShownNames = element => getAvailableTable(element).data.map(row => row.Name);
+
+        afterEach(() => {
+            window.localStorage.clear();
+            jest.restoreAllMocks();
+        });
+
+        it('saves the search and sort as a new view', async () => {
+            jest.spyOn(LightningPrompt, 'open').mockResolvedValue(' Customers ');
+            const element = createViewTable();
+            await flushPromises();
+            submitSearch(element, 'Customer');
+            getAvailableTable(element).fireSort('Name', 'desc');
+            await flushPromises();
+
+            await selectViewMenu(element, 'saveAs');
+
+            const { views, defaultViewId } = getStoredViews();
+            expect(views).toHaveLength(1);
+            expect(views[0]).toMatchObject({ name: 'Customers', state: { searchValue: 'Customer', sortBy: [{ fieldName: 'Name', direction: 'desc' }] } });
+            expect(defaultViewId).toBeNull();
+            expect(getViewMenu(element).label).toBe('Customers');
+        });
+
+        it('overwrites the active view on save', async () => {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ views: [CUSTOMERS_VIEW], defaultViewId: null }));
+            const element = createViewTable();
+            await flushPromises();
+            await selectViewMenu(element, 'view:view-1');
+
+            submitSearch(element, 'Acme');
+            await flushPromises();
+            await selectViewMenu(element, 'save');
+
+            const { views } = getStoredViews();
+            expect(views).toHaveLength(1);
+            expect(views[0]).toMatchObject({ id: 'view-1', name: 'Customers', state: { searchValue: 'Acme' } });
+        });
+
+        it('switches between views', async () => {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ views: [CUSTOMERS_VIEW, PROSPECTS_VIEW], defaultViewId: null }));
+            const element = createViewTable();
+            await flushPromises();
+
+            await selectViewMenu(element, 'view:view-1');
+            expect(getShownNames(element)).toEqual(['Initech', 'Acme']);
+            expect(getAvailableTable(element).sortedBy).toBe('Name');
+
+            await selectViewMenu(element, 'view:view-2');
+            expect(getShownNames(element)).toEqual(['Globex']);
+            expect(getViewMenu(element).label).toBe('Prospects');
+            expect(element.shadowRoot.querySelector('lightning-input[data-id="search"]').value).toBe('Prospect');
+        });
+
+        it('renames the active view', async () => {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ views: [CUSTOMERS_VIEW], defaultViewId: null }));
+            const prompt = jest.spyOn(LightningPrompt, 'open').mockResolvedValue('Key Customers');
+            const element = createViewTable();
+            await flushPromises();
+            await selectViewMenu(element, 'view:view-1');
+
+            await selectViewMenu(element, 'rename');
+
+            expect(prompt.mock.calls[0][0].defaultValue).toBe('Customers');
+            expect(getStoredViews().views[0]).toMatchObject({ id: 'view-1', name: 'Key Customers' });
+            expect(getViewMenu(element).label).toBe('Key Customers');
+        });
+
+        it('deletes the active view once confirmed and keeps the table as it is', async () => {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ views: [CUSTOMERS_VIEW, PROSPECTS_VIEW], defaultViewId: 'view-1' }));
+            const confirm = jest.spyOn(LightningConfirm, 'open').mockResolvedValueOnce(false).mockResolvedValueOnce(true);
+            const element = createViewTable();
+            await flushPromises();
+
+            await selectViewMenu(element, 'delete');
+            expect(getStoredViews().views).toHaveLength(2);
+
+            await selectViewMenu(element, 'delete');
+
+            expect(confirm).toHaveBeenCalledTimes(2);
+            expect(getStoredViews()).toEqual({ views: [PROSPECTS_VIEW], defaultViewId: null });
+            expect(getViewMenu(element).label).toBe('Views');
+            expect(getShownNames(element)).toEqual(['Initech', 'Acme']);
+        });
+
+        it('restores the default view when the table loads', async () => {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ views: [CUSTOMERS_VIEW, PROSPECTS_VIEW], defaultViewId: 'view-2' }));
+            const element = createViewTable();
+            await flushPromises();
+
+            expect(getShownNames(element)).toEqual(['Globex']);
+            expect(getViewMenu(element).label).toBe('Prospects');
+        });
+
+        it('sets and removes the default view', async () => {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ views: [CUSTOMERS_VIEW], defaultViewId: null }));
+            const element = createViewTable();
+            await flushPromises();
+            await selectViewMenu(element, 'view:view-1');
+
+            await selectViewMenu(element, 'default');
+            expect(getStoredViews().defaultViewId).toBe('view-1');
+            const menuItems = [...element.shadowRoot.querySelectorAll('lightning-menu-item')].map(item => item.label);
+            expect(menuItems).toContain('Customers (Default)');
+
+            await selectViewMenu(element, 'default');
+            expect(getStoredViews().defaultViewId).toBeNull();
+        });
+
+        it('stores the views through a custom viewStorageAdapter', async () => {
+            jest.spyOn(LightningPrompt, 'open').mockResolvedValue('Prospects');
+            const viewStorageAdapter = {
+                loadViews: jest.fn().mockResolvedValue({ views: [CUSTOMERS_VIEW], defaultViewId: 'view-1' }),
+                saveViews: jest.fn().mockResolvedValue()
+            };
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = COLUMNS;
+            element.tableData = ROWS;
+            element.tableName = 'accounts';
+            element.viewStorageAdapter = viewStorageAdapter;
+            document.body.appendChild(element);
+            await flushPromises();
+
+            expect(viewStorageAdapter.loadViews).toHaveBeenCalledWith('accounts');
+            expect(getShownNames(element)).toEqual(['Initech', 'Acme']);
+
+            await selectViewMenu(element, 'saveAs');
+
+            const [tableName, { views }] = viewStorageAdapter.saveViews.mock.calls[0];
+            expect(tableName).toBe('accounts');
+            expect(views.map(view => view.name)).toEqual(['Customers', 'Prospects']);
+            expect(window.localStorage.getItem(STORAGE_KEY)).toBeNull();
+        });
+
+        it('loads no views from a corrupt entry and replaces it on save', async () => {
+            window.localStorage.setItem(STORAGE_KEY, '{"views": [');
+            jest.spyOn(LightningPrompt, 'open').mockResolvedValue('Customers');
+            const element = createViewTable();
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelector('p.slds-text-color_error')).toBeNull();
+            expect(getShownNames(element)).toEqual(['Acme', 'Globex', 'Initech']);
+
+            await selectViewMenu(element, 'saveAs');
+
+            expect(getStoredViews().views.map(view => view.name)).toEqual(['Customers']);
+        });
+    });
+
+    describe('sorting and loading', () => {
+        it('sorts the rows by the clicked column', async () => {
+            const element = createTable();
+            await flushPromises();
+
+            getAvailableTable(element).fireSort('Name', 'desc');
+            await flushPromises();
+            await flushPromises();
+
+            const table = getAvailableTable(element);
+            expect(table.sortedBy).toBe('Name');
+            expect(table.sortedDirection).toBe('desc');
+            expect(table.data.map(row => row.Name)).toEqual(['Initech', 'Globex', 'Acme']);
+        });
+
+        it('shows the next rows when the datatable asks for more', async () => {
+            const element = createTable(buildAccounts(20));
+            await flushPromises();
+            expect(getAvailableTable(element).data).toHaveLength(15);
+
+            getAvailableTable(element).fireLoadMore();
+            await flushPromises();
+
+            expect(getAvailableTable(element).data).toHaveLength(20);
+        });
+
+        it('loads pages from the data provider', async () => {
+            const accounts = buildAccounts(20);
+            const pageProvider = jest.fn(request => Promise.resolve(buildPage(accounts, request.offset, request.pageSize)));
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = ACCOUNT_COLUMNS;
+            element.pageProvider = pageProvider;
+            element.labels = LABELS;
+            document.body.appendChild(element);
+            await flushPromises();
+
+            expect(pageProvider.mock.calls[0][0]).toMatchObject({ offset: 0, pageSize: 15 });
+            expect(getAvailableTable(element).data).toHaveLength(15);
+
+            getAvailableTable(element).fireLoadMore();
+            await flushPromises();
+
+            expect(pageProvider.mock.calls[1][0]).toMatchObject({ offset: 15, pageSize: 15 });
+            expect(getAvailableTable(element).data).toHaveLength(20);
+        });
+
+        it('tells how many matching records are left out when selecting the loaded rows', async () => {
+            const accounts = buildAccounts(40);
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = ACCOUNT_COLUMNS;
+            element.pageProvider = request => Promise.resolve(buildPage(accounts, request.offset, request.pageSize));
+            element.labels = LABELS;
+            document.body.appendChild(element);
+            await flushPromises();
+
+            getAvailableTable(element).fireRowSelection('selectAllRows');
+            await flushPromises();
+
+            expect(element.getSelectedIds()).toHaveLength(15);
+            expect(element.shadowRoot.querySelector('.selectAllBanner span').textContent).toBe('All 15 loaded rows are selected, 40 rows match.');
+        });
+
+        it('stops loading when the provider has no more pages and marks a capped count', async () => {
+            const accounts = buildAccounts(15);
+            const pageProvider = jest.fn(() => Promise.resolve({ records: accounts, totalCount: 10000, isTotalCountCapped: true, hasMore: false }));
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = ACCOUNT_COLUMNS;
+            element.pageProvider = pageProvider;
+            element.labels = LABELS;
+            document.body.appendChild(element);
+            await flushPromises();
+
+            expect(element.shadowRoot.querySelectorAll('lightning-tab')[1].label).toBe('Available (10,000+)');
+
+            getAvailableTable(element).fireLoadMore();
+            await flushPromises();
+
+            expect(pageProvider).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('virtual scroll', () => {
+        const scrollTo = async (element, scrollTop) => {
+            const container = element.shadowRoot.querySelector('[data-id="availableContainer"]');
+            // jsdom has no layout, the container reports the height of .scrollable
+            Object.defineProperty(container, 'clientHeight', { value: 400, configurable: true });
+            Object.defineProperty(container, 'scrollTop', { value: scrollTop, configurable: true, writable: true });
+            container.dispatchEvent(new CustomEvent('scroll'));
+            await flushPromises();
+        };
+
+        const getSpacerHeights = element => {
+            const spacers = element.shadowRoot.querySelectorAll('[data-id="availableContainer"] > div');
+            return [...spacers].map(spacer => spacer.style.height);
+        };
+
+        it('renders only the rows in view and keeps the height of the others', async () => {
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = COLUMNS;
+            element.tableData = buildAccounts(2000);
+            element.virtualScroll = true;
+            element.labels = LABELS;
+            document.body.appendChild(element);
+            await flushPromises();
+
+            expect(getAvailableTable(element).data).toHaveLength(33);
+            expect(getAvailableTable(element).enableInfiniteLoading).toBe(false);
+            expect(getSpacerHeights(element)).toEqual(['0px', '64911px']);
+
+            await scrollTo(element, 33000);
+
+            const data = getAvailableTable(element).data;
+            expect(data).toHaveLength(53);
+            expect(data[0].Id).toBe(buildId(981));
+            expect(data[52].Id).toBe(buildId(1033));
+            expect(getSpacerHeights(element)).toEqual(['32340px', '31911px']);
+        });
+
+        it('loads the next page once the scroll nears the end of the loaded rows', async () => {
+            const accounts = buildAccounts(100);
+            const pageProvider = jest.fn(request => Promise.resolve(buildPage(accounts, request.offset, request.pageSize)));
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = COLUMNS;
+            element.pageProvider = pageProvider;
+            element.virtualScroll = true;
+            element.labels = LABELS;
+            document.body.appendChild(element);
+            await flushPromises();
+            expect(pageProvider).toHaveBeenCalledTimes(1);
+
+            await scrollTo(element, 33);
+
+            expect(pageProvider).toHaveBeenCalledTimes(2);
+            expect(pageProvider.mock.calls[1][0]).toMatchObject({ offset: 15 });
+        });
+    });
+
+    describe('chunked search and sort', () => {
+        const ROW_COUNT = 12000;
+
+        it('finishes a sort the user types during', async () => {
+            const rows = buildAccounts(ROW_COUNT);
+            const element = createTable(rows);
+            await flushChunks();
+
+            getAvailableTable(element).fireSort('Name', 'desc');
+            await flushPromises();
+            typeSearch(element, 'Acc');
+            await flushChunks();
+
+            const expected = multiSortData(rows, [{ fieldName: 'Name', direction: 'desc' }], COLUMNS).slice(0, 15);
+            expect(getAvailableTable(element).data.map(row => row.Name)).toEqual(expected.map(row => row.Name));
+            expect(getAnnouncement(element)).toBe('Sorted by Account Name descending');
+        });
+
+        it('keeps a search running when the user sorts', async () => {
+            const element = createTable(buildAccounts(ROW_COUNT));
+            await flushChunks();
+
+            typeSearch(element, 'Account 11');
+            element.shadowRoot.querySelector('lightning-input[data-id="search"]').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+            await flushPromises();
+            getAvailableTable(element).fireSort('Name', 'desc');
+            await flushChunks();
+
+            expect(getAvailableTable(element).data.slice(0, 2).map(row => row.Name)).toEqual(['Account 11999', 'Account 11998']);
+        });
+
+        it('shows changed rows the user types during', async () => {
+            const element = createTable(buildAccounts(ROW_COUNT));
+            await flushChunks();
+            typeSearch(element, 'Account 1');
+            element.shadowRoot.querySelector('lightning-input[data-id="search"]').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+            await flushChunks();
+
+            element.upsertRows([{ Id: buildId(5), Name: 'Account 1 updated' }]);
+            await flushPromises();
+            typeSearch(element, 'Account 12');
+            await flushChunks();
+
+            expect(getAvailableTable(element).data.slice(0, 3).map(row => row.Name)).toEqual(['Account 1', 'Account 1 updated', 'Account 10']);
         });
 
-        // Act
-        document.body.appendChild(element);
+        it('shows new rows the user types during', async () => {
+            const element = createTable(buildAccounts(ROW_COUNT));
+            element.sortBy = [{ fieldName: 'Name', direction: 'asc' }];
+            await flushChunks();
 
-        // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+            element.tableData = [...buildAccounts(ROW_COUNT), { Id: buildId(0), Name: 'Aardvark' }];
+            await flushPromises();
+            typeSearch(element, 'Acc');
+            await flushChunks();
+
+            expect(getAvailableTable(element).data[0].Name).toBe('Aardvark');
+        });
+    });
+
+    describe('change events', () => {
+        it('applies the changes received on the change event channel', async () => {
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = COLUMNS;
+            element.tableData = ROWS;
+            element.changeEventChannel = '/data/AccountChangeEvent';
+            document.body.appendChild(element);
+            await flushPromises();
+
+            expect(subscribe).toHaveBeenCalledWith('/data/AccountChangeEvent', -1, expect.any(Function));
+            emitMessage('/data/AccountChangeEvent', {
+                data: { payload: { Name: 'Globex Corporation', ChangeEventHeader: { changeType: 'UPDATE', recordIds: [ROWS[1].Id] } } }
+            });
+            await flushPromises();
+            await flushPromises();
+
+            expect(getAvailableTable(element).data.map(row => row.Name)).toContain('Globex Corporation');
+        });
+
+        it('applies change event updates and deletes to rows keyed by a key function or another field', async () => {
+            const rows = ROWS.map((row, index) => ({ ...row, ExternalId__c: `EXT-${index}` }));
+            const emitUpdate = () => emitMessage('/data/AccountChangeEvent', {
+                data: { payload: { Name: 'Globex Corporation', ChangeEventHeader: { changeType: 'UPDATE', recordIds: [ROWS[1].Id] } } }
+            });
+            const keyFields = [row => `${row.Id}-${row.Type}`, 'ExternalId__c'];
+            for (const keyField of keyFields) {
+                const element = createElement('c-advanced-data-table', {
+                    is: AdvancedDataTable
+                });
+                Object.assign(element, { columns: COLUMNS, keyField, tableData: rows, changeEventChannel: '/data/AccountChangeEvent' });
+                document.body.appendChild(element);
+                await flushPromises();
+
+                emitUpdate();
+                await flushPromises();
+                await flushPromises();
+
+                const data = getAvailableTable(element).data;
+                expect(data).toHaveLength(ROWS.length);
+                expect(data[1]).toMatchObject({ Id: ROWS[1].Id, Name: 'Globex Corporation', ExternalId__c: 'EXT-1' });
+
+                emitMessage('/data/AccountChangeEvent', {
+                    data: { payload: { ChangeEventHeader: { changeType: 'DELETE', recordIds: [ROWS[0].Id] } } }
+                });
+                await flushPromises();
+                await flushPromises();
+
+                expect(getAvailableTable(element).data.map(row => row.Id)).toEqual([ROWS[1].Id, ROWS[2].Id]);
+                document.body.removeChild(element);
+                resetEmpApi();
+            }
+        });
+
+        it('ends a subscription that completes after the table was removed', async () => {
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            Object.assign(element, { columns: COLUMNS, tableData: ROWS, changeEventChannel: '/data/AccountChangeEvent' });
+            document.body.appendChild(element);
+            document.body.removeChild(element);
+            await flushPromises();
+
+            expect(unsubscribe).toHaveBeenCalledWith(expect.objectContaining({ channel: '/data/AccountChangeEvent' }), expect.any(Function));
+        });
+
+        it('stops the highlight timers when the table is removed', async () => {
+            const element = createTable();
+            await flushPromises();
+            jest.useFakeTimers();
+            try {
+                element.upsertRows([{ Id: ROWS[0].Id, Name: 'Acme Corporation' }]);
+                expect(jest.getTimerCount()).toBe(1);
+
+                document.body.removeChild(element);
+
+                expect(jest.getTimerCount()).toBe(0);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        it('leaves created records to the parent', async () => {
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = COLUMNS;
+            element.tableData = ROWS;
+            element.changeEventChannel = '/data/AccountChangeEvent';
+            const handler = jest.fn();
+            element.addEventListener('recordscreated', handler);
+            document.body.appendChild(element);
+            await flushPromises();
+
+            emitMessage('/data/AccountChangeEvent', {
+                data: { payload: { Name: 'Hooli', ChangeEventHeader: { changeType: 'CREATE', recordIds: ['001000000000004'] } } }
+            });
+            await flushPromises();
+
+            expect(getAvailableTable(element).data).toHaveLength(ROWS.length);
+            expect(handler.mock.calls[0][0].detail).toEqual({ ids: ['001000000000004'] });
+        });
+    });
+
+    describe('row actions', () => {
+        const ARCHIVE = { label: 'Archive', name: 'archive', removesRows: true };
+
+        it('removes the rows of a handled action and reports the removed selected rows', async () => {
+            const element = createTable();
+            element.rowActions = [ARCHIVE];
+            element.setSelection([ROWS[0].Id, ROWS[1].Id]);
+            const selectionHandler = jest.fn();
+            element.addEventListener('rowselection', selectionHandler);
+            element.addEventListener('action', event => {
+                event.preventDefault();
+                Promise.resolve().then(() => event.detail.resolve());
+            });
+            await flushPromises();
+
+            getAvailableTable(element).fireRowAction('archive', ROWS[0]);
+            await flushPromises();
+
+            expect(getAvailableTable(element).data).toHaveLength(2);
+            expect(element.getSelectedIds()).toEqual([ROWS[1].Id]);
+            expect(selectionHandler.mock.calls[0][0].detail).toMatchObject({ action: 'rowsRemoved' });
+        });
+
+        it('ignores an action no listener takes over', async () => {
+            const element = createTable();
+            element.rowActions = [ARCHIVE];
+            await flushPromises();
+
+            getAvailableTable(element).fireRowAction('archive', ROWS[0]);
+            await flushPromises();
+
+            expect(getAvailableTable(element).data).toHaveLength(3);
+            expect(element.shadowRoot.querySelector('lightning-spinner')).toBeNull();
+        });
+    });
+
+    describe('transfer mode', () => {
+        const createTransferList = async (properties = {}) => {
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            Object.assign(element, { mode: 'transfer', columns: COLUMNS, tableData: ROWS }, properties);
+            document.body.appendChild(element);
+            await flushPromises();
+            return element;
+        };
+        const getSelectedTable = element => element.shadowRoot.querySelector('c-extended-datatable[data-name="readOnly"]');
+        const clickButton = async (element, selector) => {
+            element.shadowRoot.querySelector(selector).click();
+            await flushPromises();
+            await flushPromises();
+        };
+        const getNames = table => table.data.map(row => row.Name);
+
+        it('shows Available and Selected side by side and moves the checked rows', async () => {
+            const element = await createTransferList();
+            const handler = jest.fn();
+            element.addEventListener('rowselection', handler);
+            expect(element.shadowRoot.querySelector('lightning-tabset')).toBeNull();
+
+            getAvailableTable(element).fireRowSelection('rowSelect', ROWS[0].Id);
+            await flushPromises();
+            expect(element.getSelectedIds()).toEqual([]);
+
+            await clickButton(element, 'lightning-button-icon[data-action="addChecked"]');
+            expect(element.getSelectedIds()).toEqual([ROWS[0].Id]);
+            expect(handler.mock.calls[0][0].detail.action).toBe('addChecked');
+            expect(getNames(getAvailableTable(element))).toEqual(['Globex', 'Initech']);
+            expect(getNames(getSelectedTable(element))).toEqual(['Acme']);
+
+            getSelectedTable(element).fireRowSelection('rowSelect', ROWS[0].Id);
+            await clickButton(element, 'lightning-button-icon[data-action="removeChecked"]');
+            expect(element.getSelectedIds()).toEqual([]);
+            expect(getNames(getAvailableTable(element))).toEqual(['Acme', 'Globex', 'Initech']);
+        });
+
+        it('adds and removes all rows', async () => {
+            const element = await createTransferList();
+
+            await clickButton(element, 'lightning-button-icon[data-action="addAll"]');
+            expect(element.getSelectedIds()).toEqual(ROWS.map(row => row.Id));
+            expect(getAvailableTable(element).data).toEqual([]);
+
+            await clickButton(element, 'lightning-button-icon[data-action="removeAll"]');
+            expect(element.getSelectedIds()).toEqual([]);
+            expect(getAvailableTable(element).data).toHaveLength(ROWS.length);
+        });
+
+        it('keeps pre-selected rows in the Selected list', async () => {
+            const element = await createTransferList();
+
+            element.preSelection([ROWS[2].Id]);
+            await flushPromises();
+
+            expect(getNames(getAvailableTable(element))).toEqual(['Acme', 'Globex']);
+            expect(getNames(getSelectedTable(element))).toEqual(['Initech']);
+        });
+
+        it('moves checked rows dropped on the other list', async () => {
+            const element = await createTransferList();
+            getAvailableTable(element).fireRowSelection('rowSelect', ROWS[1].Id);
+            await flushPromises();
+
+            const dragStart = new CustomEvent('dragstart');
+            dragStart.dataTransfer = { setData: jest.fn() };
+            element.shadowRoot.querySelector('.dragHandle[data-list="available"]').dispatchEvent(dragStart);
+            element.shadowRoot.querySelector('section[data-list="selected"]').dispatchEvent(new CustomEvent('drop', { cancelable: true }));
+            await flushPromises();
+
+            expect(element.getSelectedIds()).toEqual([ROWS[1].Id]);
+        });
+
+        it('returns the manual order of the Selected list in the rowselection event', async () => {
+            const element = await createTransferList({ reorderable: true });
+            element.setSelection(ROWS.map(row => row.Id));
+            await flushPromises();
+            const handler = jest.fn();
+            element.addEventListener('rowselection', handler);
+
+            getSelectedTable(element).fireRowSelection('rowSelect', ROWS[2].Id);
+            await clickButton(element, 'lightning-button-icon[data-direction="up"]');
+
+            expect(handler.mock.calls[0][0].detail).toMatchObject({ action: 'reorder', selectedRows: [ROWS[0].Id, ROWS[2].Id, ROWS[1].Id] });
+            expect(getNames(getSelectedTable(element))).toEqual(['Acme', 'Initech', 'Globex']);
+        });
+
+        it('moves the checked rows past the rows the Selected search shows only', async () => {
+            const element = await createTransferList({ reorderable: true });
+            element.setSelection(ROWS.map(row => row.Id));
+            await flushPromises();
+            const handler = jest.fn();
+            element.addEventListener('rowselection', handler);
+
+            const search = element.shadowRoot.querySelector('section[data-list="selected"] lightning-input');
+            search.value = 'Customer';
+            search.dispatchEvent(new CustomEvent('change'));
+            await flushPromises();
+            getSelectedTable(element).fireRowSelection('rowSelect', ROWS[2].Id);
+            await clickButton(element, 'lightning-button-icon[data-direction="up"]');
+
+            expect(handler.mock.calls[0][0].detail).toMatchObject({ action: 'reorder', selectedRows: [ROWS[2].Id, ROWS[1].Id, ROWS[0].Id] });
+            expect(getNames(getSelectedTable(element))).toEqual(['Initech', 'Acme']);
+        });
+    });
+
+    describe('accessibility', () => {
+        it('is accessible without data', async () => {
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            document.body.appendChild(element);
+
+            await expect(element).toBeAccessible();
+        });
+
+        it('is accessible with rows', async () => {
+            const element = createTable();
+            await flushPromises();
+
+            await expect(element).toBeAccessible();
+        });
+
+        it('labels the search box and provides a polite live region', () => {
+            const element = createTable();
+
+            const search = element.shadowRoot.querySelector('lightning-input[data-id="search"]');
+            const announcer = element.shadowRoot.querySelector('[data-id="announcer"]');
+            expect(search.label).toBe('Search rows (Alt+Shift+F)');
+            expect(announcer.getAttribute('aria-live')).toBe('polite');
+        });
+
+        it('searches on Enter and announces the number of results', async () => {
+            const element = createTable();
+            const search = element.shadowRoot.querySelector('lightning-input[data-id="search"]');
+
+            search.value = 'acme';
+            search.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+            await flushPromises();
+            await flushPromises();
+
+            expect(getAnnouncement(element)).toBe("1 result for 'acme'");
+        });
+
+        it('clears the search on Escape and announces all rows', async () => {
+            const element = createTable();
+            const search = element.shadowRoot.querySelector('lightning-input[data-id="search"]');
+            search.value = 'acme';
+            search.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+            await flushPromises();
+            await flushPromises();
+
+            search.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+            await flushPromises();
+            await flushPromises();
+
+            expect(getAnnouncement(element)).toBe('Showing all 3 rows');
+        });
+
+        it('announces sort changes with the column labels', async () => {
+            const element = createTable();
+            const table = element.shadowRoot.querySelector('c-extended-datatable[data-name="available"]');
+
+            table.dispatchEvent(new CustomEvent('sort', { detail: { fieldName: 'Name', sortDirection: 'desc' } }));
+            await flushPromises();
+            await flushPromises();
+
+            expect(getAnnouncement(element)).toBe('Sorted by Account Name descending');
+        });
+
+        it('announces no sort the provider failed to load', async () => {
+            const accounts = buildAccounts(20);
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.columns = ACCOUNT_COLUMNS;
+            element.pageProvider = request => (request.sortedBy ?
+                Promise.reject(new Error('Sorting failed')) :
+                Promise.resolve(buildPage(accounts, request.offset, request.pageSize)));
+            element.labels = LABELS;
+            document.body.appendChild(element);
+            await flushPromises();
+
+            getAvailableTable(element).fireSort('Name', 'desc');
+            await flushPromises();
+            await flushPromises();
+
+            expect(getAnnouncement(element)).not.toContain('Sorted by');
+            expect(element.shadowRoot.textContent).toContain('Sorting failed');
+        });
+
+        it('shows the texts given through the labels property', () => {
+            const element = createElement('c-advanced-data-table', {
+                is: AdvancedDataTable
+            });
+            element.labels = { noData: 'No accounts found' };
+            document.body.appendChild(element);
+
+            expect(element.shadowRoot.textContent).toContain('No accounts found');
+        });
+
+        it('selects and deselects the row of the focused cell with Alt+Shift+X', async () => {
+            const element = createTable();
+            await flushPromises();
+            const table = getAvailableTable(element);
+            const pressShortcut = () => table.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyX', altKey: true, shiftKey: true, bubbles: true, composed: true }));
+
+            table.shadowRoot.querySelector(`[data-row-key-value="${ROWS[1].Id}"] .cell`).focus();
+            pressShortcut();
+            await flushPromises();
+            expect(element.getSelectedIds()).toEqual([ROWS[1].Id]);
+            expect(getAnnouncement(element)).toBe('1 row selected');
+
+            pressShortcut();
+            await flushPromises();
+            expect(element.getSelectedIds()).toEqual([]);
+        });
+
+        it('switches tabs with Alt+Shift+S and Alt+Shift+A', async () => {
+            const element = createTable();
+            const tabset = element.shadowRoot.querySelector('lightning-tabset');
+            const search = element.shadowRoot.querySelector('lightning-input[data-id="search"]');
+
+            search.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyS', altKey: true, shiftKey: true, bubbles: true }));
+            await flushPromises();
+            expect(tabset.activeTabValue).toBe('selected');
+            expect(getAnnouncement(element)).toBe('Selected (0) tab');
+
+            search.dispatchEvent(new KeyboardEvent('keydown', { code: 'KeyA', altKey: true, shiftKey: true, bubbles: true }));
+            await flushPromises();
+            expect(tabset.activeTabValue).toBe('search');
+        });
     });
-});
\ No newline at end of file
+});
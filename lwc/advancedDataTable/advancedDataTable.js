@@ -10,11 +10,36 @@
  * @copyright © 2025 Salesforce. All rights reserved.
  */
 
-import { LightningElement, track, api } from 'lwc';
-import dataTableService from "c/dataTableService";
+import { LightningElement, track, api, wire } from 'lwc';
+import * as dataTableService from "c/dataTableService";
+import LightningPrompt from 'lightning/prompt';
+import LightningConfirm from 'lightning/confirm';
+import { subscribe, unsubscribe, MessageContext, APPLICATION_SCOPE } from 'lightning/messageService';
+import { subscribe as subscribeToStream, unsubscribe as unsubscribeFromStream, onError as onStreamError } from 'lightning/empApi';
+import RECORD_TABLE_CHANGES from '@salesforce/messageChannel/RecordTableChanges__c';
+import { LABELS } from './labels';
 
 const PAGE_SIZE = 15;
-const ENTER_KEY_CODE = 13;
+const DEFAULT_ROW_HEIGHT = 33; // Height of a datatable row in pixels
+const VIEWPORT_HEIGHT = 400; // Height of the scrollable table container, see .scrollable
+const VIRTUAL_BUFFER_SIZE = 20; // Rows rendered above and below the visible rows in virtual scroll mode
+const DEFAULT_SEARCH_DEBOUNCE = 300; // Milliseconds to wait after the last keystroke in search-as-you-type mode
+const ROW_HIGHLIGHT_FIELD = '_rowHighlight'; // Holds the cell class of rows that were changed a moment ago
+const ROW_HIGHLIGHT_CLASS = 'slds-theme_warning';
+const ROW_HIGHLIGHT_DURATION = 3000; // Milliseconds a changed row stays highlighted
+const DOWNLOAD_URL_LIFETIME = 60000; // Milliseconds an exported file stays available to the browser download
+const UNHANDLED_ACTION = Symbol('unhandledAction'); // Settles action events no listener took over
+// Shortcuts are pressed with Alt+Shift and matched by KeyboardEvent.code, Alt changes event.key on macOS
+const SHORTCUT_KEYS = {
+    KeyF: 'focusSearch',
+    KeyS: 'showSelectedTab',
+    KeyA: 'showAvailableTab',
+    KeyX: 'toggleFocusedRow'
+};
+const SELECTED_TAB = 'selected';
+const AVAILABLE_TAB = 'search';
+const GROUP_AGGREGATE_LABELS = { sum: 'sum', avg: 'average', min: 'minimum', max: 'maximum' }; // Label keys of the group aggregates
+const NUMBER_FORMAT_STYLES = { number: 'decimal', currency: 'currency', percent: 'percent' };
 
 export default class AdvancedDataTable extends LightningElement {
 
@@ -22,9 +47,19 @@ export default class AdvancedDataTable extends LightningElement {
     offset = 0;
     isLazyLoading = true;
     dataTableValue = []; // Shallow copy of data got from server
+    searchedData = []; // Result of the last search, column filters and sorting are applied on top of it
 
     @track dataToShow = [];
-    @track selectedRowsArray = [];
+    @track selectedRowsArray = []; // Selected row IDs bound to the datatable, a copy of selectedRows
+    rowIndex = new Map(); // Rows of tableData by key, for selection lookups
+
+    // Virtual scroll
+    @api virtualScroll = false; // Renders only the rows in view, for tables with tens of thousands of rows
+    @api rowHeight = DEFAULT_ROW_HEIGHT;
+    @track virtualOffsetTop = 0; // Height of the rows above the rendered window
+    @track virtualOffsetBottom = 0; // Height of the rows below the rendered window
+    virtualScrollTop = 0;
+    virtualWindow = { start: 0, end: 0 };
 
     // Columns 
     _columns = [];
@@ -35,27 +70,133 @@ export default class AdvancedDataTable extends LightningElement {
         this._columns = value;
     }
 
-    // Pre-selection 
-    _preSelection;
-    @track selectedIds = [];
-    @track preSelectedRows = [];
-    @track selectedRows = new Set(); // Set to maintain selected row IDs
+    // Selection
+    @track selectedRows = new Set(); // Selected row IDs, the single source of the selection. IDs of rows that are not loaded yet are kept
+    @api maxSelection; // Maximum number of selected rows, selections beyond it are blocked
+    @track selectionError = '';
+    @track selectAllState = null; // page when the header checkbox selected the loaded rows, all when every matching row is selected
+    selectionAnchorId; // Last clicked row, start of a shift-click range
+    isRangeSelection = false; // Set when a row is clicked with the shift key held
 
     /**
-     * @description Handles pre-selection of rows when passed an array of row IDs.
+     * @description Handles pre-selection of rows when passed an array of row IDs. The IDs are added to the selection,
+     * rows that are not in tableData yet are selected once the data arrives.
      * @param {Array} value - Array of row IDs to pre-select.
      */
     @api preSelection(value) {
         if (value) {
-            this.selectedRowsArray = value;
-            this.selectedIds.push(value);
-            this.setSelectedRowsToDatatable(this.selectedRowsArray);
+            this.setSelection(value, { append: true });
+        }
+    }
+
+    /**
+     * @description Getter for the selected row IDs.
+     * @returns {Array} - The IDs of all selected rows, including rows that are not loaded yet.
+     */
+    @api get selectedIds() {
+        return [...this.selectedRows];
+    }
+
+    /**
+     * @description Setter for the selected row IDs. Replaces the selection without firing the rowselection event.
+     * @param {Array} value - The IDs of the rows to select.
+     */
+    set selectedIds(value) {
+        this.setSelection(value || []);
+    }
+
+    /**
+     * @description Returns the selected records. Selected IDs whose rows are not loaded yet are left out.
+     * @returns {Array} - The selected records, in selection order.
+     */
+    @api getSelectedRows() {
+        return this.resolveSelectedRecords();
+    }
+
+    /**
+     * @description Returns the selected row IDs.
+     * @returns {Array} - The IDs of all selected rows, including rows that are not loaded yet.
+     */
+    @api getSelectedIds() {
+        return [...this.selectedRows];
+    }
+
+    /**
+     * @description Checks if a row is selected.
+     * @param {string} id - The row ID.
+     * @returns {boolean} - Returns true if the row is selected.
+     */
+    @api isSelected(id) {
+        return this.selectedRows.has(id);
+    }
+
+    /**
+     * @description Selects the given rows, replacing the selection or adding to it. IDs of rows that are not loaded yet are kept
+     * and resolved once the data arrives. Like the other selection API methods it does not fire the rowselection event.
+     * @param {Array} ids - The IDs of the rows to select.
+     * @param {Object} options - append: true to add the rows to the current selection.
+     * @returns {boolean} - Returns false if the selection was blocked by maxSelection.
+     */
+    @api setSelection(ids, { append = false } = {}) {
+        const requestedIds = new Set((Array.isArray(ids) ? ids : [ids]).filter(rowId => rowId));
+        const rowIds = [...requestedIds];
+        const deselectIds = append ? [] : [...this.selectedRows].filter(rowId => !requestedIds.has(rowId));
+        if (dataTableService.exceedsSelectionLimit([...this.selectedRows], rowIds, deselectIds, this.maxSelection)) {
+            this.selectionError = this.formatText(this.label.selectionLimit, this.maxSelection);
+            return false;
         }
+        this.selectedRows = new Set(append ? [...this.selectedRows, ...rowIds] : rowIds);
+        this.selectionError = '';
+        this.selectAllState = null;
+        this.updateSelectionState();
+        return true;
+    }
+
+    /**
+     * @description Deselects all rows, including rows hidden by the search or filters and rows that are not loaded.
+     */
+    @api clearSelection() {
+        this.selectedRows = new Set();
+        this.selectionError = '';
+        this.selectAllState = null;
+        this.updateSelectionState();
     }
 
     // Table data variables
     _tableData = [];
     @api tableName;
+    @track keyError = ''; // Reports rows with a missing or duplicate key
+
+    // Row keys
+    _keyField = 'Id';
+
+    /**
+     * @description Getter for the key field.
+     * @returns {string|Function} - The field identifying a row, or the function building the key of a row.
+     */
+    @api get keyField() {
+        return this._keyField;
+    }
+
+    /**
+     * @description Setter for the key field. Accepts a field name, or a function returning the key of a row for data
+     * without a single key field (e.g. row => `${row.country}-${row.code}`).
+     * @param {string|Function} value - The key field or key function, Id when empty.
+     */
+    set keyField(value) {
+        this._keyField = value || 'Id';
+        if (this._tableData.length) {
+            this.setTableRows(this._tableData);
+        }
+    }
+
+    /**
+     * @description Returns the name of the field holding the row keys, used as key-field of the datatables.
+     * @returns {string} - The key field, or the generated key field when keys are built by a function.
+     */
+    get rowKeyField() {
+        return dataTableService.getKeyFieldName(this._keyField);
+    }
 
     /**
      * @description Getter for tableData property.
@@ -71,28 +212,196 @@ export default class AdvancedDataTable extends LightningElement {
      */
     @api set tableData(value) {
         if (value && value !== this._tableData) {
-            this._tableData = value;
-            this.dataTableValue = [...this._tableData];
-            this.dataToShow = this.dataTableValue.slice(0, PAGE_SIZE);
-            this.setDataToReadOnlyTable();
+            this.setTableRows(value);
         } else if (!value?.length) {
             this._tableData = [];
+            this.rowIndex = new Map();
+        }
+    }
+
+    /**
+     * @description Stores the rows of the table with their keys, checks the keys and refreshes both tables.
+     * @param {Array} rows - The rows given by the parent.
+     */
+    setTableRows(rows) {
+        this._tableData = dataTableService.applyRowKeys(rows, this._keyField);
+        this.rowIndex = dataTableService.indexRows(this._tableData, this.rowKeyField);
+        this.checkRowKeys();
+        this.searchedData = [...this._tableData];
+        // Keep the current (or restored) search applied to the new data
+        if (this.searchValue) {
+            this.searchError = '';
+            this.runSearch(false, true).then(() => this.announceSearchResult());
+        } else {
+            this.applyDataView();
         }
+        this.setDataToReadOnlyTable();
+    }
+
+    /**
+     * @description Reports rows without a key and keys used by more than one row, they cannot be selected or edited reliably.
+     */
+    checkRowKeys() {
+        const problems = dataTableService.findKeyProblems(this._tableData, this.rowKeyField);
+        this.keyError = dataTableService.describeKeyProblems(problems, this._keyField, this.label);
     }
 
     // Sorting
-    sortedBy;
+    sortedBy; // Last sorted column, shown with the sort arrow by the datatable
     sortedDirection;
+    @track sortState = []; // Sort keys in priority order: { fieldName, direction }
+    isMultiSortClick = false; // Set when a header is clicked with the shift key held
+
+    /**
+     * @description Getter for the sort keys.
+     * @returns {Array} - The sort keys in priority order, e.g. [{ fieldName: 'Type', direction: 'asc' }, { fieldName: 'Name', direction: 'desc' }].
+     */
+    @api get sortBy() {
+        return this.sortState;
+    }
+
+    /**
+     * @description Setter for the sort keys. Sorts the table by the given keys.
+     * @param {Array} value - The sort keys in priority order.
+     */
+    set sortBy(value) {
+        this.sortState = (Array.isArray(value) ? value : [])
+            .filter(key => key?.fieldName)
+            .map(key => ({ fieldName: key.fieldName, direction: key.direction === 'desc' ? 'desc' : 'asc' }));
+        this.sortedBy = this.sortState[0]?.fieldName;
+        this.sortedDirection = this.sortState[0]?.direction;
+        if (this.isRemoteMode) {
+            if (this.isConnected) {
+                this.fetchPage(true);
+            }
+        } else if (this._tableData.length) {
+            this.applyDataView();
+        }
+    }
 
     // Searching
     @track searchValue = '';
+    @track searchError = '';
     @api searchableFields;
+    @api matchStrategy = 'contains'; // exact, contains, normalized (ignores accents and punctuation) or fuzzy (also tolerates typos)
+    @api sortByRelevance = false; // Shows the best matches first until the user sorts by a column
+    @track searchReconciliation = null; // Match report of the last multi-value search
+    @track reconciliationStatus = '';
+    @api searchAsYouType = false; // Searches while typing, after a pause of searchDebounce milliseconds, instead of on Enter or the Search button
+    @api searchDebounce = DEFAULT_SEARCH_DEBOUNCE;
+    searchTimer;
+
+    // Chunked search and sort
+    @track isProcessing = false; // Set while a search or sort of a big table runs in chunks
+    @track processingMessage = '';
+    processingRequestIds = { search: 0, view: 0 }; // Identify the running search and view update (filters and sort), outdated results are dropped
+    isSearchingChanges = false; // Set while a search applies changed rows, typing does not cancel it
+
+    // Grouping
+    @track groupState = []; // Field names to group by, outermost first
+    @track groupAggregate = 'sum'; // Aggregate shown in the group rows: sum, avg, min or max
+    @track groupResult = null; // Group tree of the current rows (see dataTableService.buildGroupTree)
+    @track expandedGroups = [];
+
+    /**
+     * @description Getter for the group-by fields.
+     * @returns {Array} - The field names the rows are grouped by, outermost first.
+     */
+    @api get groupBy() {
+        return this.groupState;
+    }
+
+    /**
+     * @description Setter for the group-by fields. Groups the rows by the given fields, an empty list shows the flat table.
+     * @param {Array} value - The field names, outermost first.
+     */
+    set groupBy(value) {
+        this.groupState = (Array.isArray(value) ? value : []).filter(fieldName => fieldName);
+        this.refreshGroups(true);
+    }
+
+    /**
+     * @description Returns the options of the Group Summary picklist.
+     * @returns {Array} - Options for lightning-combobox.
+     */
+    get groupAggregateOptions() {
+        return Object.entries(GROUP_AGGREGATE_LABELS).map(([aggregate, labelKey]) => ({ label: this.label[labelKey], value: aggregate }));
+    }
+
+    // Column filters
+    @track columnFilters = []; // { fieldName, type, values, min, max, checked }
+    @track showFilterPanel = false;
+    filterDefinitionCache = {}; // The filter definitions with the data, columns and filters they were built from
+
+    // Remote data mode
+    @api remote = false; // Emits "fetchpage" events when no pageProvider is given
+    @api pageProvider; // Function(request) returning a page of records or a Promise of it
+    @track isRemoteLoading = false;
+    @track errorMessage = '';
+    totalCount = null;
+    isTotalCountCapped = false; // The provider stopped counting, more than totalCount records match
+    remoteCursor;
+    remoteRequestId = 0;
+    loadedRecords = new Map(); // Records loaded from the provider, by Id, so selections survive new pages
+
+    // Saved views
+    @api viewStorageAdapter; // { loadViews, saveViews }, the views are kept in localStorage when not set
+    @track views = []; // { id, name, state }
+    @track activeViewId = null;
+    @track defaultViewId = null;
+    @track columnWidths = {}; // Widths set by the user, by field name
+    @track hiddenColumns = []; // Field names of the columns that are not shown
+
+    // Column chooser
+    @track columnOrder = []; // Field names in the order chosen by the user
+    @track pinnedColumn = null; // Field name of the column kept first, it cannot be hidden
+    @track showColumnChooser = false;
+    draggedFieldName;
+
+    // Inline editing
+    @track draftValues = []; // Drafts of all edited rows, kept across lazy loading, searches and sorts
+    @track tableErrors = null;
+    @track isSaving = false;
+    editHistory = []; // Previous draft values, for undo
+
+    // Row and bulk actions
+    @api rowActions; // Actions in the row menu of the Available table: view, edit, delete or { label, name, iconName, removesRows, confirm }
+    @api bulkActions; // Toolbar actions on the selected rows, configured like rowActions
+    @track isActionRunning = false;
+
+    // Real-time changes
+    @api changeSource; // Applies the messages of the RecordTableChanges message channel with this source, e.g. Account
+    @api changeEventChannel; // Change Data Capture channel applied through empApi, e.g. /data/AccountChangeEvent
+    @track changeNotice = '';
+    @wire(MessageContext) messageContext;
+    messageSubscription;
+    streamSubscription;
+    highlightTimers = new Set(); // Timers removing the highlight of changed rows
+
+    // Accessibility
+    @track announcement = ''; // Text of the live region read by screen readers
+    @track activeTab = AVAILABLE_TAB;
+    shortcutKeyHandler = this.handleShortcutKey.bind(this);
+
+    // Transfer mode
+    @api mode = 'tabs'; // tabs shows Available and Selected as tabs, transfer shows them side by side with buttons to move rows between them
+    @api reorderable = false; // Transfer mode: the checked rows of the Selected list can be moved up and down, the order is returned in the rowselection event
+    @track checkedAvailableIds = []; // Rows checked in the Available list, moved by Add or by dragging
+    @track checkedSelectedIds = []; // Rows checked in the Selected list, moved by Remove, Up, Down or by dragging
+    draggedList; // List the checked rows are dragged from, available or selected
+
+    // Labels
+    @api labels; // Overrides of the custom labels by key (see labels.js), e.g. { noData: 'No accounts found' }
 
     // Read-only tables
     @track selectedData = [];
     @track selectedDataToShow = [];
     @track selectedDataToShowBackup = [];
     @track isReadonlyLoading = false;
+    @track selectedSearchValue = ''; // Search of the Selected tab, independent of the Available tab
+    @track selectedSearchError = '';
+    selectedSortedBy; // Sort of the Selected tab, independent of the Available tab
+    selectedSortedDirection;
 
     /**
      * @description Dynamically returns the class name for table container based on data length.
@@ -102,12 +411,74 @@ export default class AdvancedDataTable extends LightningElement {
         return this.tableData?.length > 5 ? 'tableContainer scrollable' : 'tableContainer';
     }
 
+    /**
+     * @description Checks if only the rows in view are rendered. Grouped tables are always rendered in full.
+     * @returns {boolean} - Returns true if virtual scroll is on and the table is not grouped.
+     */
+    get isVirtualMode() {
+        return this.virtualScroll && !this.isGrouped;
+    }
+
+    /**
+     * @description Infinite loading is replaced by the scroll handler in virtual scroll mode.
+     * @returns {boolean} - Returns true if the datatable should fire loadmore.
+     */
+    get isInfiniteLoadingEnabled() {
+        return this.isLazyLoading && !this.isVirtualMode;
+    }
+
+    /**
+     * @description Style of the spacer that stands in for the rows above the rendered window.
+     * @returns {string} - The spacer style.
+     */
+    get virtualTopStyle() {
+        return `height: ${this.virtualOffsetTop}px;`;
+    }
+
+    /**
+     * @description Style of the spacer that stands in for the rows below the rendered window.
+     * @returns {string} - The spacer style.
+     */
+    get virtualBottomStyle() {
+        return `height: ${this.virtualOffsetBottom}px;`;
+    }
+
     /**
      * @description Checks if there is no data to display in the table.
      * @returns {boolean} - Returns true if there is no data, else false.
      */
     get isNoData() {
-        return !this.tableData?.length;
+        return !this.tableData?.length && !this.isRemoteLoading;
+    }
+
+    /**
+     * @description Checks if the table gets its data page by page from a provider instead of tableData.
+     * @returns {boolean} - Returns true in remote data mode, else false.
+     */
+    get isRemoteMode() {
+        return this.remote || typeof this.pageProvider === 'function';
+    }
+
+    /**
+     * @description Checks if Available and Selected are shown side by side as a transfer list.
+     * @returns {boolean} - Returns true in transfer mode, else false.
+     */
+    get isTransferMode() {
+        return this.mode === 'transfer';
+    }
+
+    /**
+     * @description Restores the default view and loads the first page when the table runs in remote data mode.
+     */
+    connectedCallback() {
+        this.restoreDefaultView().then(isRestored => {
+            // Restoring a view already reloads the first page
+            if (this.isRemoteMode && !isRestored) {
+                this.fetchPage(true);
+            }
+        });
+        this.subscribeToChanges();
+        this.template.addEventListener('keydown', this.shortcutKeyHandler);
     }
 
     /**
@@ -115,24 +486,145 @@ export default class AdvancedDataTable extends LightningElement {
      * @param {Event} event - The event containing row selection details.
      */
     handleRowSelection(event) {
+        if (this.isTransferMode) {
+            // The checkboxes of the Available list only mark the rows to move, see transferRows
+            this.checkedAvailableIds = event.detail.selectedRows.map(row => row[this.rowKeyField]);
+            return;
+        }
         if (Object.keys(event.detail.config).length !== 0) {
-            let deselectedRecords = [];
-            let selectedRecords = [];
-            let result = dataTableService.handleRowSelection(event, this, this.tableData);
+            const { action, value } = event.detail.config;
+            const keyField = this.rowKeyField;
+            const isRange = this.isRangeSelection && this.selectionAnchorId && value && this.selectionAnchorId !== value;
+            let rowIds;
+            switch (action) {
+                case 'selectAllRows':
+                    // The header checkbox selects the loaded rows of the current result
+                    if (this.applySelectionChange(event, event.detail.selectedRows.map(row => row[keyField]), [])) {
+                        if (this.dataTableValue.length > this.dataToShow.length) {
+                            this.selectAllState = 'page';
+                        } else if (this.isRemoteMode && (this.isTotalCountCapped || this.totalCount > this.dataTableValue.length)) {
+                            // Rows that are not loaded can not be selected, the banner tells how many are left out
+                            this.selectAllState = 'all';
+                        }
+                    }
+                    return;
+                case 'deselectAllRows':
+                    this.applySelectionChange(event, [], this.dataTableValue.map(row => row[keyField]));
+                    return;
+                case 'rowSelect':
+                case 'rowDeselect':
+                    if (value == null) {
+                        // Rows without a key cannot be selected, see keyError
+                        return;
+                    }
+                    rowIds = isRange ? dataTableService.getRangeIds(this.dataTableValue, this.selectionAnchorId, value, keyField) : [value];
+                    this.selectionAnchorId = value;
+                    this.applySelectionChange(event, action === 'rowSelect' ? rowIds : [], action === 'rowDeselect' ? rowIds : []);
+                    return;
+                default:
+                    break;
+            }
+            let result = dataTableService.handleRowSelection(event, this, this.dataTableValue, keyField);
+            this.selectedRows = result.selectedRows;
+            this.refreshDatatableSelection(event, result.selectedRecords, result.deselectedRecords);
+            this.updateSelectionState();
+        }
+    }
+
+    /**
+     * @description Selects and deselects rows through the row selection bookkeeping of the service and notifies the parent.
+     * Changes that would select more than maxSelection rows are blocked with an error message.
+     * @param {Event|string} event - The rowselection event of the datatable, or the name of the action (e.g. invertSelection).
+     * @param {Array} selectIds - The IDs of the rows to select.
+     * @param {Array} deselectIds - The IDs of the rows to deselect.
+     * @param {string} rowId - The ID of the row the action was taken on, for actions given by name.
+     * @returns {boolean} - Returns true if the change was applied.
+     */
+    applySelectionChange(event, selectIds, deselectIds, rowId) {
+        const action = typeof event === 'string' ? event : event.detail.config.action;
+        const value = typeof event === 'string' ? rowId : event.detail.config.value;
+        if (dataTableService.exceedsSelectionLimit(this.selectedRowsArray, selectIds, deselectIds, this.maxSelection)) {
+            this.selectionError = this.formatText(this.label.selectionLimit, this.maxSelection);
+            // Give the datatable its previous selection back
+            this.selectedRowsArray = [...this.selectedRowsArray];
+            this.setSelectedRowsToDatatable(this.selectedRowsArray);
+            return false;
+        }
+        let selectedRecords = [];
+        let deselectedRecords = [];
+        if (deselectIds.length) {
+            const result = dataTableService.handleRowSelection({ detail: { config: { action: 'deselectRows', value: deselectIds } } }, this, this.tableData, this.rowKeyField);
             this.selectedRows = result.selectedRows;
+            selectedRecords = result.selectedRecords;
             deselectedRecords = result.deselectedRecords;
+        }
+        if (selectIds.length) {
+            const result = dataTableService.handleRowSelection({ detail: { config: { action: 'selectRows', value: selectIds } } }, this, this.tableData, this.rowKeyField);
+            this.selectedRows = result.selectedRows;
             selectedRecords = result.selectedRecords;
-            this.refreshDatatableSelection(event, selectedRecords, deselectedRecords);
+        }
+        this.selectionError = '';
+        this.selectAllState = null;
+        this.updateSelectionState();
+        this.dispatchSelectionChange(action, value, selectedRecords, deselectedRecords);
+        return true;
+    }
+
+    /**
+     * @description Returns the message of the select all banner. In remote mode only the loaded rows can be selected,
+     * the banner compares them with the number of matching records.
+     * @returns {string} - e.g. "All 15 rows on this page are selected."
+     */
+    get selectAllMessage() {
+        if (this.selectAllState !== 'all') {
+            return this.formatText(this.label.allPageSelected, this.dataToShow.length);
+        }
+        return this.isRemoteMode ?
+            this.formatText(this.label.allLoadedSelected, this.dataTableValue.length, this.remoteCountText) :
+            this.formatText(this.label.allMatchingSelected, this.dataTableValue.length);
+    }
 
-            this.selectedRowsArray = [...new Set([
-                ...this.selectedRows,
-                ...this.selectedIds
-            ])];
+    /**
+     * @description Returns the label of the select all banner action.
+     * @returns {string} - "Select all N matching rows" or "Clear selection".
+     */
+    get selectAllActionLabel() {
+        return this.selectAllState === 'all' ? this.label.clearSelection : this.formatText(this.label.selectAllMatching, this.dataTableValue.length);
+    }
 
-            this.maintainSelectionState();
-            this.setDataToReadOnlyTable();
-            Promise.resolve();
+    /**
+     * @description Handles the action of the select all banner: selects every row of the current result, including rows
+     * that are not loaded in the datatable yet, or clears the selection.
+     */
+    handleSelectAllAction() {
+        if (this.selectAllState === 'all') {
+            this.applySelectionChange('clearSelection', [], [...this.selectedRowsArray]);
+            return;
+        }
+        if (this.applySelectionChange('selectAllMatching', this.dataTableValue.map(row => row[this.rowKeyField]), [])) {
+            this.selectAllState = 'all';
+        }
+    }
+
+    /**
+     * @description Inverts the selection within the current search/filter result.
+     */
+    handleInvertSelection() {
+        const { selectIds, deselectIds } = dataTableService.invertSelection(this.dataTableValue, this.selectedRowsArray, this.rowKeyField);
+        this.applySelectionChange('invertSelection', selectIds, deselectIds);
+    }
+
+    /**
+     * @description Copies the selection to the datatable binding and refreshes both tables.
+     */
+    updateSelectionState() {
+        this.selectedRowsArray = [...this.selectedRows];
+
+        if (this.isTransferMode) {
+            this.refreshTransferLists();
         }
+        this.maintainSelectionState();
+        this.setDataToReadOnlyTable();
     }
 
     /**
@@ -143,6 +635,20 @@ export default class AdvancedDataTable extends LightningElement {
      */
     refreshDatatableSelection(event, selectedRecords, deselectedRecords) {
         const { action, value } = event.detail.config;
+        this.dispatchSelectionChange(action, value, selectedRecords, deselectedRecords);
+    }
+
+    /**
+     * @description Dispatches the rowselection event to the parent component.
+     * @param {string} action - The selection action (selectAllRows, deselectAllRows, rowSelect, rowDeselect, selectMatched,
+     * selectAllMatching, clearSelection, invertSelection, groupSelection, removeFromSelection, rowsRemoved and in transfer mode
+     * addChecked, addAll, removeChecked, removeAll or reorder).
+     * @param {string} value - The ID of the row that was (de)selected, if any.
+     * @param {Array} selectedRecords - Array of selected records.
+     * @param {Array} deselectedRecords - Array of deselected records.
+     */
+    dispatchSelectionChange(action, value, selectedRecords, deselectedRecords) {
+        this.announce(this.selectionAnnouncement);
         this.dispatchEvent(
             new CustomEvent('rowselection', {
                 detail: {
@@ -162,6 +668,16 @@ export default class AdvancedDataTable extends LightningElement {
      * @param {Event} event - The event triggered to load more data.
      */
     handleLoadMore(event) {
+        if (this.isVirtualMode) {
+            return;
+        }
+        if (this.isRemoteMode) {
+            // isLazyLoading holds whether the provider has more pages
+            if (!this.isRemoteLoading && this.isLazyLoading) {
+                this.fetchPage(false);
+            }
+            return;
+        }
         try {
             this.isLazyLoading = true;
             this.dataToShow = [...this.dataToShow, ...this.dataTableValue.slice(this.dataToShow.length, this.dataToShow.length + PAGE_SIZE)];
@@ -177,20 +693,194 @@ export default class AdvancedDataTable extends LightningElement {
      * @param {Event} event - The event containing sorting details.
      */
     handleSort(event) {
-        let sordtedData = dataTableService.handleSort(event, this, this._tableData);
-        this.dataToShow = []; // Clear previous data
-        this.dataTableValue = [...sordtedData];
-        this.dataToShow = this.dataTableValue.slice(0, PAGE_SIZE);
-        this.maintainSelectionState();
+        this.sortedBy = event.detail.fieldName;
+        this.sortedDirection = event.detail.sortDirection;
+        this.sortState = dataTableService.updateSortKeys(this.sortState, this.sortedBy, this.sortedDirection, this.isMultiSortClick);
+        this.isMultiSortClick = false;
+        const sort = this.isRemoteMode ? this.fetchPage(true) : this.applyDataView();
+        sort.then(isSorted => {
+            // A cancelled or failed sort leaves the rows in their previous order
+            if (isSorted) {
+                this.announce(dataTableService.describeSortKeys(this.sortState, this._columns, this.label));
+                this.restoreTableFocus();
+            }
+        });
+    }
+
+    /**
+     * @description Remembers whether the shift key is held when a column header or row checkbox is clicked or activated
+     * with the keyboard, the sort and rowselection events of the datatable do not tell.
+     * @param {Event} event - The mousedown or keydown event.
+     */
+    handleModifierKey(event) {
+        this.isMultiSortClick = event.shiftKey;
+        this.isRangeSelection = event.shiftKey;
+    }
+
+    /**
+     * @description Returns the columns of the Available table, without the hidden columns and with the widths set by the user.
+     * When sorting by more than one column, the sorted columns show their direction and priority in the label (e.g. "Type ▲1").
+     * @returns {Array} - The column definitions.
+     */
+    get displayColumns() {
+        const isMultiSort = this.sortState.length > 1;
+        const columns = this.visibleColumns.map(column => {
+            let displayColumn = column;
+            if (!column.cellAttributes?.class) {
+                // Highlights rows changed by upsertRows or a change event
+                displayColumn = { ...displayColumn, cellAttributes: { ...column.cellAttributes, class: { fieldName: ROW_HIGHLIGHT_FIELD } } };
+            }
+            const width = this.columnWidths[column.fieldName];
+            if (width) {
+                displayColumn = { ...displayColumn, initialWidth: width };
+            }
+            const index = isMultiSort ? this.sortState.findIndex(key => key.fieldName === column.fieldName) : -1;
+            if (index !== -1) {
+                const arrow = this.sortState[index].direction === 'desc' ? '▼' : '▲';
+                displayColumn = { ...displayColumn, label: `${column.label} ${arrow}${index + 1}` };
+            }
+            return displayColumn;
+        });
+        const rowActions = this.rowActionItems;
+        return rowActions.length ?
+            [...columns, { type: 'action', typeAttributes: { rowActions, menuAlignment: 'auto' } }] :
+            columns;
+    }
+
+    /**
+     * @description Returns the columns that are not hidden, in the order chosen by the user. Both tables and the export use them.
+     * Record links without a recordId open the record identified by the key field.
+     * @returns {Array} - The column definitions.
+     */
+    get visibleColumns() {
+        const columns = dataTableService.orderColumns(this._columns, this.columnOrder, this.pinnedColumn)
+            .filter(column => !this.hiddenColumns.includes(column.fieldName));
+        return dataTableService.prepareCustomColumns(columns, this.rowKeyField);
+    }
+
+    /**
+     * @description Returns the fields searched by terms without a field name, hidden columns are left out.
+     * @returns {Array} - The field names to search.
+     */
+    get searchFields() {
+        const fields = dataTableService.getSearchFields(this.searchableFields, this._columns)
+            .filter(fieldName => !this.hiddenColumns.includes(fieldName));
+        // When every searchable field is hidden, search the columns that are shown
+        return fields.length ? fields : dataTableService.getSearchFields(null, this.visibleColumns);
+    }
+
+    /**
+     * @description Remembers the column widths after the user resized a column, so they can be saved with a view.
+     * @param {Event} event - The resize event of the datatable.
+     */
+    handleColumnResize(event) {
+        if (event.detail.isUserTriggered) {
+            this.columnWidths = dataTableService.mergeColumnWidths(this.displayColumns, event.detail.columnWidths, this.columnWidths);
+        }
+    }
+
+    /**
+     * @description Rebuilds the rows of the Available table from the search result, the column filters and the sort state.
+     * @param {boolean} preserveLoaded - True to keep as many rows rendered as before (after a data update), false to show the first page.
+     * @returns {Promise} - Resolves with true once the rows are shown, false when the update was cancelled or failed.
+     */
+    applyDataView(preserveLoaded) {
+        const loadedCount = preserveLoaded ? Math.max(this.dataToShow.length, PAGE_SIZE) : PAGE_SIZE;
+        const processing = this.startProcessing(this.label.sorting, 'view');
+        const records = this.getAvailableRows(dataTableService.applyColumnFilters(this.searchedData, this.columnFilters));
+        return dataTableService.multiSortDataAsync(records, this.sortState, this._columns, processing)
+            .then(sortedRecords => {
+                this.dataTableValue = sortedRecords;
+                if (this.isVirtualMode) {
+                    this.resetVirtualScroll(preserveLoaded);
+                } else {
+                    this.dataToShow = this.dataTableValue.slice(0, loadedCount);
+                }
+                this.selectAllState = null;
+                this.refreshGroups();
+                this.maintainSelectionState();
+                return true;
+            })
+            .catch(error => {
+                this.handleProcessingError(error);
+                return false;
+            })
+            .finally(() => this.finishProcessing(processing));
+    }
+
+    /**
+     * @description Starts a chunked search or view update. Starting one cancels the running one of the same kind: a new
+     * search the running search, a new view update the running view update, which the new one includes.
+     * @param {string} label - The name of the operation shown next to the spinner, e.g. "Sorting".
+     * @param {string} kind - search or view.
+     * @returns {Object} - The isCancelled and onProgress options for the dataTableService chunked functions.
+     */
+    startProcessing(label, kind) {
+        const requestId = ++this.processingRequestIds[kind];
+        const isCancelled = () => requestId !== this.processingRequestIds[kind];
+        return {
+            isCancelled,
+            onProgress: progress => {
+                // Only operations that take more than one chunk show the spinner
+                if (!isCancelled()) {
+                    this.isProcessing = true;
+                    this.processingMessage = this.formatText(this.label.processingProgress, label, Math.round(progress * 100));
+                }
+            }
+        };
+    }
+
+    /**
+     * @description Hides the spinner once the operation is done, unless a newer operation was started.
+     * @param {Object} processing - The options returned by startProcessing.
+     */
+    finishProcessing(processing) {
+        if (!processing.isCancelled()) {
+            this.isProcessing = false;
+        }
+    }
+
+    /**
+     * @description Cancels the running search or view update, or both without a kind. The table keeps its current rows.
+     * @param {string} kind - search or view.
+     */
+    cancelProcessing(kind) {
+        (kind ? [kind] : Object.keys(this.processingRequestIds)).forEach(key => {
+            this.processingRequestIds[key]++;
+        });
+        this.isProcessing = false;
+    }
+
+    /**
+     * @description Reports a failed search or sort. Cancelled operations are expected and not reported.
+     * @param {Error} error - The error of the operation.
+     */
+    handleProcessingError(error) {
+        if (error.name !== 'OperationCancelledError') {
+            this.errorMessage = dataTableService.getErrorMessage(error);
+        }
+    }
+
+    /**
+     * @description Stops a pending search-as-you-type search, the row highlight timers, the running search or sort, the change
+     * subscriptions and the shortcuts.
+     */
+    disconnectedCallback() {
+        clearTimeout(this.searchTimer);
+        this.highlightTimers.forEach(timer => clearTimeout(timer));
+        this.highlightTimers.clear();
+        this.cancelProcessing();
+        this.unsubscribeFromChanges();
+        this.template.removeEventListener('keydown', this.shortcutKeyHandler);
     }
 
     /**
      * @description Handles the rendering logic for selecting pre-selected rows.
      */
     renderedCallback() {
-        let datatableAvaliable = this.template.querySelector('lightning-datatable[data-name="available"]');
-        let datatableReadOnly = this.template.querySelector('lightning-datatable[data-name="readOnly"]');
-        if (datatableAvaliable && this._tableData.length > 0 && this.dataToShow?.length != this._tableData.length && this.isLazyLoading === false) {
+        let datatableAvaliable = this.template.querySelector('c-extended-datatable[data-name="available"]');
+        let datatableReadOnly = this.template.querySelector('c-extended-datatable[data-name="readOnly"]');
+        if (datatableAvaliable && !this.isRemoteMode && !this.isVirtualMode && this._tableData.length > 0 && this.dataToShow?.length != this._tableData.length && this.isLazyLoading === false) {
             this.isLazyLoading = true;
         }
         if (datatableReadOnly && this.selectedData.length > 0 && this.selectedDataToShow?.length != this.selectedData.length && this.isReadonlyLoading === false) {
@@ -210,18 +900,39 @@ export default class AdvancedDataTable extends LightningElement {
         } else {
             this.searchValue = '';
         }
+        // A new keystroke makes the running search outdated, unless it applies changed rows: they would not be shown
+        if (!this.isSearchingChanges) {
+            this.cancelProcessing('search');
+        }
+        if (this.searchAsYouType) {
+            this.scheduleSearch();
+        }
+    }
+
+    /**
+     * @description Runs the search once the user stopped typing for searchDebounce milliseconds.
+     */
+    scheduleSearch() {
+        clearTimeout(this.searchTimer);
+        const delay = Number.isFinite(Number(this.searchDebounce)) ? Number(this.searchDebounce) : DEFAULT_SEARCH_DEBOUNCE;
+        this.searchTimer = setTimeout(() => this.handleSearch(), delay);
     }
 
     /**
-     * @description Handles the ENTER key press to trigger search functionality.
+     * @description Handles the Enter key to search and the Escape key to clear the search.
      * @param {Event} event - The keyboard event.
      */
-    handelSearchKey(event) {
+    handleSearchKey(event) {
         try {
-            if ((event?.keyCode && event.keyCode === parseInt(ENTER_KEY_CODE, 10))) {
+            if (event.key === 'Enter') {
                 event.preventDefault();
                 this.searchValue = event.target.value;
                 this.handleSearch();
+            } else if (event.key === 'Escape' && this.searchValue) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.searchValue = '';
+                this.handleSearch();
             }
         } catch (error) {
             this.isLoading = false;
@@ -242,56 +953,1967 @@ export default class AdvancedDataTable extends LightningElement {
     }
 
     /**
-     * @description Handles search button click and searches for the records.
+     * @description Handles search button click and searches for the records. Big tables are searched in chunks,
+     * a new search cancels the one that is running.
+     * @returns {Promise} - Resolves once the result is shown.
      */
     handleSearch() {
-        if (this.searchValue) {
-            let tempDisplayData = [];
-            let formattedSearchString = dataTableService.formatSearchString(this.searchValue);
-            tempDisplayData = dataTableService.dataTableSearchResult(formattedSearchString, this.searchableFields, this._tableData);
-            this.dataTableValue = tempDisplayData; // Display filtered records
-        } else {
-            this.dataTableValue = this._tableData; // Display all records
-        }
-        this.dataToShow = this.dataTableValue.slice(0, PAGE_SIZE);
-        this.maintainSelectionState();
+        clearTimeout(this.searchTimer);
+        this.searchError = '';
+        const search = this.isRemoteMode ? this.fetchPage(true) : this.runSearch(false);
+        return search.then(() => this.announceSearchResult());
     }
 
     /**
-     * @description Maintains the selection state for rows after data update.
+     * @description Searches the table data with the current search value and shows the result.
+     * @param {boolean} preserveLoaded - True to keep the scroll position (after a data update), false to show the first page.
+     * @param {boolean} isDataUpdate - True when the search applies new or changed rows, typing does not cancel it.
+     * @returns {Promise} - Resolves once the result is shown.
      */
-    maintainSelectionState() {
-        this.selectedRowsArray = this.selectedRowsArray.filter(rowId => {
-            return this._tableData.some(row => row.Id === rowId);
-        });
-        this.setSelectedRowsToDatatable(this.selectedRowsArray);
+    runSearch(preserveLoaded, isDataUpdate = false) {
+        if (!this.searchValue) {
+            this.searchedData = [...this._tableData]; // Display all records
+            this.searchReconciliation = null;
+            this.reconciliationStatus = '';
+            return this.applyDataView(preserveLoaded);
+        }
+        const processing = this.startProcessing(this.label.searching, 'search');
+        // A newer search includes the changed rows of the one it replaces
+        this.isSearchingChanges = isDataUpdate;
+        const formattedSearchString = dataTableService.formatSearchString(this.searchValue);
+        return dataTableService.dataTableSearchResultAsync(formattedSearchString, this.searchFields, this._tableData, {
+            columns: this._columns,
+            matchStrategy: this.matchStrategy,
+            sortByRelevance: this.sortByRelevance,
+            labels: this.label,
+            ...processing
+        })
+            .then(tempDisplayData => {
+                this.searchedData = tempDisplayData; // Display filtered records
+                this.searchReconciliation = dataTableService.buildSearchReconciliation(this.searchValue, this.searchFields, this._tableData, {
+                    columns: this._columns,
+                    matchStrategy: this.matchStrategy
+                });
+                this.reconciliationStatus = '';
+                return this.applyDataView(preserveLoaded);
+            })
+            .catch(error => {
+                // Invalid queries are reported below the search box and leave the current result as it is
+                if (error.name === 'SearchSyntaxError') {
+                    this.searchError = error.message;
+                } else {
+                    this.handleProcessingError(error);
+                }
+            })
+            .finally(() => {
+                if (!processing.isCancelled()) {
+                    this.isSearchingChanges = false;
+                }
+                this.finishProcessing(processing);
+            });
     }
 
+    // Labels
+
     /**
-     * @description Sets selected rows in the datatable.
-     * @param {Array} selectedRowsArray - Array of selected row IDs.
+     * @description Returns the texts of the component: the custom labels with the overrides of the labels property.
+     * @returns {Object} - The texts by key.
      */
-    setSelectedRowsToDatatable(selectedRowsArray) {
-        let datatable = this.template.querySelector('lightning-datatable[data-name="available"]');
-        if (datatable) {
-            datatable.selectedRows = selectedRowsArray;
-        }
+    get label() {
+        return { ...LABELS, ...this.labels };
     }
 
-    // Read-only table
-
     /**
-     * @description Sets data for the read-only table.
+     * @description Fills in the placeholders of a label, numbers are formatted for the locale of the user.
+     * @param {string} label - The label, e.g. "Available ({0} of {1})".
+     * @param {...*} values - The values of the placeholders.
+     * @returns {string} - The text.
+     */
+    formatText(label, ...values) {
+        return dataTableService.formatLabel(label, ...values.map(value => (typeof value === 'number' ? dataTableService.formatNumber(value) : value)));
+    }
+
+    // Keyboard shortcuts and announcements
+
+    /**
+     * @description Reads a message to screen reader users through the live region.
+     * @param {string} message - The message to announce.
+     */
+    announce(message) {
+        // A live region only announces changes, so a repeated message gets a trailing space
+        this.announcement = this.announcement === message ? `${message}\u00a0` : message;
+    }
+
+    /**
+     * @description Announces the result of a search, e.g. "42 results for 'acme'", or the syntax error of the query.
+     */
+    announceSearchResult() {
+        if (this.isProcessing || this.isRemoteLoading) {
+            // A newer search is running and announces its own result
+            return;
+        }
+        if (this.searchError) {
+            this.announce(this.searchError);
+            return;
+        }
+        const count = this.isRemoteMode ? this.totalCount || 0 : this.dataTableValue.length;
+        const countText = this.isRemoteMode ? this.remoteCountText : count;
+        this.announce(this.searchValue ?
+            this.formatText(count === 1 ? this.label.searchResult : this.label.searchResults, countText, this.searchValue) :
+            this.formatText(this.label.showingAllRows, countText));
+    }
+
+    /**
+     * @description Returns the number of selected rows as announced to screen reader users.
+     * @returns {string} - e.g. "3 rows selected".
+     */
+    get selectionAnnouncement() {
+        const count = this.selectedRows.size;
+        return this.formatText(count === 1 ? this.label.rowSelected : this.label.rowsSelected, count);
+    }
+
+    /**
+     * @description Moves the focus back into the Available table when re-rendering the rows after a search or sort
+     * dropped it, so keyboard users do not have to start over from the top of the page.
+     */
+    restoreTableFocus() {
+        // Runs after the re-render the new rows caused
+        Promise.resolve().then(() => {
+            if (!this.template.activeElement) {
+                this.template.querySelector('[data-id="availableContainer"]')?.focus();
+            }
+        });
+    }
+
+    /**
+     * @description Handles the keyboard shortcuts of the component: Alt+Shift+F focuses the search box, Alt+Shift+S and
+     * Alt+Shift+A switch to the Selected and Available tab and Alt+Shift+X selects or deselects the focused row.
+     * @param {KeyboardEvent} event - The keydown event.
+     */
+    handleShortcutKey(event) {
+        if (!event.altKey || !event.shiftKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+        const shortcut = SHORTCUT_KEYS[event.code];
+        if (!shortcut) {
+            return;
+        }
+        event.preventDefault();
+        // The Shift key of the shortcut is not a range selection
+        this.isRangeSelection = false;
+        this.isMultiSortClick = false;
+        switch (shortcut) {
+            case 'focusSearch':
+                this.template.querySelector('lightning-input[data-id="search"]')?.focus();
+                break;
+            case 'showSelectedTab':
+                this.showTab(SELECTED_TAB);
+                break;
+            case 'showAvailableTab':
+                this.showTab(AVAILABLE_TAB);
+                break;
+            case 'toggleFocusedRow':
+                this.toggleFocusedRow();
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * @description Switches to a tab and announces it.
+     * @param {string} tabValue - The value of the tab, selected or search.
+     */
+    showTab(tabValue) {
+        this.activeTab = tabValue;
+        if (this.isTransferMode) {
+            // Both lists are shown, the shortcut moves the focus to the list
+            this.template.querySelector(`[data-id="${tabValue === SELECTED_TAB ? 'selectedContainer' : 'availableContainer'}"]`)?.focus();
+        }
+        this.announce(this.formatText(this.label.tabAnnouncement, tabValue === SELECTED_TAB ? this.selectedTabLabel : this.availableTabLabel));
+    }
+
+    /**
+     * @description Keeps the active tab in sync when the user clicks a tab.
+     * @param {Event} event - The active event of the tab.
+     */
+    handleTabActive(event) {
+        this.activeTab = event.target.value;
+    }
+
+    /**
+     * @description Selects or deselects the row of the focused cell of the Available table.
+     */
+    toggleFocusedRow() {
+        const rowKey = this.template.querySelector('c-extended-datatable[data-name="available"]')?.getFocusedRowKey();
+        if (rowKey === undefined) {
+            return;
+        }
+        const keyField = this.rowKeyField;
+        // The datatable renders the key as text
+        const row = this.dataToShow.find(record => String(record[keyField]) === rowKey);
+        if (!row) {
+            return;
+        }
+        const rowId = row[keyField];
+        const isSelected = this.selectedRows.has(rowId);
+        this.selectionAnchorId = rowId;
+        this.applySelectionChange(isSelected ? 'rowDeselect' : 'rowSelect', isSelected ? [] : [rowId], isSelected ? [rowId] : [], rowId);
+    }
+
+    // Multi-value search reconciliation
+
+    /**
+     * @description Returns the summary shown at the top of the reconciliation panel.
+     * @returns {string} - e.g. "480 of 500 values matched 512 rows".
+     */
+    get reconciliationSummary() {
+        const report = this.searchReconciliation;
+        if (!report) return '';
+        const matchedTerms = report.terms.length - report.unmatchedTerms.length;
+        return this.formatText(this.label.reconciliationSummary, matchedTerms, report.terms.length, report.matchedRecords.length);
+    }
+
+    /**
+     * @description Returns the label of the unmatched values section.
+     * @returns {string} - Section label with the count.
+     */
+    get unmatchedSectionLabel() {
+        return this.formatText(this.label.notFound, this.searchReconciliation?.unmatchedTerms.length || 0);
+    }
+
+    /**
+     * @description Returns the label of the section listing values that matched more than one row.
+     * @returns {string} - Section label with the count.
+     */
+    get multipleMatchSectionLabel() {
+        return this.formatText(this.label.multipleMatches, this.searchReconciliation?.multipleMatchTerms.length || 0);
+    }
+
+    /**
+     * @description Returns the match count of every searched value for the reconciliation panel.
+     * @returns {Array} - Items with key, term and count.
+     */
+    get reconciliationTerms() {
+        return (this.searchReconciliation?.terms || []).map((item, index) => ({ key: `term-${index}`, term: item.term, count: item.count }));
+    }
+
+    /**
+     * @description Returns the values that matched more than one row, with their count.
+     * @returns {Array} - Items with key, term and count.
+     */
+    get multipleMatchTerms() {
+        return (this.searchReconciliation?.multipleMatchTerms || []).map((item, index) => ({ key: `multiple-${index}`, term: item.term, count: item.count }));
+    }
+
+    /**
+     * @description Returns the values that matched no row.
+     * @returns {Array} - Items with key and term.
+     */
+    get unmatchedTerms() {
+        return (this.searchReconciliation?.unmatchedTerms || []).map((term, index) => ({ key: `unmatched-${index}`, term }));
+    }
+
+    /**
+     * @description Checks if the copy action has something to copy.
+     * @returns {boolean} - Returns true if no value is unmatched.
+     */
+    get isCopyUnmatchedDisabled() {
+        return !this.searchReconciliation?.unmatchedTerms.length;
+    }
+
+    /**
+     * @description Checks if the select action has something to select.
+     * @returns {boolean} - Returns true if no row was matched.
+     */
+    get isSelectMatchedDisabled() {
+        return !this.searchReconciliation?.matchedRecords.length;
+    }
+
+    /**
+     * @description Selects every row matched by the multi-value search and notifies the parent.
+     */
+    handleSelectMatched() {
+        const matchedRecords = this.searchReconciliation?.matchedRecords || [];
+        const newlySelected = matchedRecords.filter(record => !this.selectedRows.has(record[this.rowKeyField]));
+        if (this.applySelectionChange('selectMatched', newlySelected.map(record => record[this.rowKeyField]), [])) {
+            this.reconciliationStatus = this.formatText(this.label.rowsAddedToSelection, newlySelected.length);
+        }
+    }
+
+    /**
+     * @description Copies the unmatched values to the clipboard, one per line so they can be pasted back into a spreadsheet.
+     * @returns {Promise} - Resolves once the values are copied.
+     */
+    handleCopyUnmatched() {
+        const unmatchedTerms = this.searchReconciliation?.unmatchedTerms || [];
+        // navigator.clipboard is missing outside secure contexts, which is reported like a refused copy
+        return Promise.resolve()
+            .then(() => navigator.clipboard.writeText(unmatchedTerms.join('\n')))
+            .then(() => {
+                this.reconciliationStatus = this.formatText(this.label.valuesCopied, unmatchedTerms.length);
+            })
+            .catch(() => {
+                this.reconciliationStatus = this.label.valuesNotCopied;
+            });
+    }
+
+    /**
+     * @description Closes the reconciliation panel.
+     */
+    handleCloseReconciliation() {
+        this.searchReconciliation = null;
+    }
+
+    // Column filters
+
+    /**
+     * @description Returns the filters shown in the filter panel, one per filterable column. The pick-lists read every row,
+     * so the definitions are only built again once the data, columns or filters change.
+     * @returns {Array} - Filter definitions with their current values.
+     */
+    get filterDefinitions() {
+        const cache = this.filterDefinitionCache;
+        if (cache.data !== this._tableData || cache.columns !== this._columns || cache.filters !== this.columnFilters) {
+            // The cache is a plain object, filling it does not re-render
+            cache.data = this._tableData;
+            cache.columns = this._columns;
+            cache.filters = this.columnFilters;
+            cache.definitions = dataTableService.buildFilterDefinitions(this._columns, this._tableData, this.columnFilters)
+                .map(definition => (definition.hasTooManyValues ?
+                    { ...definition, hint: this.formatText(this.label.filterTooManyValues, definition.valueCount) } :
+                    definition));
+        }
+        return cache.definitions;
+    }
+
+    /**
+     * @description Returns the pills shown for the active filters.
+     * @returns {Array} - Pill items for lightning-pill-container.
+     */
+    get filterPills() {
+        return this.columnFilters
+            .filter(filter => dataTableService.isFilterActive(filter))
+            .map(filter => ({
+                label: dataTableService.describeColumnFilter(filter, this._columns, this.label),
+                name: filter.fieldName
+            }));
+    }
+
+    /**
+     * @description Returns the options of the boolean column filters.
+     * @returns {Array} - Options for lightning-combobox.
+     */
+    get booleanFilterOptions() {
+        return [
+            { label: this.label.any, value: '' },
+            { label: this.label.checked, value: 'checked' },
+            { label: this.label.unchecked, value: 'unchecked' }
+        ];
+    }
+
+    /**
+     * @description Checks if any column filter is active.
+     * @returns {boolean} - Returns true if at least one filter restricts the data.
+     */
+    get hasActiveFilters() {
+        return this.filterPills.length > 0;
+    }
+
+    /**
+     * @description Returns the variant of the filter button, highlighted while filters are active.
+     * @returns {string} - Button variant.
+     */
+    get filterButtonVariant() {
+        return this.hasActiveFilters ? 'brand-outline' : 'neutral';
+    }
+
+    /**
+     * @description Opens or closes the filter panel.
+     */
+    toggleFilterPanel() {
+        this.showFilterPanel = !this.showFilterPanel;
+    }
+
+    /**
+     * @description Handles a change in a pick-list filter.
+     * @param {Event} event - The change event of the checkbox group.
+     */
+    handleValuesFilterChange(event) {
+        this.updateColumnFilter(event.target.dataset.fieldName, 'values', { values: [...event.detail.value] });
+    }
+
+    /**
+     * @description Handles a change in the lower or upper bound of a number or date range filter.
+     * @param {Event} event - The change event of the input, data-bound tells which bound changed.
+     */
+    handleRangeFilterChange(event) {
+        const { fieldName, bound, filterType } = event.target.dataset;
+        this.updateColumnFilter(fieldName, filterType, { [bound]: event.detail.value ?? '' });
+    }
+
+    /**
+     * @description Handles a change in a checked/unchecked filter.
+     * @param {Event} event - The change event of the combobox.
+     */
+    handleBooleanFilterChange(event) {
+        this.updateColumnFilter(event.target.dataset.fieldName, 'boolean', { checked: event.detail.value });
+    }
+
+    /**
+     * @description Removes the filter of the pill that was removed.
+     * @param {Event} event - The itemremove event of the pill container.
+     */
+    handleFilterPillRemove(event) {
+        this.columnFilters = this.columnFilters.filter(filter => filter.fieldName !== event.detail.item.name);
+        this.refreshAfterFilterChange();
+    }
+
+    /**
+     * @description Removes all column filters.
+     */
+    handleClearFilters() {
+        this.columnFilters = [];
+        this.refreshAfterFilterChange();
+    }
+
+    /**
+     * @description Merges a change into the filter of a column and refreshes the table.
+     * @param {string} fieldName - The field of the filtered column.
+     * @param {string} type - The filter type (values, range, dateRange or boolean).
+     * @param {Object} changes - The filter properties that changed.
+     */
+    updateColumnFilter(fieldName, type, changes) {
+        const existingFilter = this.columnFilters.find(filter => filter.fieldName === fieldName);
+        const updatedFilter = { ...(existingFilter || { fieldName, type }), ...changes };
+        this.columnFilters = [
+            ...this.columnFilters.filter(filter => filter.fieldName !== fieldName),
+            updatedFilter
+        ].filter(filter => dataTableService.isFilterActive(filter));
+        this.refreshAfterFilterChange();
+    }
+
+    /**
+     * @description Re-applies the data view (or reloads the first page in remote mode) after the filters changed.
+     */
+    refreshAfterFilterChange() {
+        if (this.isRemoteMode) {
+            this.fetchPage(true);
+            return;
+        }
+        this.applyDataView();
+    }
+
+    /**
+     * @description Maintains the selection state for rows after data update.
+     */
+    maintainSelectionState() {
+        // The selection keeps IDs of rows that are not loaded (yet), the datatable ignores them
+        this.setSelectedRowsToDatatable(this.availableCheckedRows);
+    }
+
+    /**
+     * @description Returns the rows checked in the Available table: the selection, or the rows marked to move in transfer mode.
+     * @returns {Array} - The row IDs.
+     */
+    get availableCheckedRows() {
+        return this.isTransferMode ? this.checkedAvailableIds : this.selectedRowsArray;
+    }
+
+    /**
+     * @description Sets selected rows in the datatable.
+     * @param {Array} selectedRowsArray - Array of selected row IDs.
+     */
+    setSelectedRowsToDatatable(selectedRowsArray) {
+        let datatable = this.template.querySelector('c-extended-datatable[data-name="available"]');
+        if (datatable) {
+            datatable.selectedRows = selectedRowsArray;
+        }
+    }
+
+    // Remote data
+
+    /**
+     * @description Requests a page of records from the data provider, or from the parent through the "fetchpage" event,
+     * and applies it to the table. Responses of outdated requests are ignored.
+     * @param {boolean} reset - True to reload from the first page (after a sort or search), false to load the next page.
+     * @returns {Promise} - Resolves with true once the page has been applied, false when the request failed or is outdated.
+     */
+    fetchPage(reset) {
+        const requestId = ++this.remoteRequestId;
+        const offset = reset ? 0 : this._tableData.length;
+        let request;
+        try {
+            request = dataTableService.buildPageRequest({
+                offset: offset,
+                pageSize: PAGE_SIZE,
+                cursor: reset ? undefined : this.remoteCursor,
+                sortedBy: this.sortState[0]?.fieldName,
+                sortedDirection: this.sortState[0]?.direction,
+                sortBy: this.sortState,
+                searchValue: this.searchValue,
+                searchableFields: this.searchFields,
+                columns: this._columns,
+                columnFilters: this.columnFilters,
+                matchStrategy: this.matchStrategy,
+                labels: this.label
+            });
+        } catch (error) {
+            this.searchError = error.message;
+            return Promise.resolve(false);
+        }
+        this.isRemoteLoading = true;
+        this.errorMessage = '';
+
+        return this.requestPage(request)
+            .then(result => {
+                if (requestId !== this.remoteRequestId) return false;
+                const page = dataTableService.normalizePageResult(result, PAGE_SIZE, offset);
+                this.applyPage(page, reset);
+                return true;
+            })
+            .catch(error => {
+                if (requestId !== this.remoteRequestId) return false;
+                if (error?.name === 'SearchSyntaxError') {
+                    // The provider does not support the search, e.g. the query language
+                    this.searchError = error.message;
+                } else {
+                    this.errorMessage = dataTableService.getErrorMessage(error);
+                }
+                this.isLazyLoading = false;
+                return false;
+            })
+            .finally(() => {
+                if (requestId === this.remoteRequestId) {
+                    this.isRemoteLoading = false;
+                }
+            });
+    }
+
+    /**
+     * @description Calls the data provider, or dispatches a "fetchpage" event the parent answers through
+     * detail.resolve(page) / detail.reject(error).
+     * @param {Object} request - The page request built by dataTableService.buildPageRequest.
+     * @returns {Promise} - Resolves with the page returned by the provider.
+     */
+    requestPage(request) {
+        if (typeof this.pageProvider === 'function') {
+            return Promise.resolve().then(() => this.pageProvider(request));
+        }
+        return new Promise((resolve, reject) => {
+            this.dispatchEvent(
+                new CustomEvent('fetchpage', {
+                    detail: { ...request, resolve, reject }
+                })
+            );
+        });
+    }
+
+    /**
+     * @description Applies a page returned by the provider to the table.
+     * @param {Object} page - The normalized page (records, totalCount, cursor, hasMore).
+     * @param {boolean} reset - True to replace the loaded records, false to append to them.
+     */
+    applyPage(page, reset) {
+        const records = dataTableService.applyRowKeys(page.records, this._keyField);
+        this._tableData = reset ? [...records] : [...this._tableData, ...records];
+        records.forEach(record => this.loadedRecords.set(record[this.rowKeyField], record));
+        this.rowIndex = dataTableService.indexRows(this._tableData, this.rowKeyField);
+        this.checkRowKeys();
+        this.totalCount = page.totalCount;
+        this.isTotalCountCapped = page.isTotalCountCapped;
+        this.remoteCursor = page.cursor;
+        this.dataTableValue = this.getAvailableRows(this._tableData);
+        this.isLazyLoading = page.hasMore;
+        // The banner counted the rows loaded before
+        this.selectAllState = null;
+        if (this.isVirtualMode) {
+            this.resetVirtualScroll(!reset);
+        } else {
+            this.dataToShow = [...this.dataTableValue];
+        }
+        this.refreshGroups();
+        this.maintainSelectionState();
+        this.setDataToReadOnlyTable();
+    }
+
+    // Virtual scroll
+
+    /**
+     * @description Renders the rows in view after the scroll position changed. In remote mode the next page is fetched
+     * when the rendered window reaches the last loaded rows.
+     * @param {Event} event - The scroll event of the table container.
+     */
+    handleTableScroll(event) {
+        if (!this.isVirtualMode) {
+            return;
+        }
+        this.virtualScrollTop = event.target.scrollTop;
+        this.renderVirtualWindow(event.target.clientHeight);
+        const nearEnd = this.virtualWindow.end >= this.dataTableValue.length - VIRTUAL_BUFFER_SIZE;
+        if (this.isRemoteMode && nearEnd && this.isLazyLoading && !this.isRemoteLoading) {
+            this.fetchPage(false);
+        }
+    }
+
+    /**
+     * @description Renders the window for new table data, scrolled to the top unless the scroll position is kept.
+     * @param {boolean} preserveScroll - True to keep the scroll position, e.g. when rows were appended or saved.
+     */
+    resetVirtualScroll(preserveScroll) {
+        if (!preserveScroll) {
+            this.virtualScrollTop = 0;
+            const container = this.template.querySelector('[data-id="availableContainer"]');
+            if (container) {
+                container.scrollTop = 0;
+            }
+        }
+        this.virtualWindow = { start: -1, end: -1 }; // Forces the new data to render
+        this.renderVirtualWindow();
+    }
+
+    /**
+     * @description Renders the rows in view plus a buffer, the spacers keep the height of the rows that are not rendered.
+     * @param {number} viewportHeight - The height of the table container.
+     */
+    renderVirtualWindow(viewportHeight = VIEWPORT_HEIGHT) {
+        const visibleWindow = dataTableService.getVisibleWindow(this.virtualScrollTop, viewportHeight,
+            Number(this.rowHeight) || DEFAULT_ROW_HEIGHT, this.dataTableValue.length, VIRTUAL_BUFFER_SIZE);
+        if (visibleWindow.start === this.virtualWindow.start && visibleWindow.end === this.virtualWindow.end) {
+            return;
+        }
+        this.virtualWindow = visibleWindow;
+        this.dataToShow = this.dataTableValue.slice(visibleWindow.start, visibleWindow.end);
+        this.virtualOffsetTop = visibleWindow.offsetTop;
+        this.virtualOffsetBottom = visibleWindow.offsetBottom;
+    }
+
+    // Inline editing
+
+    /**
+     * @description Returns the columns of the Selected table, which is not editable.
+     * @returns {Array} - The column definitions without inline editing.
+     */
+    get readOnlyColumns() {
+        return [
+            ...this.visibleColumns.map(column => (column.editable ? { ...column, editable: false } : column)),
+            {
+                type: 'button-icon',
+                fixedWidth: 50,
+                typeAttributes: {
+                    iconName: 'utility:close',
+                    name: 'remove',
+                    variant: 'bare',
+                    title: this.label.removeFromSelection,
+                    alternativeText: this.label.removeFromSelection
+                }
+            }
+        ];
+    }
+
+    /**
+     * @description Checks if there is an edit to undo.
+     * @returns {boolean} - Returns true if the undo button has to be shown.
+     */
+    get canUndo() {
+        return this.editHistory.length > 0 && this.draftValues.length > 0;
+    }
+
+    /**
+     * @description Merges the edited cells into the draft values and validates them.
+     * @param {Event} event - The cellchange event of the datatable.
+     */
+    handleCellChange(event) {
+        this.editHistory = [...this.editHistory, this.draftValues];
+        this.draftValues = dataTableService.mergeDraftValues(this.draftValues, event.detail.draftValues, this.rowKeyField);
+        this.validateDrafts();
+    }
+
+    /**
+     * @description Restores the draft values before the last edit.
+     */
+    handleUndo() {
+        this.draftValues = this.editHistory[this.editHistory.length - 1] || [];
+        this.editHistory = this.editHistory.slice(0, -1);
+        this.validateDrafts();
+    }
+
+    /**
+     * @description Discards all draft values.
+     */
+    handleCancelEdit() {
+        this.draftValues = [];
+        this.editHistory = [];
+        this.tableErrors = null;
+    }
+
+    /**
+     * @description Validates the draft values against the validation rules of the columns.
+     * @returns {boolean} - Returns true if all drafts are valid.
+     */
+    validateDrafts() {
+        this.tableErrors = dataTableService.validateDraftValues(this.draftValues, this._columns, this._tableData, this.rowKeyField, this.label);
+        return !this.tableErrors;
+    }
+
+    /**
+     * @description Validates the drafts and dispatches the save event with the changed rows. The parent persists them and calls
+     * detail.resolve(savedRecords) with the records returned by the server (or nothing to keep the drafted values),
+     * or detail.reject(error) where error may hold datatable errors ({ rows, table }).
+     * @returns {Promise} - Resolves once the save has been handled.
+     */
+    handleSave() {
+        if (!this.validateDrafts()) {
+            return Promise.resolve();
+        }
+        const draftValues = this.draftValues;
+        const changedRows = dataTableService.applyDraftValues(this._tableData, draftValues, this.rowKeyField);
+        this.isSaving = true;
+        return new Promise((resolve, reject) => {
+            this.dispatchEvent(
+                new CustomEvent('save', {
+                    detail: { draftValues, changedRows, resolve, reject }
+                })
+            );
+        })
+            .then(savedRecords => {
+                this.applySavedRecords(Array.isArray(savedRecords) ? dataTableService.applyRowKeys(savedRecords, this._keyField) : changedRows);
+                // Edits made while saving stay as drafts
+                this.draftValues = this.draftValues === draftValues ? [] : this.draftValues;
+                this.editHistory = [];
+                this.tableErrors = null;
+            })
+            .catch(error => {
+                this.tableErrors = dataTableService.buildSaveErrors(error, this.label);
+            })
+            .finally(() => {
+                this.isSaving = false;
+            });
+    }
+
+    /**
+     * @description Merges saved records into the table data and refreshes both tables, keeping the search, filters, sort and scroll position.
+     * @param {Array} savedRecords - The records returned by the server.
+     */
+    applySavedRecords(savedRecords) {
+        const keyField = this.rowKeyField;
+        this._tableData = dataTableService.mergeRecords(this._tableData, savedRecords, keyField);
+        this.rowIndex = dataTableService.indexRows(this._tableData, keyField);
+        this.searchedData = dataTableService.mergeRecords(this.searchedData, savedRecords, keyField);
+        savedRecords.forEach(record => {
+            if (this.loadedRecords.has(record[keyField])) {
+                this.loadedRecords.set(record[keyField], { ...this.loadedRecords.get(record[keyField]), ...record });
+            }
+        });
+        if (this.isRemoteMode) {
+            this.refreshLoadedRows();
+        } else {
+            this.applyDataView(true);
+        }
+        this.setDataToReadOnlyTable();
+    }
+
+    /**
+     * @description Shows the loaded records again after they changed in remote mode, keeping the scroll position.
+     */
+    refreshLoadedRows() {
+        this.dataTableValue = this.getAvailableRows(this._tableData);
+        if (this.isVirtualMode) {
+            this.resetVirtualScroll(true);
+        } else {
+            this.dataToShow = [...this.dataTableValue];
+        }
+        this.refreshGroups();
+        this.maintainSelectionState();
+    }
+
+    // Row and bulk actions
+
+    /**
+     * @description Returns the row actions in the format of the datatable action column.
+     * @returns {Array} - Items with label, name, iconName and disabled.
+     */
+    get rowActionItems() {
+        return dataTableService.normalizeActions(this.rowActions, this.label)
+            .map(({ label, name, iconName, disabled }) => ({ label, name, iconName, disabled }));
+    }
+
+    /**
+     * @description Returns the buttons of the bulk action toolbar. They are disabled while nothing is selected or an action runs.
+     * @returns {Array} - Items with label, name, iconName and disabled.
+     */
+    get bulkActionItems() {
+        const isDisabled = this.selectedRowsArray.length === 0 || this.isActionRunning;
+        return dataTableService.normalizeActions(this.bulkActions, this.label)
+            .map(action => ({ ...action, disabled: action.disabled || isDisabled }));
+    }
+
+    /**
+     * @description Checks if the bulk action toolbar has to be shown.
+     * @returns {boolean} - Returns true if bulk actions are configured.
+     */
+    get hasBulkActions() {
+        return this.bulkActionItems.length > 0;
+    }
+
+    /**
+     * @description Runs the row action picked in the row menu of the Available table.
+     * @param {Event} event - The rowaction event of the datatable.
+     * @returns {Promise} - Resolves once the action has been handled.
+     */
+    handleRowAction(event) {
+        const action = dataTableService.normalizeActions(this.rowActions, this.label).find(rowAction => rowAction.name === event.detail.action.name);
+        const row = event.detail.row;
+        return this.runAction(action, 'row', [dataTableService.getRowKey(row, this.rowKeyField)], [row]);
+    }
+
+    /**
+     * @description Runs a bulk action on the selected rows.
+     * @param {Event} event - The click event of the toolbar button.
+     * @returns {Promise} - Resolves once the action has been handled.
+     */
+    handleBulkAction(event) {
+        const action = dataTableService.normalizeActions(this.bulkActions, this.label).find(bulkAction => bulkAction.name === event.currentTarget.dataset.name);
+        return this.runAction(action, 'bulk', [...this.selectedRows], this.resolveSelectedRecords());
+    }
+
+    /**
+     * @description Asks for confirmation if the action requires it and dispatches the action event. A handler is required: the parent
+     * calls event.preventDefault() to take over the action and later detail.resolve(result) or detail.reject(error). The result may
+     * hold updated records, removedIds or refresh: true, rows of actions with removesRows are removed without it. In remote mode the rows
+     * are reloaded when nothing is returned. When no listener calls preventDefault() or settles the action right away, nothing is applied.
+     * @param {Object} action - The normalized action.
+     * @param {string} scope - row or bulk.
+     * @param {Array} ids - The keys of the affected rows, for bulk actions also of selected rows that are not loaded.
+     * @param {Array} rows - The affected records that are loaded.
+     * @returns {Promise} - Resolves once the action has been handled.
+     */
+    runAction(action, scope, ids, rows) {
+        if (!action || !ids.length) {
+            return Promise.resolve();
+        }
+        const confirmation = action.confirm ?
+            LightningConfirm.open({
+                message: ids.length === 1 ? this.formatText(this.label.actionConfirmRow, action.label) : this.formatText(this.label.actionConfirmRows, action.label, ids.length),
+                label: action.label,
+                theme: 'warning'
+            }) :
+            Promise.resolve(true);
+        return confirmation.then(isConfirmed => {
+            if (!isConfirmed) return undefined;
+            this.isActionRunning = true;
+            this.errorMessage = '';
+            return new Promise((resolve, reject) => {
+                let isSettled = false;
+                const settle = callback => value => {
+                    isSettled = true;
+                    callback(value);
+                };
+                const actionEvent = new CustomEvent('action', {
+                    cancelable: true,
+                    detail: { name: action.name, scope, ids, rows, resolve: settle(resolve), reject: settle(reject) }
+                });
+                this.dispatchEvent(actionEvent);
+                if (!actionEvent.defaultPrevented && !isSettled) {
+                    // Nobody handles the action, the button must not stay disabled
+                    resolve(UNHANDLED_ACTION);
+                }
+            })
+                .then(result => {
+                    if (result !== UNHANDLED_ACTION) {
+                        this.applyActionResult(action, ids, dataTableService.normalizeActionResult(result));
+                    }
+                })
+                .catch(error => {
+                    this.errorMessage = dataTableService.getErrorMessage(error);
+                })
+                .finally(() => {
+                    this.isActionRunning = false;
+                });
+        });
+    }
+
+    /**
+     * @description Applies the result of a successful action: merges updated records, removes rows and reloads in remote mode.
+     * @param {Object} action - The normalized action.
+     * @param {Array} ids - The keys of the affected rows.
+     * @param {Object} result - The normalized result (see dataTableService.normalizeActionResult).
+     */
+    applyActionResult(action, ids, { records, removedIds, refresh }) {
+        const idsToRemove = action.removesRows ? ids : removedIds;
+        if (records.length) {
+            this.applySavedRecords(dataTableService.applyRowKeys(records, this._keyField));
+        }
+        if (idsToRemove.length) {
+            this.removeRowsByKey(idsToRemove);
+        }
+        if (this.isRemoteMode && (refresh || (!records.length && !idsToRemove.length))) {
+            this.fetchPage(true);
+        }
+    }
+
+    /**
+     * @description Removes rows from the table, the selection and the drafts, keeping the search, filters, sort and scroll position.
+     * When selected rows are removed the parent is notified with the rowselection event (action rowsRemoved).
+     * @param {Array} ids - The keys of the rows to remove.
+     * @returns {Array} - The keys of the removed rows that were selected.
+     */
+    removeRowsByKey(ids) {
+        const keyField = this.rowKeyField;
+        const removedIds = new Set(ids);
+        const droppedIds = ids.filter(rowId => this.selectedRows.has(rowId));
+        const droppedRecords = droppedIds.map(rowId => this.rowIndex.get(rowId) || this.loadedRecords.get(rowId)).filter(row => row);
+        const previousCount = this._tableData.length;
+        this._tableData = dataTableService.removeRecords(this._tableData, ids, keyField);
+        this.rowIndex = dataTableService.indexRows(this._tableData, keyField);
+        this.searchedData = dataTableService.removeRecords(this.searchedData, ids, keyField);
+        ids.forEach(rowId => {
+            this.loadedRecords.delete(rowId);
+            this.selectedRows.delete(rowId);
+        });
+        this.draftValues = this.draftValues.filter(draft => !removedIds.has(draft[keyField]));
+        if (this.isRemoteMode) {
+            this.totalCount = Math.max((this.totalCount || 0) - (previousCount - this._tableData.length), 0);
+            this.refreshLoadedRows();
+        } else {
+            this.applyDataView(true);
+        }
+        this.updateSelectionState();
+        if (droppedIds.length) {
+            this.dispatchSelectionChange('rowsRemoved', undefined, this.resolveSelectedRecords(), droppedRecords);
+        }
+        return droppedIds;
+    }
+
+    // Real-time changes
+
+    /**
+     * @description Adds or updates rows, matched by key. Updated rows may hold only the changed fields. The search, filters,
+     * sort, scroll position and selection are kept and the changed rows are highlighted for a moment.
+     * In remote mode only rows that are loaded are updated.
+     * @param {Array} rows - The new or changed rows.
+     */
+    @api upsertRows(rows) {
+        this.applyChanges({ upsertedRows: rows });
+    }
+
+    /**
+     * @description Removes rows by key. Selected rows are dropped from the selection with a notice.
+     * @param {Array} ids - The keys of the rows to remove.
+     */
+    @api removeRows(ids) {
+        this.applyChanges({ removedIds: ids });
+    }
+
+    /**
+     * @description Subscribes to the RecordTableChanges message channel and the Change Data Capture channel, if configured.
+     */
+    subscribeToChanges() {
+        if (this.changeSource && !this.messageSubscription) {
+            this.messageSubscription = subscribe(this.messageContext, RECORD_TABLE_CHANGES, message => {
+                if (message?.source === this.changeSource) {
+                    this.applyChanges(message);
+                }
+            }, { scope: APPLICATION_SCOPE });
+        }
+        if (this.changeEventChannel && !this.streamSubscription) {
+            onStreamError(error => {
+                this.errorMessage = this.formatText(this.label.liveUpdatesStopped, dataTableService.getErrorMessage(error));
+            });
+            subscribeToStream(this.changeEventChannel, -1, message => {
+                const changes = dataTableService.parseChangeEvent(message);
+                this.applyChanges({ ...changes, removedIds: this.getKeysOfRecordIds(changes.removedIds) });
+                if (changes.createdIds.length) {
+                    // The parent loads the records that belong to the table and adds them with upsertRows
+                    this.dispatchEvent(new CustomEvent('recordscreated', { detail: { ids: changes.createdIds } }));
+                }
+            })
+                .then(subscription => {
+                    // The component may have been removed while subscribing
+                    if (this.isConnected) {
+                        this.streamSubscription = subscription;
+                    } else {
+                        unsubscribeFromStream(subscription, () => {});
+                    }
+                })
+                .catch(error => {
+                    this.errorMessage = this.formatText(this.label.liveUpdatesUnavailable, dataTableService.getErrorMessage(error));
+                });
+        }
+    }
+
+    /**
+     * @description Ends the subscriptions to changes.
+     */
+    unsubscribeFromChanges() {
+        if (this.messageSubscription) {
+            unsubscribe(this.messageSubscription);
+            this.messageSubscription = null;
+        }
+        if (this.streamSubscription) {
+            unsubscribeFromStream(this.streamSubscription, () => {});
+            this.streamSubscription = null;
+        }
+    }
+
+    /**
+     * @description Applies incremental changes to the table.
+     * @param {Object} changes - upsertedRows (new or changed rows), updatedRows (changes of rows that are only applied
+     * if the row is loaded) and removedIds.
+     */
+    applyChanges({ upsertedRows = [], updatedRows = [], removedIds = [] }) {
+        if (removedIds.length) {
+            this.removeChangedRows(removedIds);
+        }
+        const keyField = this.rowKeyField;
+        const rows = [
+            ...dataTableService.applyRowKeys(upsertedRows, this._keyField).filter(row => !this.isRemoteMode || this.rowIndex.has(row[keyField])),
+            ...this.keyUpdatedRows(updatedRows)
+        ];
+        if (rows.length) {
+            this.mergeChangedRows(rows);
+        }
+    }
+
+    /**
+     * @description Gives the changes of loaded rows the key of the row they change. Rows are found by the record ID in the
+     * Id field, as change events hold only the changed fields, or else by their key. Changes of other rows are left out.
+     * @param {Array} rows - The changed fields of the rows.
+     * @returns {Array} - The changes with the keys of the loaded rows.
+     */
+    keyUpdatedRows(rows) {
+        if (!rows.length) {
+            return [];
+        }
+        const keyField = this.rowKeyField;
+        const rowsById = this.getRowsById();
+        return rows
+            .map(row => {
+                const loadedRow = (row.Id && rowsById.get(row.Id)) || this.rowIndex.get(dataTableService.getRowKey(row, this._keyField));
+                return loadedRow ? { ...row, [keyField]: loadedRow[keyField] } : null;
+            })
+            .filter(row => row);
+    }
+
+    /**
+     * @description Returns the keys of the loaded rows with the given record IDs, e.g. the deleted records of a change event.
+     * @param {Array} recordIds - The record IDs.
+     * @returns {Array} - The row keys.
+     */
+    getKeysOfRecordIds(recordIds) {
+        if (!recordIds.length || this.rowKeyField === 'Id') {
+            return recordIds;
+        }
+        const rowsById = this.getRowsById();
+        return recordIds.filter(recordId => rowsById.has(recordId)).map(recordId => rowsById.get(recordId)[this.rowKeyField]);
+    }
+
+    /**
+     * @description Returns the loaded rows by their record ID, the Id field.
+     * @returns {Map} - The rows by record ID.
+     */
+    getRowsById() {
+        return this.rowKeyField === 'Id' ? this.rowIndex : dataTableService.indexRows(this._tableData, 'Id');
+    }
+
+    /**
+     * @description Merges changed rows into the table data, highlights them and refreshes both tables.
+     * @param {Array} rows - The new or changed rows with their keys.
+     */
+    mergeChangedRows(rows) {
+        const keyField = this.rowKeyField;
+        const highlightedRows = rows.map(row => ({ ...row, [ROW_HIGHLIGHT_FIELD]: ROW_HIGHLIGHT_CLASS }));
+        this._tableData = dataTableService.upsertRecords(this._tableData, highlightedRows, keyField);
+        this.rowIndex = dataTableService.indexRows(this._tableData, keyField);
+        highlightedRows.forEach(row => {
+            if (this.loadedRecords.has(row[keyField])) {
+                this.loadedRecords.set(row[keyField], { ...this.loadedRecords.get(row[keyField]), ...row });
+            }
+        });
+        if (this.isRemoteMode) {
+            this.refreshLoadedRows();
+        } else {
+            // Changed rows may now match the search or not anymore
+            this.runSearch(true, true);
+        }
+        this.setDataToReadOnlyTable();
+        const rowIds = rows.map(row => row[keyField]);
+        const timer = setTimeout(() => {
+            this.highlightTimers.delete(timer);
+            this.clearRowHighlights(rowIds);
+        }, ROW_HIGHLIGHT_DURATION);
+        this.highlightTimers.add(timer);
+    }
+
+    /**
+     * @description Removes the highlight of changed rows. The rows keep their order, nothing is searched or sorted again.
+     * @param {Array} rowIds - The keys of the highlighted rows.
+     */
+    clearRowHighlights(rowIds) {
+        const keyField = this.rowKeyField;
+        const clear = rows => dataTableService.removeFieldFromRows(rows, rowIds, ROW_HIGHLIGHT_FIELD, keyField);
+        this._tableData = clear(this._tableData);
+        this.rowIndex = dataTableService.indexRows(this._tableData, keyField);
+        this.searchedData = clear(this.searchedData);
+        this.dataTableValue = clear(this.dataTableValue);
+        this.dataToShow = clear(this.dataToShow);
+        rowIds.forEach(rowId => {
+            const record = this.loadedRecords.get(rowId);
+            if (record) {
+                this.loadedRecords.set(rowId, clear([record])[0]);
+            }
+        });
+        this.refreshGroups();
+        this.setDataToReadOnlyTable();
+    }
+
+    /**
+     * @description Removes deleted rows. Selected rows among them are dropped from the selection with a notice.
+     * @param {Array} ids - The keys of the deleted rows.
+     */
+    removeChangedRows(ids) {
+        const droppedIds = this.removeRowsByKey(ids);
+        if (droppedIds.length) {
+            this.changeNotice = droppedIds.length === 1 ?
+                this.label.selectedRowDeleted :
+                this.formatText(this.label.selectedRowsDeleted, droppedIds.length);
+        }
+    }
+
+    /**
+     * @description Hides the notice about deleted rows.
+     */
+    dismissChangeNotice() {
+        this.changeNotice = '';
+    }
+
+    // Grouping
+
+    /**
+     * @description Checks if the rows are grouped, the Available tab then shows a tree-grid instead of the datatable.
+     * @returns {boolean} - Returns true if at least one group-by field is set.
+     */
+    get isGrouped() {
+        return this.groupState.length > 0;
+    }
+
+    /**
+     * @description Returns the columns offered in the Group By menu, in the order they were picked first.
+     * @returns {Array} - Menu items with fieldName, label and checked.
+     */
+    get groupByMenuItems() {
+        return this.visibleColumns
+            .filter(column => column.fieldName)
+            .map(column => {
+                const level = this.groupState.indexOf(column.fieldName);
+                return {
+                    fieldName: column.fieldName,
+                    label: level === -1 ? column.label : `${column.label} (${level + 1})`,
+                    checked: level !== -1
+                };
+            });
+    }
+
+    /**
+     * @description Returns the columns of the grouped tree-grid: the group label followed by the shown columns.
+     * The tree-grid cannot sort or edit, the rows keep the sort of the table. Custom cell types are shown as their standard type.
+     * @returns {Array} - The column definitions.
+     */
+    get groupColumns() {
+        return [
+            { label: this.label.group, fieldName: '_groupLabel', type: 'text', initialWidth: 240 },
+            ...dataTableService.toStandardColumns(this.visibleColumns).map(column => ({ ...column, sortable: false, editable: false }))
+        ];
+    }
+
+    /**
+     * @description Returns the checked rows of the grouped tree-grid: the selected rows and the groups whose rows are all selected.
+     * @returns {Array} - The row and group keys.
+     */
+    get groupSelectedRows() {
+        return this.groupResult ? dataTableService.getGroupSelectedKeys(this.groupResult.groupRowIds, this.selectedRowsArray) : [];
+    }
+
+    /**
+     * @description Returns the grand totals of the numeric columns shown below the grouped rows.
+     * @returns {Array} - Rows with label, count, sum, avg, min, max and the number format style.
+     */
+    get grandTotalRows() {
+        const aggregates = this.groupResult?.totals.aggregates || {};
+        return this.visibleColumns
+            .filter(column => aggregates[column.fieldName])
+            .map(column => ({
+                fieldName: column.fieldName,
+                label: column.label,
+                formatStyle: NUMBER_FORMAT_STYLES[column.type],
+                currencyCode: column.typeAttributes?.currencyCode,
+                ...aggregates[column.fieldName]
+            }));
+    }
+
+    /**
+     * @description Returns the heading of the grand total table with the number of grouped rows.
+     * @returns {string} - e.g. "Grand Total (1,250 rows)".
+     */
+    get grandTotalHeading() {
+        return this.formatText(this.label.grandTotalRows, this.groupResult?.totals.count || 0);
+    }
+
+    /**
+     * @description Rebuilds the group tree from the current rows.
+     * @param {boolean} isGroupingChanged - True when the group-by fields changed, the top level groups are then expanded.
+     */
+    refreshGroups(isGroupingChanged) {
+        if (!this.isGrouped) {
+            this.groupResult = null;
+            return;
+        }
+        this.groupResult = dataTableService.buildGroupTree(this.dataTableValue, this.groupState, this._columns, this.groupAggregate, this.rowKeyField, this.label);
+        if (isGroupingChanged) {
+            this.expandedGroups = this.groupResult.rows.map(row => row[this.rowKeyField]);
+        }
+    }
+
+    /**
+     * @description Adds or removes a group-by field picked in the Group By menu. "none" removes the grouping.
+     * @param {Event} event - The select event of the Group By menu.
+     */
+    handleGroupByMenu(event) {
+        const fieldName = event.detail.value;
+        if (fieldName === 'none') {
+            this.groupState = [];
+        } else if (this.groupState.includes(fieldName)) {
+            this.groupState = this.groupState.filter(groupField => groupField !== fieldName);
+        } else {
+            this.groupState = [...this.groupState, fieldName];
+        }
+        this.refreshGroups(true);
+    }
+
+    /**
+     * @description Changes the aggregate shown in the group rows.
+     * @param {Event} event - The change event of the aggregate combobox.
+     */
+    handleGroupAggregateChange(event) {
+        this.groupAggregate = event.detail.value;
+        this.refreshGroups();
+    }
+
+    /**
+     * @description Keeps track of the expanded groups.
+     * @param {Event} event - The toggle event of the tree-grid.
      */
-    setDataToReadOnlyTable() {
+    handleGroupToggle(event) {
+        const { name, isExpanded } = event.detail;
+        const expandedGroups = this.expandedGroups.filter(groupKey => groupKey !== name);
+        this.expandedGroups = isExpanded ? [...expandedGroups, name] : expandedGroups;
+    }
+
+    /**
+     * @description Handles a selection change in the grouped tree-grid. Checking or unchecking a group (de)selects all of its rows
+     * through the row selection bookkeeping of the service and notifies the parent.
+     * @param {Event} event - The rowselection event of the tree-grid.
+     */
+    handleGroupRowSelection(event) {
+        const selectedKeys = event.detail.selectedRows.map(row => row[this.rowKeyField]);
+        const { selectIds, deselectIds } = dataTableService.resolveGroupSelection(this.groupResult.groupRowIds, this.groupSelectedRows, selectedKeys);
+        this.applySelectionChange('groupSelection', selectIds, deselectIds);
+    }
+
+    // Column chooser
+
+    /**
+     * @description Returns the columns listed in the column chooser, in display order and including the hidden ones.
+     * @returns {Array} - Items with fieldName, label, visibility, pin state and whether they can move.
+     */
+    get columnChooserItems() {
+        const orderedColumns = dataTableService.orderColumns(this._columns, this.columnOrder, this.pinnedColumn);
+        const visibleCount = orderedColumns.filter(column => !this.hiddenColumns.includes(column.fieldName)).length;
+        return orderedColumns.map((column, index) => {
+            const isVisible = !this.hiddenColumns.includes(column.fieldName);
+            const isPinned = column.fieldName === this.pinnedColumn;
+            return {
+                fieldName: column.fieldName,
+                label: column.label || column.fieldName,
+                isVisible,
+                isPinned,
+                // The pinned column and the last shown column cannot be hidden
+                isVisibilityLocked: isPinned || (isVisible && visibleCount === 1),
+                pinIcon: isPinned ? 'utility:pinned' : 'utility:pin',
+                pinLabel: this.formatText(isPinned ? this.label.unpinColumn : this.label.pinColumn, column.label || column.fieldName),
+                isMoveUpDisabled: isPinned || index === 0 || (index === 1 && Boolean(this.pinnedColumn)),
+                isMoveDownDisabled: isPinned || index === orderedColumns.length - 1,
+                moveUpLabel: this.formatText(this.label.moveColumnUp, column.label || column.fieldName),
+                moveDownLabel: this.formatText(this.label.moveColumnDown, column.label || column.fieldName)
+            };
+        });
+    }
+
+    /**
+     * @description Opens or closes the column chooser.
+     */
+    toggleColumnChooser() {
+        this.showColumnChooser = !this.showColumnChooser;
+    }
+
+    /**
+     * @description Shows or hides a column.
+     * @param {Event} event - The change event of the column checkbox.
+     */
+    handleColumnVisibilityChange(event) {
+        const fieldName = event.target.dataset.fieldName;
+        const hiddenColumns = this.hiddenColumns.filter(hiddenField => hiddenField !== fieldName);
+        this.updateColumnConfiguration({
+            hiddenColumns: event.target.checked ? hiddenColumns : [...hiddenColumns, fieldName]
+        });
+    }
+
+    /**
+     * @description Pins a column as the first column, or unpins the pinned column.
+     * @param {Event} event - The click event of the pin button.
+     */
+    handleColumnPin(event) {
+        const fieldName = event.currentTarget.dataset.fieldName;
+        const isPinned = this.pinnedColumn === fieldName;
+        this.updateColumnConfiguration({
+            pinnedColumn: isPinned ? null : fieldName,
+            // A pinned column is always shown
+            hiddenColumns: this.hiddenColumns.filter(hiddenField => hiddenField !== fieldName)
+        });
+    }
+
+    /**
+     * @description Moves a column one position up or down with the arrow buttons.
+     * @param {Event} event - The click event, data-direction is up or down.
+     */
+    handleColumnMove(event) {
+        const { fieldName, direction } = event.currentTarget.dataset;
+        const orderedColumns = dataTableService.orderColumns(this._columns, this.columnOrder, this.pinnedColumn);
+        const index = orderedColumns.findIndex(column => column.fieldName === fieldName);
+        this.updateColumnConfiguration({
+            columnOrder: dataTableService.moveColumn(orderedColumns, fieldName, direction === 'up' ? index - 1 : index + 1)
+        });
+    }
+
+    /**
+     * @description Remembers the column that is dragged in the column chooser.
+     * @param {Event} event - The dragstart event.
+     */
+    handleColumnDragStart(event) {
+        this.draggedFieldName = event.currentTarget.dataset.fieldName;
+        event.dataTransfer.effectAllowed = 'move';
+    }
+
+    /**
+     * @description Allows dropping a column on another column.
+     * @param {Event} event - The dragover event.
+     */
+    handleColumnDragOver(event) {
+        event.preventDefault();
+    }
+
+    /**
+     * @description Moves the dragged column to the position of the column it was dropped on.
+     * @param {Event} event - The drop event.
+     */
+    handleColumnDrop(event) {
+        event.preventDefault();
+        const targetFieldName = event.currentTarget.dataset.fieldName;
+        const draggedFieldName = this.draggedFieldName;
+        this.draggedFieldName = undefined;
+        if (!draggedFieldName || draggedFieldName === targetFieldName) {
+            return;
+        }
+        const orderedColumns = dataTableService.orderColumns(this._columns, this.columnOrder, this.pinnedColumn);
+        const targetIndex = orderedColumns.findIndex(column => column.fieldName === targetFieldName);
+        this.updateColumnConfiguration({
+            columnOrder: dataTableService.moveColumn(orderedColumns, draggedFieldName, targetIndex)
+        });
+    }
+
+    /**
+     * @description Applies a change of the column configuration to both tables, re-runs the search when the searched columns changed
+     * and notifies the parent with the columnschange event.
+     * @param {Object} changes - The changed properties: hiddenColumns, columnOrder and/or pinnedColumn.
+     */
+    updateColumnConfiguration({ hiddenColumns = this.hiddenColumns, columnOrder = this.columnOrder, pinnedColumn = this.pinnedColumn }) {
+        const previousSearchFields = this.searchFields.join();
+        this.hiddenColumns = hiddenColumns;
+        this.columnOrder = columnOrder;
+        this.pinnedColumn = pinnedColumn;
+        if (this.searchValue && previousSearchFields !== this.searchFields.join()) {
+            this.handleSearch();
+        }
+        this.dispatchEvent(
+            new CustomEvent('columnschange', {
+                detail: {
+                    columns: this.visibleColumns,
+                    hiddenColumns: [...this.hiddenColumns],
+                    columnOrder: dataTableService.orderColumns(this._columns, this.columnOrder, this.pinnedColumn).map(column => column.fieldName),
+                    pinnedColumn: this.pinnedColumn
+                }
+            })
+        );
+    }
+
+    // Saved views
+
+    /**
+     * @description Returns the storage of the saved views.
+     * @returns {Object} - The storage adapter given by the parent, or the localStorage adapter.
+     */
+    get viewStorage() {
+        return this.viewStorageAdapter || dataTableService.localStorageViewAdapter;
+    }
+
+    /**
+     * @description Checks if views can be saved, they are stored per tableName.
+     * @returns {boolean} - Returns true if the views menu has to be shown.
+     */
+    get isViewMenuShown() {
+        return Boolean(this.tableName);
+    }
+
+    /**
+     * @description Returns the view that was last applied or saved.
+     * @returns {Object} - The active view, or undefined.
+     */
+    get activeView() {
+        return this.views.find(view => view.id === this.activeViewId);
+    }
+
+    /**
+     * @description Returns the label of the views menu.
+     * @returns {string} - The name of the active view, or "Views".
+     */
+    get viewMenuLabel() {
+        return this.activeView?.name || this.label.views;
+    }
+
+    /**
+     * @description Returns the saved views listed in the views menu, the active view is checked.
+     * @returns {Array} - Menu items with id, value, label and checked.
+     */
+    get viewMenuItems() {
+        return this.views.map(view => ({
+            id: view.id,
+            value: `view:${view.id}`,
+            label: view.id === this.defaultViewId ? this.formatText(this.label.defaultView, view.name) : view.name,
+            checked: view.id === this.activeViewId
+        }));
+    }
+
+    /**
+     * @description Checks if the actions on the active view (save, rename, delete, default) are unavailable.
+     * @returns {boolean} - Returns true if no view is active.
+     */
+    get isViewActionDisabled() {
+        return !this.activeView;
+    }
+
+    /**
+     * @description Returns the label of the default view action.
+     * @returns {string} - "Remove as Default" for the default view, else "Set as Default".
+     */
+    get defaultViewActionLabel() {
+        return this.activeView && this.activeViewId === this.defaultViewId ? this.label.removeAsDefault : this.label.setAsDefault;
+    }
+
+    /**
+     * @description Loads the saved views of the table and applies the default view.
+     * @returns {Promise} - Resolves with true if a view was applied.
+     */
+    restoreDefaultView() {
+        if (!this.tableName) {
+            return Promise.resolve(false);
+        }
+        return this.viewStorage.loadViews(this.tableName)
+            .then(viewSettings => {
+                // Settings without a list of views (e.g. from a custom adapter) count as no views
+                this.views = Array.isArray(viewSettings?.views) ? viewSettings.views : [];
+                this.defaultViewId = viewSettings?.defaultViewId || null;
+                const defaultView = this.views.find(view => view.id === this.defaultViewId);
+                if (!defaultView) {
+                    return false;
+                }
+                this.applyView(defaultView);
+                return true;
+            })
+            .catch(error => {
+                this.errorMessage = this.formatText(this.label.viewsLoadError, dataTableService.getErrorMessage(error));
+                return false;
+            });
+    }
+
+    /**
+     * @description Handles the views menu. The menu value is "view:<id>" to switch to a view, or the name of an action.
+     * @param {Event} event - The select event of the views menu.
+     * @returns {Promise} - Resolves once the action is done.
+     */
+    handleViewMenu(event) {
+        const [action, viewId] = event.detail.value.split(':');
+        switch (action) {
+            case 'view':
+                this.applyView(this.views.find(view => view.id === viewId));
+                return Promise.resolve();
+            case 'save':
+                return this.activeView ? this.saveView(this.activeView.name, this.activeViewId) : this.saveViewAs();
+            case 'saveAs':
+                return this.saveViewAs();
+            case 'rename':
+                return this.renameActiveView();
+            case 'delete':
+                return this.deleteActiveView();
+            case 'default':
+                this.defaultViewId = this.defaultViewId === this.activeViewId ? null : this.activeViewId;
+                return this.persistViews();
+            case 'reset':
+                this.activeViewId = null;
+                this.applyViewState(dataTableService.normalizeViewState({}, this._columns));
+                return Promise.resolve();
+            default:
+                return Promise.resolve();
+        }
+    }
+
+    /**
+     * @description Applies a saved view to the table.
+     * @param {Object} view - The view: id, name and state.
+     */
+    applyView(view) {
+        if (!view) return;
+        this.activeViewId = view.id;
+        this.applyViewState(dataTableService.normalizeViewState(view.state, this._columns));
+    }
+
+    /**
+     * @description Applies the sort, search, filters, widths and hidden columns of a view and refreshes the table.
+     * @param {Object} state - The normalized view state.
+     */
+    applyViewState(state) {
+        this.sortState = state.sortBy;
+        this.sortedBy = state.sortBy[0]?.fieldName;
+        this.sortedDirection = state.sortBy[0]?.direction;
+        this.searchValue = state.searchValue;
+        this.columnFilters = state.columnFilters;
+        this.columnWidths = state.columnWidths;
+        this.hiddenColumns = state.hiddenColumns;
+        this.columnOrder = state.columnOrder;
+        this.pinnedColumn = state.pinnedColumn;
+        this.groupState = state.groupBy;
+        this.handleSearch().then(() => this.refreshGroups(true));
+    }
+
+    /**
+     * @description Asks for a name and saves the current state as a new view.
+     * @returns {Promise} - Resolves once the view is saved, or the prompt is cancelled.
+     */
+    saveViewAs() {
+        return LightningPrompt.open({ message: this.label.viewNamePrompt, label: this.label.saveViewAs, defaultValue: '' })
+            .then(name => (name?.trim() ? this.saveView(name.trim(), dataTableService.createViewId()) : undefined));
+    }
+
+    /**
+     * @description Saves the current state of the table in a view and makes it the active view.
+     * @param {string} name - The name of the view.
+     * @param {string} viewId - The id of the view, an existing view is overwritten.
+     * @returns {Promise} - Resolves once the views are stored.
+     */
+    saveView(name, viewId) {
+        const state = dataTableService.buildViewState({
+            sortBy: this.sortState,
+            searchValue: this.searchValue,
+            columnFilters: this.columnFilters,
+            columnWidths: this.columnWidths,
+            hiddenColumns: this.hiddenColumns,
+            columnOrder: this.columnOrder,
+            pinnedColumn: this.pinnedColumn,
+            groupBy: this.groupState
+        });
+        this.views = dataTableService.upsertView(this.views, { id: viewId, name, state });
+        this.activeViewId = viewId;
+        return this.persistViews();
+    }
+
+    /**
+     * @description Asks for a new name of the active view.
+     * @returns {Promise} - Resolves once the view is renamed, or the prompt is cancelled.
+     */
+    renameActiveView() {
+        const view = this.activeView;
+        if (!view) return Promise.resolve();
+        return LightningPrompt.open({ message: this.label.viewRenamePrompt, label: this.label.renameView, defaultValue: view.name })
+            .then(name => {
+                if (!name?.trim()) return undefined;
+                this.views = dataTableService.upsertView(this.views, { ...view, name: name.trim() });
+                return this.persistViews();
+            });
+    }
+
+    /**
+     * @description Deletes the active view after confirmation. The table keeps its current state.
+     * @returns {Promise} - Resolves once the view is deleted, or the confirmation is cancelled.
+     */
+    deleteActiveView() {
+        const view = this.activeView;
+        if (!view) return Promise.resolve();
+        return LightningConfirm.open({ message: this.formatText(this.label.deleteViewConfirm, view.name), label: this.label.deleteView, theme: 'warning' })
+            .then(isConfirmed => {
+                if (!isConfirmed) return undefined;
+                this.views = this.views.filter(existing => existing.id !== view.id);
+                this.activeViewId = null;
+                if (this.defaultViewId === view.id) {
+                    this.defaultViewId = null;
+                }
+                return this.persistViews();
+            });
+    }
+
+    /**
+     * @description Stores the views of the table.
+     * @returns {Promise} - Resolves once the views are stored, errors are shown below the table.
+     */
+    persistViews() {
+        return Promise.resolve()
+            .then(() => this.viewStorage.saveViews(this.tableName, { views: this.views, defaultViewId: this.defaultViewId }))
+            .then(() => {
+                this.errorMessage = '';
+            })
+            .catch(error => {
+                this.errorMessage = this.formatText(this.label.viewsSaveError, dataTableService.getErrorMessage(error));
+            });
+    }
+
+    // Export
+
+    /**
+     * @description Handles the export menu. The menu value is "format:scope", e.g. "csv:filtered".
+     * Scopes: all (every row in tableData, not offered in remote mode where only the loaded pages are known), filtered
+     * (the current searched, filtered and sorted rows) and selected (every selected row, whatever the search of the Selected tab).
+     * @param {Event} event - The select event of the export menu.
+     */
+    handleExport(event) {
+        const [format, scope] = event.detail.value.split(':');
+        let records;
+        switch (scope) {
+            case 'selected':
+                records = this.selectedData;
+                break;
+            case 'filtered':
+                records = this.dataTableValue;
+                break;
+            default:
+                records = this._tableData;
+                break;
+        }
+        const file = dataTableService.buildExportFile(records, this.visibleColumns, format, `${this.tableName || 'export'}-${scope}`);
+        this.downloadFile(file);
+    }
+
+    /**
+     * @description Downloads a file built in the browser.
+     * @param {Object} file - The file: content, mimeType and fileName.
+     */
+    downloadFile(file) {
+        const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.fileName;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // The download starts after the click returns and slow disks read the file for a while, so it is released much later
+        setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+    }
+
+    // Transfer mode
+
+    /**
+     * @description Leaves the selected rows out of the Available list in transfer mode.
+     * @param {Array} records - The rows of the Available list.
+     * @returns {Array} - The rows that are not selected, or the given rows outside transfer mode.
+     */
+    getAvailableRows(records) {
+        if (!this.isTransferMode || !this.selectedRows.size) {
+            return records;
+        }
+        const keyField = this.rowKeyField;
+        return records.filter(row => !this.selectedRows.has(row[keyField]));
+    }
+
+    /**
+     * @description Shows the rows that were moved in the right list and drops the checks of rows that left a list.
+     */
+    refreshTransferLists() {
+        this.checkedAvailableIds = this.checkedAvailableIds.filter(rowId => !this.selectedRows.has(rowId));
+        this.checkedSelectedIds = this.checkedSelectedIds.filter(rowId => this.selectedRows.has(rowId));
+        if (this.isRemoteMode) {
+            this.refreshLoadedRows();
+        } else {
+            this.applyDataView(true);
+        }
+    }
+
+    /**
+     * @description Remembers the rows checked in the Selected list.
+     * @param {Event} event - The rowselection event of the Selected table.
+     */
+    handleSelectedRowSelection(event) {
+        this.checkedSelectedIds = event.detail.selectedRows.map(row => row[this.rowKeyField]);
+    }
+
+    /**
+     * @description Handles the buttons between the lists.
+     * @param {Event} event - The click event, data-action is addChecked, addAll, removeChecked or removeAll.
+     */
+    handleTransfer(event) {
+        this.transferRows(event.currentTarget.dataset.action);
+    }
+
+    /**
+     * @description Moves rows between the Available and the Selected list through the selection.
+     * @param {string} action - addChecked, addAll (every row of the current search/filter result), removeChecked or removeAll.
+     */
+    transferRows(action) {
+        switch (action) {
+            case 'addChecked':
+                this.applySelectionChange(action, [...this.checkedAvailableIds], []);
+                break;
+            case 'addAll':
+                this.applySelectionChange(action, this.dataTableValue.map(row => row[this.rowKeyField]), []);
+                break;
+            case 'removeChecked':
+                this.applySelectionChange(action, [], [...this.checkedSelectedIds]);
+                break;
+            case 'removeAll':
+                this.applySelectionChange(action, [], [...this.selectedRowsArray]);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * @description Moves the checked rows of the Selected list one position up or down past the rows it shows, rows hidden
+     * by the search keep their position. The manual order replaces the sort of the Selected list and is returned as
+     * selectedRows of the rowselection event.
+     * @param {Event} event - The click event, data-direction is up or down.
+     */
+    handleSelectedMove(event) {
+        const visibleKeys = this.selectedDataToShow.map(row => row[this.rowKeyField]);
+        this.selectedRows = new Set(dataTableService.moveKeys(this.selectedRowsArray, this.checkedSelectedIds, event.currentTarget.dataset.direction, visibleKeys));
+        this.selectedRowsArray = [...this.selectedRows];
+        this.selectedSortedBy = undefined;
+        this.selectedSortedDirection = undefined;
+        this.setDataToReadOnlyTable(true);
+        this.dispatchSelectionChange('reorder', undefined, this.resolveSelectedRecords(), []);
+    }
+
+    /**
+     * @description Checks if the checked rows of the Selected list can be moved up or down.
+     * @returns {boolean} - Returns true if the Up and Down buttons have to be disabled.
+     */
+    get isSelectedMoveDisabled() {
+        return this.checkedSelectedIds.length === 0;
+    }
+
+    /**
+     * @description Checks if the Add button has to be disabled.
+     * @returns {boolean} - Returns true if no row of the Available list is checked.
+     */
+    get isAddCheckedDisabled() {
+        return this.checkedAvailableIds.length === 0;
+    }
+
+    /**
+     * @description Checks if the Add All button has to be disabled.
+     * @returns {boolean} - Returns true if the Available list is empty.
+     */
+    get isAddAllDisabled() {
+        return this.dataTableValue.length === 0;
+    }
+
+    /**
+     * @description Checks if the Remove button has to be disabled.
+     * @returns {boolean} - Returns true if no row of the Selected list is checked.
+     */
+    get isRemoveCheckedDisabled() {
+        return this.checkedSelectedIds.length === 0;
+    }
+
+    /**
+     * @description Returns the text of the drag handle of the Available list.
+     * @returns {string} - e.g. "Drag 3 checked rows to the other list".
+     */
+    get dragAvailableLabel() {
+        return this.formatText(this.label.dragCheckedRows, this.checkedAvailableIds.length);
+    }
+
+    /**
+     * @description Returns the text of the drag handle of the Selected list.
+     * @returns {string} - e.g. "Drag 3 checked rows to the other list".
+     */
+    get dragSelectedLabel() {
+        return this.formatText(this.label.dragCheckedRows, this.checkedSelectedIds.length);
+    }
+
+    /**
+     * @description Remembers the list the checked rows are dragged from.
+     * @param {Event} event - The dragstart event of the drag handle, data-list is available or selected.
+     */
+    handleListDragStart(event) {
+        this.draggedList = event.currentTarget.dataset.list;
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts dragging with data
+        event.dataTransfer.setData('text/plain', this.draggedList);
+    }
+
+    /**
+     * @description Allows dropping the checked rows on the other list.
+     * @param {Event} event - The dragover event of a list.
+     */
+    handleListDragOver(event) {
+        if (this.draggedList && this.draggedList !== event.currentTarget.dataset.list) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * @description Moves the checked rows to the list they were dropped on.
+     * @param {Event} event - The drop event of a list.
+     */
+    handleListDrop(event) {
+        event.preventDefault();
+        const sourceList = this.draggedList;
+        this.draggedList = undefined;
+        if (!sourceList || sourceList === event.currentTarget.dataset.list) {
+            return;
+        }
+        this.transferRows(sourceList === 'available' ? 'addChecked' : 'removeChecked');
+    }
+
+    /**
+     * @description Forgets the dragged list when the rows were dropped outside the lists.
+     */
+    handleListDragEnd() {
+        this.draggedList = undefined;
+    }
+
+    // Read-only table
+
+    /**
+     * @description Looks up the records of the selected row IDs in the table data and the records loaded in remote mode.
+     * @returns {Array} - The selected records that are loaded, in selection order.
+     */
+    resolveSelectedRecords() {
+        const keyField = this.rowKeyField;
         const uniqueIds = new Set();
+        return [...this.selectedRows]
+            .map(rowId => this.rowIndex.get(rowId) || this.loadedRecords.get(rowId))
+            .filter(row => row !== undefined && !uniqueIds.has(row[keyField]) && uniqueIds.add(row[keyField]));
+    }
+
+    /**
+     * @description Sets data for the read-only table.
+     * @param {boolean} preserveLoaded - True to keep showing the rows already loaded by lazy loading.
+     */
+    setDataToReadOnlyTable(preserveLoaded) {
+        this.selectedData = this.resolveSelectedRecords();
+        this.applySelectedView(preserveLoaded);
+    }
+
+    /**
+     * @description Applies the search and sort of the Selected tab to the selected records.
+     * @param {boolean} preserveLoaded - True to keep showing the rows already loaded by lazy loading.
+     */
+    applySelectedView(preserveLoaded) {
+        const loadedCount = preserveLoaded ? Math.max(this.selectedDataToShow.length, PAGE_SIZE) : PAGE_SIZE;
+        let records = this.selectedData;
+        this.selectedSearchError = '';
+        if (this.selectedSearchValue) {
+            try {
+                records = dataTableService.dataTableSearchResult(dataTableService.formatSearchString(this.selectedSearchValue), this.searchFields, records, {
+                    columns: this._columns,
+                    matchStrategy: this.matchStrategy,
+                    labels: this.label
+                });
+            } catch (error) {
+                if (error.name !== 'SearchSyntaxError') {
+                    throw error;
+                }
+                this.selectedSearchError = error.message;
+            }
+        }
+        if (this.selectedSortedBy) {
+            records = dataTableService.sortData(records, this.selectedSortedBy, this.selectedSortedDirection, this._columns);
+        }
+        this.selectedDataToShowBackup = [...records];
+        this.selectedDataToShow = records.slice(0, loadedCount);
+    }
+
+    /**
+     * @description Returns the label of the Selected tab.
+     * @returns {string} - e.g. "Selected (12)".
+     */
+    get selectedTabLabel() {
+        return this.formatText(this.label.selectedTab, this.selectedRowsArray.length);
+    }
+
+    /**
+     * @description Returns the label of the Available tab with the number of matching rows. In remote mode only the number
+     * of matching records is known.
+     * @returns {string} - e.g. "Available (40 of 250)".
+     */
+    get availableTabLabel() {
+        if (this.isRemoteMode) {
+            return this.formatText(this.label.availableTabRemote, this.remoteCountText);
+        }
+        return this.formatText(this.label.availableTab, this.dataTableValue.length, this._tableData.length);
+    }
+
+    /**
+     * @description Returns the number of records matching in remote mode, marked when the provider stopped counting.
+     * @returns {string} - e.g. "250" or "10,000+".
+     */
+    get remoteCountText() {
+        const count = dataTableService.formatNumber(this.totalCount ?? this._tableData.length);
+        return this.isTotalCountCapped ? this.formatText(this.label.cappedCount, count) : count;
+    }
 
-        this.selectedData = this.selectedRowsArray
-            .map(rowId => this._tableData.find(row => row.Id === rowId))
-            .filter(row => row !== undefined && !uniqueIds.has(row.Id) && uniqueIds.add(row.Id));
+    /**
+     * @description Checks if no row is selected.
+     * @returns {boolean} - Returns true if the selection is empty.
+     */
+    get isSelectionEmpty() {
+        return this.selectedRowsArray.length === 0;
+    }
+
+    /**
+     * @description Filters the Selected tab by the search text.
+     * @param {Event} event - The change event of the search input.
+     */
+    handleSelectedSearchChange(event) {
+        this.selectedSearchValue = event.target.value.trim() ? event.target.value : '';
+        this.applySelectedView();
+    }
+
+    /**
+     * @description Removes a row from the selection with the remove button of the Selected tab.
+     * @param {Event} event - The rowaction event of the read-only datatable.
+     */
+    handleSelectedRowAction(event) {
+        if (event.detail.action.name === 'remove') {
+            const rowId = dataTableService.getRowKey(event.detail.row, this.rowKeyField);
+            this.applySelectionChange('removeFromSelection', [], [rowId], rowId);
+        }
+    }
 
-        this.selectedDataToShowBackup = [...this.selectedData];
-        this.selectedDataToShow = this.selectedData.slice(0, PAGE_SIZE);
+    /**
+     * @description Removes all rows from the selection, including rows hidden by a search and rows that are not loaded.
+     */
+    handleClearSelected() {
+        this.applySelectionChange('clearSelection', [], [...this.selectedRowsArray]);
     }
     /**
  * @description Handles the loading of more data for the read-only table with lazyLoading.
@@ -316,19 +2938,13 @@ handleReadonlyLoadMore(event) {
 }
 
 /**
- * @description Handles sorting of the selected data in the read-only table.
+ * @description Handles sorting of the selected data in the read-only table. The sort is kept apart from the Available table.
  * @param {Event} event - The event containing the sorting details.
  */
 handleShowSelectedTableSort(event) {
-    // Sort the selected data based on the event details (e.g., column, direction)
-    let sortedData = dataTableService.handleSort(event, this, this.selectedData);
-
-    // Clear the previous data and update the display
-    this.selectedDataToShow = [];
-    this.selectedDataToShowBackup = [...sortedData];
-
-    // Only display a subset of the sorted data based on lazyLoading
-    this.selectedDataToShow = this.selectedDataToShowBackup.slice(0, PAGE_SIZE);
+    this.selectedSortedBy = event.detail.fieldName;
+    this.selectedSortedDirection = event.detail.sortDirection;
+    this.applySelectedView();
 }
 
 }
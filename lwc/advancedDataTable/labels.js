@@ -0,0 +1,308 @@
+/**
+ * @fileOverview This file collects the custom labels of the advanced data table. Every text shown by the component
+ * comes from here and can be overridden per instance through the labels property.
+ * 
+ * @author Aman Pathak /Abdul Quadir Kotwala / Ashish Singh
+ * @Date: 9th March 2025
+ * @company Salesforce
+ * @copyright Copyright (c) 2025 Salesforce. All rights reserved.
+ */
+
+import NO_DATA from '@salesforce/label/c.AdvancedDataTable_NoData';
+import SEARCH from '@salesforce/label/c.AdvancedDataTable_Search';
+import SEARCH_LABEL from '@salesforce/label/c.AdvancedDataTable_SearchLabel';
+import SEARCH_PLACEHOLDER from '@salesforce/label/c.AdvancedDataTable_SearchPlaceholder';
+import SEARCHING from '@salesforce/label/c.AdvancedDataTable_Searching';
+import SORTING from '@salesforce/label/c.AdvancedDataTable_Sorting';
+import PROCESSING_PROGRESS from '@salesforce/label/c.AdvancedDataTable_ProcessingProgress';
+import CHOOSE_COLUMNS from '@salesforce/label/c.AdvancedDataTable_ChooseColumns';
+import COLUMNS from '@salesforce/label/c.AdvancedDataTable_Columns';
+import CLOSE from '@salesforce/label/c.AdvancedDataTable_Close';
+import DISMISS from '@salesforce/label/c.AdvancedDataTable_Dismiss';
+import DRAG_TO_REORDER from '@salesforce/label/c.AdvancedDataTable_DragToReorder';
+import MOVE_COLUMN_UP from '@salesforce/label/c.AdvancedDataTable_MoveColumnUp';
+import MOVE_COLUMN_DOWN from '@salesforce/label/c.AdvancedDataTable_MoveColumnDown';
+import PIN_COLUMN from '@salesforce/label/c.AdvancedDataTable_PinColumn';
+import UNPIN_COLUMN from '@salesforce/label/c.AdvancedDataTable_UnpinColumn';
+import VIEWS from '@salesforce/label/c.AdvancedDataTable_Views';
+import SAVE_VIEW from '@salesforce/label/c.AdvancedDataTable_SaveView';
+import SAVE_AS_NEW_VIEW from '@salesforce/label/c.AdvancedDataTable_SaveAsNewView';
+import RENAME_VIEW from '@salesforce/label/c.AdvancedDataTable_RenameView';
+import DELETE_VIEW from '@salesforce/label/c.AdvancedDataTable_DeleteView';
+import RESET_LAYOUT from '@salesforce/label/c.AdvancedDataTable_ResetLayout';
+import SET_AS_DEFAULT from '@salesforce/label/c.AdvancedDataTable_SetAsDefault';
+import REMOVE_AS_DEFAULT from '@salesforce/label/c.AdvancedDataTable_RemoveAsDefault';
+import DEFAULT_VIEW from '@salesforce/label/c.AdvancedDataTable_DefaultView';
+import SAVE_VIEW_AS from '@salesforce/label/c.AdvancedDataTable_SaveViewAs';
+import VIEW_NAME_PROMPT from '@salesforce/label/c.AdvancedDataTable_ViewNamePrompt';
+import VIEW_RENAME_PROMPT from '@salesforce/label/c.AdvancedDataTable_ViewRenamePrompt';
+import DELETE_VIEW_CONFIRM from '@salesforce/label/c.AdvancedDataTable_DeleteViewConfirm';
+import VIEWS_LOAD_ERROR from '@salesforce/label/c.AdvancedDataTable_ViewsLoadError';
+import VIEWS_SAVE_ERROR from '@salesforce/label/c.AdvancedDataTable_ViewsSaveError';
+import FILTERS from '@salesforce/label/c.AdvancedDataTable_Filters';
+import FILTERS_TITLE from '@salesforce/label/c.AdvancedDataTable_FiltersTitle';
+import CLEAR_FILTERS from '@salesforce/label/c.AdvancedDataTable_ClearFilters';
+import CLEAR_FILTERS_TITLE from '@salesforce/label/c.AdvancedDataTable_ClearFiltersTitle';
+import FILTER_TOO_MANY_VALUES from '@salesforce/label/c.AdvancedDataTable_FilterTooManyValues';
+import MIN from '@salesforce/label/c.AdvancedDataTable_Min';
+import MAX from '@salesforce/label/c.AdvancedDataTable_Max';
+import FROM from '@salesforce/label/c.AdvancedDataTable_From';
+import TO from '@salesforce/label/c.AdvancedDataTable_To';
+import ANY from '@salesforce/label/c.AdvancedDataTable_Any';
+import CHECKED from '@salesforce/label/c.AdvancedDataTable_Checked';
+import UNCHECKED from '@salesforce/label/c.AdvancedDataTable_Unchecked';
+import GROUP_BY from '@salesforce/label/c.AdvancedDataTable_GroupBy';
+import NO_GROUPING from '@salesforce/label/c.AdvancedDataTable_NoGrouping';
+import GROUP from '@salesforce/label/c.AdvancedDataTable_Group';
+import GROUP_SUMMARY from '@salesforce/label/c.AdvancedDataTable_GroupSummary';
+import GRAND_TOTAL from '@salesforce/label/c.AdvancedDataTable_GrandTotal';
+import GRAND_TOTAL_ROWS from '@salesforce/label/c.AdvancedDataTable_GrandTotalRows';
+import COUNT from '@salesforce/label/c.AdvancedDataTable_Count';
+import SUM from '@salesforce/label/c.AdvancedDataTable_Sum';
+import AVERAGE from '@salesforce/label/c.AdvancedDataTable_Average';
+import MINIMUM from '@salesforce/label/c.AdvancedDataTable_Minimum';
+import MAXIMUM from '@salesforce/label/c.AdvancedDataTable_Maximum';
+import EXPORT from '@salesforce/label/c.AdvancedDataTable_Export';
+import CSV from '@salesforce/label/c.AdvancedDataTable_Csv';
+import EXCEL from '@salesforce/label/c.AdvancedDataTable_Excel';
+import ALL_ROWS from '@salesforce/label/c.AdvancedDataTable_AllRows';
+import FILTERED_ROWS from '@salesforce/label/c.AdvancedDataTable_FilteredRows';
+import SELECTED_ROWS from '@salesforce/label/c.AdvancedDataTable_SelectedRows';
+import SELECT_ALL_MATCHED from '@salesforce/label/c.AdvancedDataTable_SelectAllMatched';
+import SELECT_ALL_MATCHED_TITLE from '@salesforce/label/c.AdvancedDataTable_SelectAllMatchedTitle';
+import COPY_NOT_FOUND from '@salesforce/label/c.AdvancedDataTable_CopyNotFound';
+import COPY_NOT_FOUND_TITLE from '@salesforce/label/c.AdvancedDataTable_CopyNotFoundTitle';
+import MATCHES_PER_VALUE from '@salesforce/label/c.AdvancedDataTable_MatchesPerValue';
+import NOT_FOUND from '@salesforce/label/c.AdvancedDataTable_NotFound';
+import MULTIPLE_MATCHES from '@salesforce/label/c.AdvancedDataTable_MultipleMatches';
+import RECONCILIATION_SUMMARY from '@salesforce/label/c.AdvancedDataTable_ReconciliationSummary';
+import ROWS_ADDED_TO_SELECTION from '@salesforce/label/c.AdvancedDataTable_RowsAddedToSelection';
+import VALUES_COPIED from '@salesforce/label/c.AdvancedDataTable_ValuesCopied';
+import VALUES_NOT_COPIED from '@salesforce/label/c.AdvancedDataTable_ValuesNotCopied';
+import SELECTION_LIMIT from '@salesforce/label/c.AdvancedDataTable_SelectionLimit';
+import ALL_MATCHING_SELECTED from '@salesforce/label/c.AdvancedDataTable_AllMatchingSelected';
+import ALL_PAGE_SELECTED from '@salesforce/label/c.AdvancedDataTable_AllPageSelected';
+import SELECT_ALL_MATCHING from '@salesforce/label/c.AdvancedDataTable_SelectAllMatching';
+import ALL_LOADED_SELECTED from '@salesforce/label/c.AdvancedDataTable_AllLoadedSelected';
+import CLEAR_SELECTION from '@salesforce/label/c.AdvancedDataTable_ClearSelection';
+import INVERT_SELECTION from '@salesforce/label/c.AdvancedDataTable_InvertSelection';
+import INVERT_SELECTION_TITLE from '@salesforce/label/c.AdvancedDataTable_InvertSelectionTitle';
+import UNDO from '@salesforce/label/c.AdvancedDataTable_Undo';
+import UNDO_TITLE from '@salesforce/label/c.AdvancedDataTable_UndoTitle';
+import SAVING from '@salesforce/label/c.AdvancedDataTable_Saving';
+import WORKING from '@salesforce/label/c.AdvancedDataTable_Working';
+import ACTION_CONFIRM_ROW from '@salesforce/label/c.AdvancedDataTable_ActionConfirmRow';
+import ACTION_CONFIRM_ROWS from '@salesforce/label/c.AdvancedDataTable_ActionConfirmRows';
+import VIEW from '@salesforce/label/c.AdvancedDataTable_View';
+import EDIT from '@salesforce/label/c.AdvancedDataTable_Edit';
+import DELETE from '@salesforce/label/c.AdvancedDataTable_Delete';
+import SELECTED_TAB from '@salesforce/label/c.AdvancedDataTable_SelectedTab';
+import SELECTED_TAB_TITLE from '@salesforce/label/c.AdvancedDataTable_SelectedTabTitle';
+import AVAILABLE_TAB from '@salesforce/label/c.AdvancedDataTable_AvailableTab';
+import AVAILABLE_TAB_REMOTE from '@salesforce/label/c.AdvancedDataTable_AvailableTabRemote';
+import CAPPED_COUNT from '@salesforce/label/c.AdvancedDataTable_CappedCount';
+import AVAILABLE_TAB_TITLE from '@salesforce/label/c.AdvancedDataTable_AvailableTabTitle';
+import SEARCH_SELECTED_ROWS from '@salesforce/label/c.AdvancedDataTable_SearchSelectedRows';
+import SEARCH_SELECTED_PLACEHOLDER from '@salesforce/label/c.AdvancedDataTable_SearchSelectedPlaceholder';
+import CLEAR_ALL from '@salesforce/label/c.AdvancedDataTable_ClearAll';
+import CLEAR_ALL_TITLE from '@salesforce/label/c.AdvancedDataTable_ClearAllTitle';
+import REMOVE_FROM_SELECTION from '@salesforce/label/c.AdvancedDataTable_RemoveFromSelection';
+import TRANSFER_BUTTONS from '@salesforce/label/c.AdvancedDataTable_TransferButtons';
+import ADD_CHECKED from '@salesforce/label/c.AdvancedDataTable_AddChecked';
+import ADD_ALL from '@salesforce/label/c.AdvancedDataTable_AddAll';
+import REMOVE_CHECKED from '@salesforce/label/c.AdvancedDataTable_RemoveChecked';
+import REMOVE_ALL from '@salesforce/label/c.AdvancedDataTable_RemoveAll';
+import MOVE_CHECKED_UP from '@salesforce/label/c.AdvancedDataTable_MoveCheckedUp';
+import MOVE_CHECKED_DOWN from '@salesforce/label/c.AdvancedDataTable_MoveCheckedDown';
+import DRAG_CHECKED_ROWS from '@salesforce/label/c.AdvancedDataTable_DragCheckedRows';
+import LIVE_UPDATES_STOPPED from '@salesforce/label/c.AdvancedDataTable_LiveUpdatesStopped';
+import LIVE_UPDATES_UNAVAILABLE from '@salesforce/label/c.AdvancedDataTable_LiveUpdatesUnavailable';
+import SELECTED_ROW_DELETED from '@salesforce/label/c.AdvancedDataTable_SelectedRowDeleted';
+import SELECTED_ROWS_DELETED from '@salesforce/label/c.AdvancedDataTable_SelectedRowsDeleted';
+import SEARCH_RESULT from '@salesforce/label/c.AdvancedDataTable_SearchResult';
+import SEARCH_RESULTS from '@salesforce/label/c.AdvancedDataTable_SearchResults';
+import SHOWING_ALL_ROWS from '@salesforce/label/c.AdvancedDataTable_ShowingAllRows';
+import ROW_SELECTED from '@salesforce/label/c.AdvancedDataTable_RowSelected';
+import ROWS_SELECTED from '@salesforce/label/c.AdvancedDataTable_RowsSelected';
+import TAB_ANNOUNCEMENT from '@salesforce/label/c.AdvancedDataTable_TabAnnouncement';
+import SORTED_BY from '@salesforce/label/c.AdvancedDataTable_SortedBy';
+import SORT_ASCENDING from '@salesforce/label/c.AdvancedDataTable_SortAscending';
+import SORT_DESCENDING from '@salesforce/label/c.AdvancedDataTable_SortDescending';
+import SORT_SEPARATOR from '@salesforce/label/c.AdvancedDataTable_SortSeparator';
+import NOT_SORTED from '@salesforce/label/c.AdvancedDataTable_NotSorted';
+import SEARCH_TERM_MISSING from '@salesforce/label/c.AdvancedDataTable_SearchTermMissing';
+import SEARCH_PARENTHESIS_MISSING from '@salesforce/label/c.AdvancedDataTable_SearchParenthesisMissing';
+import SEARCH_UNEXPECTED from '@salesforce/label/c.AdvancedDataTable_SearchUnexpected';
+import SEARCH_AND_MISPLACED from '@salesforce/label/c.AdvancedDataTable_SearchAndMisplaced';
+import SEARCH_OR_MISPLACED from '@salesforce/label/c.AdvancedDataTable_SearchOrMisplaced';
+import SEARCH_TERM_EXPECTED from '@salesforce/label/c.AdvancedDataTable_SearchTermExpected';
+import SEARCH_VALUE_MISSING from '@salesforce/label/c.AdvancedDataTable_SearchValueMissing';
+import SEARCH_QUOTE_MISSING from '@salesforce/label/c.AdvancedDataTable_SearchQuoteMissing';
+import SEARCH_SINGLE_VALUE from '@salesforce/label/c.AdvancedDataTable_SearchSingleValue';
+import FIELD_REQUIRED from '@salesforce/label/c.AdvancedDataTable_FieldRequired';
+import FIELD_INVALID_FORMAT from '@salesforce/label/c.AdvancedDataTable_FieldInvalidFormat';
+import FIELD_MINIMUM from '@salesforce/label/c.AdvancedDataTable_FieldMinimum';
+import FIELD_MINIMUM_LENGTH from '@salesforce/label/c.AdvancedDataTable_FieldMinimumLength';
+import FIELD_MAXIMUM from '@salesforce/label/c.AdvancedDataTable_FieldMaximum';
+import FIELD_MAXIMUM_LENGTH from '@salesforce/label/c.AdvancedDataTable_FieldMaximumLength';
+import ROW_ERRORS_TITLE from '@salesforce/label/c.AdvancedDataTable_RowErrorsTitle';
+import SAVE_ERRORS_ROW from '@salesforce/label/c.AdvancedDataTable_SaveErrorsRow';
+import SAVE_ERRORS_ROWS from '@salesforce/label/c.AdvancedDataTable_SaveErrorsRows';
+import SAVE_FAILED from '@salesforce/label/c.AdvancedDataTable_SaveFailed';
+import EMPTY_GROUP from '@salesforce/label/c.AdvancedDataTable_EmptyGroup';
+import ROW_KEY from '@salesforce/label/c.AdvancedDataTable_RowKey';
+import ROWS_WITHOUT_KEY from '@salesforce/label/c.AdvancedDataTable_RowsWithoutKey';
+import DUPLICATE_KEYS from '@salesforce/label/c.AdvancedDataTable_DuplicateKeys';
+import MORE_DUPLICATE_KEYS from '@salesforce/label/c.AdvancedDataTable_MoreDuplicateKeys';
+import UNRELIABLE_KEYS from '@salesforce/label/c.AdvancedDataTable_UnreliableKeys';
+
+// Labels with placeholders are filled in with dataTableService.formatLabel, e.g. "Selected ({0})"
+export const LABELS = {
+    noData: NO_DATA,
+    search: SEARCH,
+    searchLabel: SEARCH_LABEL,
+    searchPlaceholder: SEARCH_PLACEHOLDER,
+    searching: SEARCHING,
+    sorting: SORTING,
+    processingProgress: PROCESSING_PROGRESS,
+    chooseColumns: CHOOSE_COLUMNS,
+    columns: COLUMNS,
+    close: CLOSE,
+    dismiss: DISMISS,
+    dragToReorder: DRAG_TO_REORDER,
+    moveColumnUp: MOVE_COLUMN_UP,
+    moveColumnDown: MOVE_COLUMN_DOWN,
+    pinColumn: PIN_COLUMN,
+    unpinColumn: UNPIN_COLUMN,
+    views: VIEWS,
+    saveView: SAVE_VIEW,
+    saveAsNewView: SAVE_AS_NEW_VIEW,
+    renameView: RENAME_VIEW,
+    deleteView: DELETE_VIEW,
+    resetLayout: RESET_LAYOUT,
+    setAsDefault: SET_AS_DEFAULT,
+    removeAsDefault: REMOVE_AS_DEFAULT,
+    defaultView: DEFAULT_VIEW,
+    saveViewAs: SAVE_VIEW_AS,
+    viewNamePrompt: VIEW_NAME_PROMPT,
+    viewRenamePrompt: VIEW_RENAME_PROMPT,
+    deleteViewConfirm: DELETE_VIEW_CONFIRM,
+    viewsLoadError: VIEWS_LOAD_ERROR,
+    viewsSaveError: VIEWS_SAVE_ERROR,
+    filters: FILTERS,
+    filtersTitle: FILTERS_TITLE,
+    clearFilters: CLEAR_FILTERS,
+    clearFiltersTitle: CLEAR_FILTERS_TITLE,
+    filterTooManyValues: FILTER_TOO_MANY_VALUES,
+    min: MIN,
+    max: MAX,
+    from: FROM,
+    to: TO,
+    any: ANY,
+    checked: CHECKED,
+    unchecked: UNCHECKED,
+    groupBy: GROUP_BY,
+    noGrouping: NO_GROUPING,
+    group: GROUP,
+    groupSummary: GROUP_SUMMARY,
+    grandTotal: GRAND_TOTAL,
+    grandTotalRows: GRAND_TOTAL_ROWS,
+    count: COUNT,
+    sum: SUM,
+    average: AVERAGE,
+    minimum: MINIMUM,
+    maximum: MAXIMUM,
+    export: EXPORT,
+    csv: CSV,
+    excel: EXCEL,
+    allRows: ALL_ROWS,
+    filteredRows: FILTERED_ROWS,
+    selectedRows: SELECTED_ROWS,
+    selectAllMatched: SELECT_ALL_MATCHED,
+    selectAllMatchedTitle: SELECT_ALL_MATCHED_TITLE,
+    copyNotFound: COPY_NOT_FOUND,
+    copyNotFoundTitle: COPY_NOT_FOUND_TITLE,
+    matchesPerValue: MATCHES_PER_VALUE,
+    notFound: NOT_FOUND,
+    multipleMatches: MULTIPLE_MATCHES,
+    reconciliationSummary: RECONCILIATION_SUMMARY,
+    rowsAddedToSelection: ROWS_ADDED_TO_SELECTION,
+    valuesCopied: VALUES_COPIED,
+    valuesNotCopied: VALUES_NOT_COPIED,
+    selectionLimit: SELECTION_LIMIT,
+    allMatchingSelected: ALL_MATCHING_SELECTED,
+    allPageSelected: ALL_PAGE_SELECTED,
+    selectAllMatching: SELECT_ALL_MATCHING,
+    allLoadedSelected: ALL_LOADED_SELECTED,
+    clearSelection: CLEAR_SELECTION,
+    invertSelection: INVERT_SELECTION,
+    invertSelectionTitle: INVERT_SELECTION_TITLE,
+    undo: UNDO,
+    undoTitle: UNDO_TITLE,
+    saving: SAVING,
+    working: WORKING,
+    actionConfirmRow: ACTION_CONFIRM_ROW,
+    actionConfirmRows: ACTION_CONFIRM_ROWS,
+    view: VIEW,
+    edit: EDIT,
+    delete: DELETE,
+    selectedTab: SELECTED_TAB,
+    selectedTabTitle: SELECTED_TAB_TITLE,
+    availableTab: AVAILABLE_TAB,
+    availableTabRemote: AVAILABLE_TAB_REMOTE,
+    cappedCount: CAPPED_COUNT,
+    availableTabTitle: AVAILABLE_TAB_TITLE,
+    searchSelectedRows: SEARCH_SELECTED_ROWS,
+    searchSelectedPlaceholder: SEARCH_SELECTED_PLACEHOLDER,
+    clearAll: CLEAR_ALL,
+    clearAllTitle: CLEAR_ALL_TITLE,
+    removeFromSelection: REMOVE_FROM_SELECTION,
+    transferButtons: TRANSFER_BUTTONS,
+    addChecked: ADD_CHECKED,
+    addAll: ADD_ALL,
+    removeChecked: REMOVE_CHECKED,
+    removeAll: REMOVE_ALL,
+    moveCheckedUp: MOVE_CHECKED_UP,
+    moveCheckedDown: MOVE_CHECKED_DOWN,
+    dragCheckedRows: DRAG_CHECKED_ROWS,
+    liveUpdatesStopped: LIVE_UPDATES_STOPPED,
+    liveUpdatesUnavailable: LIVE_UPDATES_UNAVAILABLE,
+    selectedRowDeleted: SELECTED_ROW_DELETED,
+    selectedRowsDeleted: SELECTED_ROWS_DELETED,
+    searchResult: SEARCH_RESULT,
+    searchResults: SEARCH_RESULTS,
+    showingAllRows: SHOWING_ALL_ROWS,
+    rowSelected: ROW_SELECTED,
+    rowsSelected: ROWS_SELECTED,
+    tabAnnouncement: TAB_ANNOUNCEMENT,
+    sortedBy: SORTED_BY,
+    sortAscending: SORT_ASCENDING,
+    sortDescending: SORT_DESCENDING,
+    sortSeparator: SORT_SEPARATOR,
+    notSorted: NOT_SORTED,
+    searchTermMissing: SEARCH_TERM_MISSING,
+    searchParenthesisMissing: SEARCH_PARENTHESIS_MISSING,
+    searchUnexpected: SEARCH_UNEXPECTED,
+    searchAndMisplaced: SEARCH_AND_MISPLACED,
+    searchOrMisplaced: SEARCH_OR_MISPLACED,
+    searchTermExpected: SEARCH_TERM_EXPECTED,
+    searchValueMissing: SEARCH_VALUE_MISSING,
+    searchQuoteMissing: SEARCH_QUOTE_MISSING,
+    searchSingleValue: SEARCH_SINGLE_VALUE,
+    fieldRequired: FIELD_REQUIRED,
+    fieldInvalidFormat: FIELD_INVALID_FORMAT,
+    fieldMinimum: FIELD_MINIMUM,
+    fieldMinimumLength: FIELD_MINIMUM_LENGTH,
+    fieldMaximum: FIELD_MAXIMUM,
+    fieldMaximumLength: FIELD_MAXIMUM_LENGTH,
+    rowErrorsTitle: ROW_ERRORS_TITLE,
+    saveErrorsRow: SAVE_ERRORS_ROW,
+    saveErrorsRows: SAVE_ERRORS_ROWS,
+    saveFailed: SAVE_FAILED,
+    emptyGroup: EMPTY_GROUP,
+    rowKey: ROW_KEY,
+    rowsWithoutKey: ROWS_WITHOUT_KEY,
+    duplicateKeys: DUPLICATE_KEYS,
+    moreDuplicateKeys: MORE_DUPLICATE_KEYS,
+    unreliableKeys: UNRELIABLE_KEYS
+};
@@ -1,25 +1,626 @@
-import { createElement } from 'lwc';
-import DataTableService from 'c/dataTableService';
+import {
+    dataTableSearchResult,
+    multiSortData,
+    handleRowSelection,
+    handleSort,
+    moveKeys,
+    searchTextPaste,
+    SearchSyntaxError,
+    indexRows,
+    getVisibleWindow,
+    normalizePageResult,
+    validateDraftValues,
+    describeKeyProblems,
+    buildGroupTree,
+    computeAggregates,
+    toCsv,
+    buildFilterDefinitions,
+    dataTableSearchResultAsync,
+    multiSortDataAsync,
+    OperationCancelledError,
+    localStorageViewAdapter,
+    buildSearchReconciliation
+} from 'c/dataTableService';
+import { ACCOUNT_COLUMNS, buildId, buildAccount, buildAccounts, buildSelectionEvent, buildPasteEvent } from '../../../jest-mocks/fixtures';
 
-describe('c-data-table-service', () => {
-    afterEach(() => {
-        // The jsdom instance is shared across test cases in a single file so reset the DOM
-        while (document.body.firstChild) {
-            document.body.removeChild(document.body.firstChild);
+const getIds = rows => rows.map(row => row.Id);
+
+describe('dataTableService.handleRowSelection', () => {
+    const rows = buildAccounts(5);
+    const [first, second, third, fourth] = rows;
+    let tableComponent;
+
+    beforeEach(() => {
+        tableComponent = { selectedRows: new Set() };
+    });
+
+    it('selects the rows checked by the header and keeps rows outside the result', () => {
+        tableComponent.selectedRows.add('hidden');
+
+        const result = handleRowSelection(buildSelectionEvent('selectAllRows', rows.slice(0, 3)), tableComponent, rows);
+
+        expect([...result.selectedRows]).toEqual(['hidden', ...getIds(rows.slice(0, 3))]);
+        expect(getIds(result.selectedRecords)).toEqual(getIds(rows.slice(0, 3)));
+        expect(result.deselectedRecords).toEqual([]);
+    });
+
+    it('deselects the rows of the current result only', () => {
+        tableComponent.selectedRows = new Set(['hidden', first.Id, third.Id]);
+
+        const result = handleRowSelection(buildSelectionEvent('deselectAllRows', []), tableComponent, rows);
+
+        expect([...result.selectedRows]).toEqual(['hidden']);
+        expect(getIds(result.deselectedRecords)).toEqual([first.Id, third.Id]);
+        expect(result.selectedRecords).toEqual([]);
+    });
+
+    it('adds the checked rows on rowSelect', () => {
+        tableComponent.selectedRows.add(first.Id);
+
+        const result = handleRowSelection(buildSelectionEvent('rowSelect', [first, second], second.Id), tableComponent, rows);
+
+        expect([...result.selectedRows]).toEqual([first.Id, second.Id]);
+        expect(getIds(result.selectedRecords)).toEqual([first.Id, second.Id]);
+    });
+
+    it('removes the clicked row on rowDeselect', () => {
+        tableComponent.selectedRows = new Set([first.Id, second.Id, third.Id]);
+
+        const result = handleRowSelection(buildSelectionEvent('rowDeselect', [first, third], second.Id), tableComponent, rows);
+
+        expect([...result.selectedRows]).toEqual([first.Id, third.Id]);
+        expect(getIds(result.selectedRecords)).toEqual([first.Id, third.Id]);
+        expect(getIds(result.deselectedRecords)).toEqual([second.Id, fourth.Id, rows[4].Id]);
+    });
+
+    it('clears the selection on rowDeselect of the last checked row', () => {
+        tableComponent.selectedRows = new Set([first.Id, second.Id]);
+
+        const result = handleRowSelection(buildSelectionEvent('rowDeselect', [], second.Id), tableComponent, rows);
+
+        expect(result.selectedRows.size).toBe(0);
+        expect(result.deselectedRecords).toEqual([first, second]);
+        expect(result.selectedRecords).toEqual([]);
+    });
+
+    it('selects the given keys on selectRows', () => {
+        const result = handleRowSelection(buildSelectionEvent('selectRows', [], [second.Id, fourth.Id]), tableComponent, rows);
+
+        expect([...result.selectedRows]).toEqual([second.Id, fourth.Id]);
+        expect(getIds(result.selectedRecords)).toEqual([second.Id, fourth.Id]);
+    });
+
+    it('deselects the given keys on deselectRows', () => {
+        tableComponent.selectedRows = new Set([first.Id, second.Id, fourth.Id]);
+
+        const result = handleRowSelection(buildSelectionEvent('deselectRows', [], [second.Id, third.Id]), tableComponent, rows);
+
+        expect([...result.selectedRows]).toEqual([first.Id, fourth.Id]);
+        expect(getIds(result.deselectedRecords)).toEqual([second.Id, third.Id]);
+        expect(getIds(result.selectedRecords)).toEqual([first.Id, fourth.Id]);
+    });
+
+    it('clears the selection on an unknown action', () => {
+        tableComponent.selectedRows = new Set([first.Id]);
+
+        const result = handleRowSelection(buildSelectionEvent('somethingElse', [first], first.Id), tableComponent, rows);
+
+        expect(result.selectedRows.size).toBe(0);
+        expect(result.selectedRecords).toEqual([]);
+        expect(result.deselectedRecords).toEqual([]);
+    });
+
+    it('identifies rows by another key field or a key function', () => {
+        const numbered = rows.map(row => ({ ...row, Id: undefined }));
+
+        const byField = handleRowSelection(buildSelectionEvent('selectAllRows', numbered.slice(0, 2)), tableComponent, numbered, 'AccountNumber');
+        expect([...byField.selectedRows]).toEqual(['ACC-1', 'ACC-2']);
+
+        tableComponent.selectedRows = new Set();
+        const byFunction = handleRowSelection(buildSelectionEvent('rowSelect', [numbered[2]], 'Account 3'), tableComponent, numbered, row => row.Name);
+        expect([...byFunction.selectedRows]).toEqual(['Account 3']);
+        expect(byFunction.selectedRecords).toEqual([numbered[2]]);
+    });
+});
+
+describe('dataTableService.moveKeys', () => {
+    const keys = ['a', 'b', 'c', 'd'];
+
+    it('moves keys one position up or down', () => {
+        expect(moveKeys(keys, ['c'], 'up')).toEqual(['a', 'c', 'b', 'd']);
+        expect(moveKeys(keys, ['a', 'c'], 'down')).toEqual(['b', 'a', 'd', 'c']);
+    });
+
+    it('moves a block of keys as a whole and stops at the edge', () => {
+        expect(moveKeys(keys, ['b', 'c'], 'up')).toEqual(['b', 'c', 'a', 'd']);
+        expect(moveKeys(keys, ['a', 'b'], 'up')).toEqual(keys);
+        expect(moveKeys(keys, ['c', 'd'], 'down')).toEqual(keys);
+    });
+
+    it('moves keys past the visible keys only, in their shown order', () => {
+        expect(moveKeys(keys, ['d'], 'up', ['b', 'd'])).toEqual(['a', 'd', 'c', 'b']);
+        expect(moveKeys(keys, ['c'], 'up', ['c', 'a'])).toEqual(['c', 'b', 'a', 'd']);
+    });
+});
+
+describe('dataTableService.handleSort', () => {
+    const sortIds = (rows, fieldName, sortDirection, columns = ACCOUNT_COLUMNS) => {
+        return handleSort({ detail: { fieldName, sortDirection } }, { columns }, rows).map(row => row.Id);
+    };
+
+    it('remembers the sorted field and direction on the table', () => {
+        const tableComponent = { columns: ACCOUNT_COLUMNS };
+
+        handleSort({ detail: { fieldName: 'Name', sortDirection: 'desc' } }, tableComponent, []);
+
+        expect(tableComponent.sortedBy).toBe('Name');
+        expect(tableComponent.sortedDirection).toBe('desc');
+    });
+
+    it('sorts number columns by value', () => {
+        const rows = [buildAccount(1, { AnnualRevenue: 900 }), buildAccount(2, { AnnualRevenue: 10000 }), buildAccount(3, { AnnualRevenue: '50' })];
+
+        expect(sortIds(rows, 'AnnualRevenue', 'asc')).toEqual(getIds([rows[2], rows[0], rows[1]]));
+        expect(sortIds(rows, 'AnnualRevenue', 'desc')).toEqual(getIds([rows[1], rows[0], rows[2]]));
+    });
+
+    it('sorts date columns by time', () => {
+        const rows = [
+            buildAccount(1, { CreatedDate: '2024-03-01T10:00:00.000Z' }),
+            buildAccount(2, { CreatedDate: '2023-12-31' }),
+            buildAccount(3, { CreatedDate: '2024-03-01T09:00:00.000Z' })
+        ];
+
+        expect(sortIds(rows, 'CreatedDate', 'asc')).toEqual(getIds([rows[1], rows[2], rows[0]]));
+    });
+
+    it('sorts boolean columns with true first', () => {
+        const rows = [buildAccount(1, { IsActive: false }), buildAccount(2, { IsActive: true }), buildAccount(3, { IsActive: false })];
+
+        expect(sortIds(rows, 'IsActive', 'asc')).toEqual(getIds([rows[1], rows[0], rows[2]]));
+        expect(sortIds(rows, 'IsActive', 'desc')).toEqual(getIds([rows[0], rows[2], rows[1]]));
+    });
+
+    it('sorts text columns case-insensitively with numbers in numeric order', () => {
+        const rows = [buildAccount(1, { Name: 'Account 10' }), buildAccount(2, { Name: 'account 2' }), buildAccount(3, { Name: 'Account 1' })];
+
+        expect(sortIds(rows, 'Name', 'asc')).toEqual(getIds([rows[2], rows[1], rows[0]]));
+    });
+
+    it('keeps empty values last in both directions', () => {
+        const rows = [buildAccount(1, { AnnualRevenue: null }), buildAccount(2, { AnnualRevenue: 5 }), buildAccount(3, { AnnualRevenue: undefined }), buildAccount(4, { AnnualRevenue: 1 })];
+
+        expect(sortIds(rows, 'AnnualRevenue', 'asc')).toEqual(getIds([rows[3], rows[1], rows[0], rows[2]]));
+        expect(sortIds(rows, 'AnnualRevenue', 'desc')).toEqual(getIds([rows[1], rows[3], rows[0], rows[2]]));
+    });
+
+    it('compares by the type of the values without a column', () => {
+        const rows = [buildAccount(1, { Score: 10 }), buildAccount(2, { Score: 9 }), buildAccount(3, { Score: true })];
+
+        expect(sortIds(rows, 'Score', 'asc', [])).toEqual(getIds([rows[1], rows[0], rows[2]]));
+    });
+
+    it('sorts by nested fields', () => {
+        const rows = [buildAccount(1, { Owner: { Name: 'Zoe' } }), buildAccount(2, { Owner: { Name: 'Ann' } }), buildAccount(3, { Owner: null })];
+
+        expect(sortIds(rows, 'Owner.Name', 'asc')).toEqual(getIds([rows[1], rows[0], rows[2]]));
+    });
+
+    it('keeps the order of equal rows and does not change the given data', () => {
+        const rows = buildAccounts(6, index => ({ Type: index % 2 ? 'Prospect' : 'Customer' }));
+        const original = [...rows];
+
+        expect(sortIds(rows, 'Type', 'asc')).toEqual(getIds([rows[1], rows[3], rows[5], rows[0], rows[2], rows[4]]));
+        expect(rows).toEqual(original);
+    });
+
+    it('sorts by several keys', () => {
+        const rows = buildAccounts(4, index => ({ Type: index % 2 ? 'Prospect' : 'Customer', AnnualRevenue: index * 10 }));
+
+        const sorted = multiSortData(rows, [{ fieldName: 'Type', direction: 'asc' }, { fieldName: 'AnnualRevenue', direction: 'desc' }], ACCOUNT_COLUMNS);
+
+        expect(getIds(sorted)).toEqual(getIds([rows[3], rows[1], rows[2], rows[0]]));
+    });
+});
+
+describe('dataTableService.searchTextPaste', () => {
+    it.each([
+        ['line breaks', 'Acme\r\nGlobex\nInitech\rUmbrella', 'Acme,Globex,Initech,Umbrella'],
+        ['blank lines and trailing breaks', 'Acme\n\n  \nGlobex\n', 'Acme,Globex'],
+        ['commas and line breaks', 'Acme,Globex\nInitech', 'Acme,Globex,Initech']
+    ])('joins values separated by %s with commas', (_, text, expected) => {
+        const event = buildPasteEvent(text);
+
+        expect(searchTextPaste(event)).toBe(expected);
+        expect(event.clipboardData.setData).toHaveBeenCalledWith('text', expected);
+        expect(event.preventDefault).toHaveBeenCalled();
+    });
+
+    it('pastes a single value as it is', () => {
+        const event = buildPasteEvent(' Acme Corp ');
+
+        expect(searchTextPaste(event)).toBe(' Acme Corp ');
+    });
+
+    it('inserts at the cursor and moves the cursor after the pasted text', () => {
+        const event = buildPasteEvent('Globex\nInitech', { value: 'Acme,Umbrella', selectionStart: 5 });
+
+        expect(searchTextPaste(event)).toBe('Acme,Globex,InitechUmbrella');
+        expect(event.target.selectionStart).toBe(19);
+        expect(event.target.selectionEnd).toBe(19);
+    });
+
+    it('replaces the selected text', () => {
+        const event = buildPasteEvent('Globex', { value: 'Acme Initech', selectionStart: 5, selectionEnd: 12 });
+
+        expect(searchTextPaste(event)).toBe('Acme Globex');
+    });
+});
+
+describe('dataTableService.dataTableSearchResult', () => {
+    const rows = [
+        buildAccount(1, { Name: 'Acme Corp', Type: 'Customer', Rating: 'Hot', AnnualRevenue: 250000, Phone: '555-0100' }),
+        buildAccount(2, { Name: 'Globex', Type: 'Prospect', Rating: 'Warm', AnnualRevenue: 50000, Phone: null }),
+        buildAccount(3, { Name: 'Initech', Type: 'Customer', Rating: 'Cold', AnnualRevenue: 120000, Phone: '555-0300' }),
+        buildAccount(4, { Name: 'Acme Holdings', Type: 'Partner', Rating: 'Hot', AnnualRevenue: null, Phone: '555-0400' })
+    ];
+    const fields = ['Name', 'Type', 'Rating'];
+    const columns = [...ACCOUNT_COLUMNS, { label: 'Rating', fieldName: 'Rating', type: 'text' }, { label: 'Phone', fieldName: 'Phone', type: 'phone' }];
+    const search = (searchValue, options = {}) => getIds(dataTableSearchResult(searchValue, fields, rows, { columns, ...options }));
+
+    it('returns a copy of every row for an empty search', () => {
+        const result = dataTableSearchResult('  ', fields, rows);
+
+        expect(result).toEqual(rows);
+        expect(result).not.toBe(rows);
+    });
+
+    it('finds rows where a searchable field contains the text, ignoring case', () => {
+        expect(search('acme')).toEqual(getIds([rows[0], rows[3]]));
+        expect(search('CUSTOMER')).toEqual(getIds([rows[0], rows[2]]));
+    });
+
+    it('searches only the searchable fields', () => {
+        expect(search('555-0100')).toEqual([]);
+        expect(getIds(dataTableSearchResult('555-0100', ['Phone'], rows))).toEqual([rows[0].Id]);
+    });
+
+    it('finds rows equal to one of the values of a pasted list', () => {
+        expect(search('Globex, Initech')).toEqual(getIds([rows[1], rows[2]]));
+        expect(search('Acme,Globex')).toEqual([rows[1].Id]);
+    });
+
+    it('searches nested fields', () => {
+        const owned = [buildAccount(1, { Owner: { Name: 'Ann Smith' } }), buildAccount(2, { Owner: { Name: 'Bob Jones' } })];
+
+        expect(getIds(dataTableSearchResult('smith', ['Owner.Name'], owned))).toEqual([owned[0].Id]);
+    });
+
+    it('matches by the chosen strategy', () => {
+        expect(search('acme corp', { matchStrategy: 'exact' })).toEqual([rows[0].Id]);
+        expect(search('acme', { matchStrategy: 'exact' })).toEqual([]);
+        expect(search('Inítech', { matchStrategy: 'normalized' })).toEqual([rows[2].Id]);
+        expect(search('Initeck', { matchStrategy: 'fuzzy' })).toEqual([rows[2].Id]);
+    });
+
+    it('returns the best matches first when sorting by relevance', () => {
+        const ranked = [buildAccount(1, { Name: 'Northern Acme', Type: '' }), buildAccount(2, { Name: 'Acme', Type: '' })];
+
+        expect(getIds(dataTableSearchResult('acme', ['Name'], ranked, { sortByRelevance: true }))).toEqual(getIds([ranked[1], ranked[0]]));
+        expect(getIds(dataTableSearchResult('acme', ['Name'], ranked))).toEqual(getIds(ranked));
+    });
+
+    it('supports field terms, comparisons, empty values, phrases, negation and OR', () => {
+        expect(search('type:customer')).toEqual(getIds([rows[0], rows[2]]));
+        expect(search('Rating=Hot,Warm')).toEqual(getIds([rows[0], rows[1], rows[3]]));
+        expect(search('AnnualRevenue>100000')).toEqual(getIds([rows[0], rows[2]]));
+        expect(search('AnnualRevenue<=50000')).toEqual([rows[1].Id]);
+        expect(search('Phone:empty')).toEqual([rows[1].Id]);
+        expect(search('"Acme Holdings"')).toEqual([rows[3].Id]);
+        expect(search('acme -Rating:hot')).toEqual([]);
+        expect(search('NOT acme')).toEqual(getIds([rows[1], rows[2]]));
+        expect(search('globex OR initech')).toEqual(getIds([rows[1], rows[2]]));
+        expect(search('(globex OR acme) Type:partner')).toEqual([rows[3].Id]);
+    });
+
+    it('matches empty values or the other values of a term', () => {
+        expect(search('Phone:empty,0100')).toEqual(getIds([rows[0], rows[1]]));
+        expect(search('Phone=empty,555-0300')).toEqual(getIds([rows[1], rows[2]]));
+        expect(search('Rating=Hot,empty')).toEqual(getIds([rows[0], rows[3]]));
+        expect(search('Phone!=empty,555-0300')).toEqual(getIds([rows[0], rows[3]]));
+        expect(search('Phone!=empty')).toEqual(getIds([rows[0], rows[2], rows[3]]));
+        expect(search('Name:"empty"')).toEqual([]);
+    });
+
+    it.each([
+        ['(acme', 'Missing closing parenthesis'],
+        ['acme OR', '"OR" must be between two search terms'],
+        ['AnnualRevenue>1,2', '"AnnualRevenue>" accepts only one value']
+    ])('rejects the invalid query %s', (searchValue, message) => {
+        expect(() => search(searchValue)).toThrow(SearchSyntaxError);
+        expect(() => search(searchValue)).toThrow(message);
+    });
+
+    it('searches pasted lists and unknown fields as lists', () => {
+        expect(search('Acme Corp,Initech (US)')).toEqual([rows[0].Id]);
+        expect(search('Initech (US),Globex')).toEqual([rows[1].Id]);
+        expect(search('Ref:123')).toEqual([]);
+        expect(search('Ref:123,Globex')).toEqual([rows[1].Id]);
+    });
+
+    it('words the syntax errors with the given labels', () => {
+        expect(() => search('(acme', { labels: { searchParenthesisMissing: 'Parenthèse fermante manquante' } })).toThrow('Parenthèse fermante manquante');
+    });
+});
+
+describe('dataTableService.buildSearchReconciliation', () => {
+    const rows = [
+        buildAccount(1, { Name: 'Acme Corp', Type: 'Customer' }),
+        buildAccount(2, { Name: 'Globex', Type: 'Prospect' }),
+        buildAccount(3, { Name: 'Société Générale', Type: 'Customer' }),
+        buildAccount(4, { Name: 'Initech', Type: 'Customer' })
+    ];
+    const fields = ['Name', 'AccountNumber', 'Type'];
+    const reconcile = (searchValue, options = {}) => buildSearchReconciliation(searchValue, fields, rows, { columns: ACCOUNT_COLUMNS, ...options });
+
+    it('counts the rows every value matched', () => {
+        const report = reconcile('acc-1, ACC-2, Customer, acc-1, ACC-404');
+
+        expect(report.terms.map(({ term, count }) => ({ term, count }))).toEqual([
+            { term: 'acc-1', count: 1 },
+            { term: 'ACC-2', count: 1 },
+            { term: 'Customer', count: 3 },
+            { term: 'ACC-404', count: 0 }
+        ]);
+        expect(report.unmatchedTerms).toEqual(['ACC-404']);
+        expect(report.multipleMatchTerms.map(item => item.term)).toEqual(['Customer']);
+        expect(getIds(report.matchedRecords)).toEqual(getIds([rows[0], rows[1], rows[2], rows[3]]));
+    });
+
+    it('reports nothing for a single value or a query', () => {
+        expect(reconcile('ACC-1')).toBeNull();
+        expect(reconcile('ACC-1, acc-1')).toBeNull();
+        expect(reconcile('Type:Customer AND Name:Acme')).toBeNull();
+    });
+
+    it('matches the values with the match strategy of the search', () => {
+        expect(reconcile('Societe Generale, Globx').unmatchedTerms).toEqual(['Societe Generale', 'Globx']);
+        expect(reconcile('Societe Generale, Globx', { matchStrategy: 'normalized' }).unmatchedTerms).toEqual(['Globx']);
+
+        const fuzzy = reconcile('Societe Generale, Globx, Acme', { matchStrategy: 'fuzzy' });
+        expect(fuzzy.unmatchedTerms).toEqual(['Acme']);
+        expect(getIds(fuzzy.matchedRecords)).toEqual(getIds([rows[2], rows[1]]));
+        expect(getIds(dataTableSearchResult('Societe Generale, Globx, Acme', fields, rows, { columns: ACCOUNT_COLUMNS, matchStrategy: 'fuzzy' })))
+            .toEqual(getIds([rows[1], rows[2]]));
+    });
+});
+
+describe('dataTableService texts', () => {
+    const columns = [{ label: 'Account Name', fieldName: 'Name', type: 'text', validation: { required: true } }];
+
+    it('words validation errors with the given labels and in English by default', () => {
+        const drafts = [{ Id: buildId(1), Name: '' }];
+
+        expect(validateDraftValues(drafts, columns, buildAccounts(1)).rows[buildId(1)].messages).toEqual(['Account Name is required']);
+        const errors = validateDraftValues(drafts, columns, buildAccounts(1), 'Id', { fieldRequired: '{0} est obligatoire', saveErrorsRow: '{0} ligne à corriger' });
+        expect(errors.rows[buildId(1)].messages).toEqual(['Account Name est obligatoire']);
+        expect(errors.table.title).toBe('1 ligne à corriger');
+    });
+
+    it('words key problems and the empty group with the given labels', () => {
+        expect(describeKeyProblems({ missingCount: 2, duplicateKeys: [] }, 'Id', { rowsWithoutKey: '{1} lignes sans {0}.', unreliableKeys: 'Attention.' }))
+            .toBe('2 lignes sans Id. Attention.');
+        const tree = buildGroupTree(buildAccounts(1, { Type: null }), ['Type'], ACCOUNT_COLUMNS, 'sum', 'Id', { emptyGroup: '(Vide)' });
+        expect(tree.rows[0]._groupLabel).toBe('Type: (Vide) (1)');
+    });
+});
+
+describe('dataTableService.computeAggregates', () => {
+    it('aggregates more rows than the call stack takes arguments', () => {
+        const records = Array.from({ length: 200000 }, (value, index) => ({ AnnualRevenue: index - 1000 }));
+
+        expect(computeAggregates(records, ACCOUNT_COLUMNS).AnnualRevenue).toMatchObject({ count: 200000, min: -1000, max: 198999 });
+    });
+
+    it('skips empty values and leaves min and max empty without values', () => {
+        const aggregates = computeAggregates([{ AnnualRevenue: null }, { AnnualRevenue: '5' }, { AnnualRevenue: 3 }], ACCOUNT_COLUMNS);
+
+        expect(aggregates.AnnualRevenue).toEqual({ count: 2, sum: 8, avg: 4, min: 3, max: 5 });
+        expect(computeAggregates([{ AnnualRevenue: null }], ACCOUNT_COLUMNS).AnnualRevenue).toMatchObject({ min: null, max: null, avg: null });
+    });
+});
+
+describe('dataTableService.buildFilterDefinitions', () => {
+    it('offers a pick-list of the distinct values and flags columns with too many values', () => {
+        const rows = buildAccounts(150);
+        const definitions = buildFilterDefinitions(ACCOUNT_COLUMNS, rows);
+        const typeFilter = definitions.find(definition => definition.fieldName === 'Type');
+        const nameFilter = definitions.find(definition => definition.fieldName === 'Name');
+
+        expect(typeFilter.isValues).toBe(true);
+        expect(typeFilter.options.length).toBeGreaterThan(1);
+        expect(nameFilter).toMatchObject({ isValues: false, hasTooManyValues: true, valueCount: 150 });
+        expect(nameFilter.options).toBeUndefined();
+    });
+});
+
+describe('dataTableService.toCsv', () => {
+    it('escapes text a spreadsheet would run as a formula and keeps plain numbers', () => {
+        const csv = toCsv([['=1+1', '+cmd|x', '-1+1', '-A1', '@SUM(A1)', '- 2', '-12', '+3.5', '-12,5', '-3 %']]);
+
+        expect(csv).toBe('\ufeff' + `'=1+1,'+cmd|x,'-1+1,'-A1,'@SUM(A1),'- 2,-12,+3.5,"-12,5",-3 %`);
+    });
+});
+
+describe('dataTableService chunked search and sort', () => {
+    // 23 rows in chunks of 5 give five runs and three merge passes, the last run shorter than the others
+    const rows = buildAccounts(23, index => ({ Type: ['Customer', 'Prospect', 'Partner'][index % 3], AnnualRevenue: (index * 37) % 10 }));
+    const fields = ['Name', 'Type'];
+    const sortBy = [{ fieldName: 'Type', direction: 'asc' }, { fieldName: 'AnnualRevenue', direction: 'desc' }];
+
+    it('finds the same rows as the synchronous search', async () => {
+        for (const searchValue of ['Account 1', 'Partner,Prospect', 'Type:Customer']) {
+            const result = await dataTableSearchResultAsync(searchValue, fields, rows, { columns: ACCOUNT_COLUMNS, chunkSize: 5 });
+
+            expect(getIds(result)).toEqual(getIds(dataTableSearchResult(searchValue, fields, rows, { columns: ACCOUNT_COLUMNS })));
         }
     });
 
-    it('TODO: test case generated by CLI command, please fill in test logic', () => {
-        // Arrange
-        const element = createElement('c-data-table-service', {
-            is: DataTableService
+    it('sorts like multiSortData and merges across the chunk boundaries', async () => {
+        const result = await multiSortDataAsync(rows, sortBy, ACCOUNT_COLUMNS, { chunkSize: 5 });
+
+        expect(getIds(result)).toEqual(getIds(multiSortData(rows, sortBy, ACCOUNT_COLUMNS)));
+    });
+
+    it('keeps the order of equal rows across chunks', async () => {
+        const result = await multiSortDataAsync(rows, [{ fieldName: 'Type', direction: 'asc' }], ACCOUNT_COLUMNS, { chunkSize: 5 });
+
+        ['Customer', 'Partner', 'Prospect'].forEach(type => {
+            expect(getIds(result.filter(row => row.Type === type))).toEqual(getIds(rows.filter(row => row.Type === type)));
         });
+    });
+
+    it('reports a rising share of the work between chunks', async () => {
+        const progress = [];
+
+        await multiSortDataAsync(rows, sortBy, ACCOUNT_COLUMNS, { chunkSize: 5, onProgress: share => progress.push(share) });
+
+        expect(progress.length).toBeGreaterThan(4);
+        expect(progress).toEqual([...progress].sort((a, b) => a - b));
+        expect(progress[0]).toBeGreaterThan(0);
+        expect(progress[progress.length - 1]).toBeLessThanOrEqual(1);
+    });
+
+    it('stops a sort once it is cancelled', async () => {
+        await expect(multiSortDataAsync(rows, sortBy, ACCOUNT_COLUMNS, { chunkSize: 5, isCancelled: () => true }))
+            .rejects.toBeInstanceOf(OperationCancelledError);
+    });
+
+    it('stops a search cancelled while it runs', async () => {
+        let chunks = 0;
+        const search = dataTableSearchResultAsync('Account', fields, rows, {
+            chunkSize: 5,
+            onProgress: () => chunks++,
+            isCancelled: () => chunks >= 2
+        });
+
+        await expect(search).rejects.toBeInstanceOf(OperationCancelledError);
+        expect(chunks).toBe(2);
+    });
+});
+
+describe('dataTableService.normalizePageResult', () => {
+    const records = buildAccounts(5);
+
+    it('derives whether more records follow from the total count or the page size', () => {
+        expect(normalizePageResult({ records, totalCount: 12 }, 5, 5).hasMore).toBe(true);
+        expect(normalizePageResult({ records, totalCount: 10 }, 5, 5).hasMore).toBe(false);
+        expect(normalizePageResult(records, 5, 0).hasMore).toBe(true);
+        expect(normalizePageResult(records.slice(0, 3), 5, 0).hasMore).toBe(false);
+    });
+
+    it('prefers an explicit hasMore of the provider and passes a capped count through', () => {
+        const page = normalizePageResult({ records, totalCount: 10000, isTotalCountCapped: true, hasMore: false }, 5, 2000);
+
+        expect(page.hasMore).toBe(false);
+        expect(page.totalCount).toBe(10000);
+        expect(page.isTotalCountCapped).toBe(true);
+    });
+});
+
+const ROW_COUNT = 100000;
+
+// Wall-clock budgets depend on the machine: npm test checks budgets ten times looser, which still fail on quadratic work,
+// npm run test:perf (PERF=1) checks the real ones
+const BUDGET_FACTOR = process.env.PERF ? 1 : 10;
+
+describe('dataTableService performance', () => {
+    // Budgets in milliseconds
+    const SEARCH_BUDGET = 1000 * BUDGET_FACTOR;
+    const SORT_BUDGET = 2000 * BUDGET_FACTOR;
+    const SELECT_BUDGET = 1000 * BUDGET_FACTOR;
+
+    const columns = [
+        { fieldName: 'Name', type: 'text' },
+        { fieldName: 'Type', type: 'text' },
+        { fieldName: 'AnnualRevenue', type: 'currency' }
+    ];
+    let rows;
+
+    beforeAll(() => {
+        rows = Array.from({ length: ROW_COUNT }, (_, i) => ({
+            Id: `row${i}`,
+            Name: `Account ${i}`,
+            Type: i % 2 ? 'Prospect' : 'Customer',
+            AnnualRevenue: (i * 7919) % 100000
+        }));
+    });
+
+    const measure = (callback) => {
+        const start = performance.now();
+        const result = callback();
+        return { result, duration: performance.now() - start };
+    };
+
+    it('searches 100k rows within budget', () => {
+        const { result, duration } = measure(() => dataTableSearchResult('Account 9', ['Name'], rows, { columns }));
+
+        expect(result).toHaveLength(11111);
+        expect(duration).toBeLessThan(SEARCH_BUDGET);
+    });
+
+    it('sorts 100k rows by two keys within budget', () => {
+        const sortBy = [{ fieldName: 'Type', direction: 'asc' }, { fieldName: 'AnnualRevenue', direction: 'desc' }];
+        const { result, duration } = measure(() => multiSortData(rows, sortBy, columns));
+
+        expect(result).toHaveLength(ROW_COUNT);
+        expect(result[0].Type).toBe('Customer');
+        expect(result[0].AnnualRevenue).toBeGreaterThanOrEqual(result[1].AnnualRevenue);
+        expect(duration).toBeLessThan(SORT_BUDGET);
+    });
+
+    it('selects, deselects and resolves 100k rows within budget', () => {
+        const tableComponent = { selectedRows: new Set() };
+        const selectEvent = { detail: { config: { action: 'selectRows', value: rows.map(row => row.Id) }, selectedRows: [] } };
+        const deselectEvent = { detail: { config: { action: 'rowDeselect', value: 'row5' }, selectedRows: [rows[0]] } };
+
+        const { result, duration } = measure(() => {
+            handleRowSelection(selectEvent, tableComponent, rows);
+            handleRowSelection(deselectEvent, tableComponent, rows);
+            const rowsById = indexRows(rows);
+            return [...tableComponent.selectedRows].map(rowId => rowsById.get(rowId));
+        });
+
+        expect(result).toHaveLength(ROW_COUNT - 1);
+        expect(tableComponent.selectedRows.has('row5')).toBe(false);
+        expect(duration).toBeLessThan(SELECT_BUDGET);
+    });
+});
+
+describe('dataTableService.getVisibleWindow', () => {
+    it('renders only the rows in view plus the buffer', () => {
+        expect(getVisibleWindow(33000, 400, 33, ROW_COUNT, 20)).toEqual({ start: 980, end: 1033, offsetTop: 32340, offsetBottom: 3265911 });
+        expect(getVisibleWindow(10000000, 400, 33, ROW_COUNT, 20).end).toBe(ROW_COUNT);
+        expect(getVisibleWindow(0, 400, 33, 3, 20)).toEqual({ start: 0, end: 3, offsetTop: 0, offsetBottom: 0 });
+    });
+});
+
+describe('dataTableService.localStorageViewAdapter', () => {
+    afterEach(() => {
+        window.localStorage.clear();
+    });
+
+    it('stores and loads the views of a table', async () => {
+        const viewSettings = { views: [{ id: 'view-1', name: 'Customers', state: { searchValue: 'Acme' } }], defaultViewId: 'view-1' };
+        await localStorageViewAdapter.saveViews('accounts', viewSettings);
+
+        await expect(localStorageViewAdapter.loadViews('accounts')).resolves.toEqual(viewSettings);
+        await expect(localStorageViewAdapter.loadViews('contacts')).resolves.toEqual({ views: [], defaultViewId: null });
+    });
 
-        // Act
-        document.body.appendChild(element);
+    it('loads no views from a corrupt entry', async () => {
+        window.localStorage.setItem('advancedDataTable.views.accounts', '{"views": [');
 
-        // Assert
-        // const div = element.shadowRoot.querySelector('div');
-        expect(1).toBe(1);
+        await expect(localStorageViewAdapter.loadViews('accounts')).resolves.toEqual({ views: [], defaultViewId: null });
     });
-});
\ No newline at end of file
+});
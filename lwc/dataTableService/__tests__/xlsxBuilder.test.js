@@ -0,0 +1,107 @@
+import { TextEncoder, TextDecoder } from 'util';
+import { buildXlsx } from '../xlsxBuilder';
+
+// Browsers have TextEncoder, the jsdom environment of Jest does not
+global.TextEncoder = TextEncoder;
+
+// Bitwise CRC-32, independent of the table based one of the builder
+const referenceCrc32 = bytes => {
+    let crc = 0xFFFFFFFF;
+    bytes.forEach(byte => {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0xEDB88320 : crc >>> 1;
+        }
+    });
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Reads the entries of a stored (uncompressed) zip through its central directory
+const readZip = zip => {
+    const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+    const decoder = new TextDecoder();
+    const endOffset = zip.length - 22;
+    expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let position = view.getUint32(endOffset + 16, true);
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        expect(view.getUint32(position, true)).toBe(0x02014b50);
+        const nameLength = view.getUint16(position + 28, true);
+        const localOffset = view.getUint32(position + 42, true);
+        const entry = {
+            name: decoder.decode(zip.subarray(position + 46, position + 46 + nameLength)),
+            crc: view.getUint32(position + 16, true),
+            size: view.getUint32(position + 24, true)
+        };
+        expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+        expect(view.getUint16(localOffset + 8, true)).toBe(0); // Stored
+        expect(view.getUint32(localOffset + 14, true)).toBe(entry.crc);
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        entry.data = zip.subarray(dataStart, dataStart + entry.size);
+        entry.text = decoder.decode(entry.data);
+        entries.push(entry);
+        position += 46 + nameLength;
+    }
+    return entries;
+};
+
+const readPart = (zip, name) => readZip(zip).find(entry => entry.name === name).text;
+
+describe('xlsxBuilder.buildXlsx', () => {
+    it('stores the parts of a workbook in a zip with valid checksums', () => {
+        const entries = readZip(buildXlsx([['Name'], ['Acme']]));
+
+        expect(entries.map(entry => entry.name)).toEqual([
+            '[Content_Types].xml',
+            '_rels/.rels',
+            'xl/workbook.xml',
+            'xl/_rels/workbook.xml.rels',
+            'xl/styles.xml',
+            'xl/worksheets/sheet1.xml'
+        ]);
+        entries.forEach(entry => {
+            expect(entry.crc).toBe(referenceCrc32(entry.data));
+        });
+    });
+
+    it('writes numbers and booleans as typed cells and everything else as text', () => {
+        const sheet = readPart(buildXlsx([
+            ['Name', 'Revenue', 'Active'],
+            ['Acme', 1200.5, true],
+            ['Globex', null, false],
+            ['', Number.NaN, '0042']
+        ]), 'xl/worksheets/sheet1.xml');
+
+        expect(sheet).toContain('<row r="1"><c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Name</t></is></c>');
+        expect(sheet).toContain('<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">Acme</t></is></c><c r="B2"><v>1200.5</v></c><c r="C2" t="b"><v>1</v></c></row>');
+        expect(sheet).toContain('<row r="3"><c r="A3" t="inlineStr"><is><t xml:space="preserve">Globex</t></is></c><c r="C3" t="b"><v>0</v></c></row>');
+        expect(sheet).toContain('<row r="4"><c r="B4" t="inlineStr"><is><t xml:space="preserve">NaN</t></is></c><c r="C4" t="inlineStr"><is><t xml:space="preserve">0042</t></is></c></row>');
+    });
+
+    it('names the columns after Z with two letters', () => {
+        const header = Array.from({ length: 28 }, (_, index) => `Column ${index + 1}`);
+
+        const sheet = readPart(buildXlsx([header]), 'xl/worksheets/sheet1.xml');
+
+        expect(sheet).toContain('<c r="Z1" s="1"');
+        expect(sheet).toContain('<c r="AA1" s="1"');
+        expect(sheet).toContain('<c r="AB1" s="1" t="inlineStr"><is><t xml:space="preserve">Column 28</t>');
+    });
+
+    it('escapes XML and drops the control characters XML does not allow', () => {
+        const sheet = readPart(buildXlsx([['Name'], ['A & B <C> "D"\u0001\u000B\u001F'], ['Line 1\nLine 2\tEnd']]), 'xl/worksheets/sheet1.xml');
+
+        expect(sheet).toContain('<t xml:space="preserve">A &amp; B &lt;C&gt; &quot;D&quot;</t>');
+        expect(sheet).toContain('<t xml:space="preserve">Line 1\nLine 2\tEnd</t>');
+    });
+
+    it('makes the sheet name valid', () => {
+        const sheetName = zip => readPart(zip, 'xl/workbook.xml').match(/<sheet name="([^"]*)"/)[1];
+
+        expect(sheetName(buildXlsx([['Name']]))).toBe('Sheet1');
+        expect(sheetName(buildXlsx([['Name']], 'accounts/2024:Q1 [draft]*?'))).toBe('accounts 2024 Q1  draft');
+        expect(sheetName(buildXlsx([['Name']], 'Accounts & Contacts - exported in the last quarter'))).toBe('Accounts &amp; Contacts - exported ');
+        expect(sheetName(buildXlsx([['Name']], '[]'))).toBe('Sheet1');
+    });
+});
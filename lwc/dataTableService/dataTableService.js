@@ -7,6 +7,16 @@
  * @copyright Copyright (c) 2025 Salesforce. All rights reserved.
  */
 
+import LOCALE from '@salesforce/i18n/locale';
+import TIME_ZONE from '@salesforce/i18n/timeZone';
+import { buildXlsx } from './xlsxBuilder';
+
+// Text is compared for the locale of the user, with the numbers within text compared by value ("Account 2" before "Account 10")
+const TEXT_COLLATOR = new Intl.Collator(LOCALE, { numeric: true, sensitivity: 'accent' });
+// Equality of search values ignores case and accents
+const SEARCH_COLLATOR = new Intl.Collator(LOCALE, { usage: 'search', sensitivity: 'base' });
+const NUMBER_FORMAT = new Intl.NumberFormat(LOCALE);
+
 /**
  * Handles row selection and deselection in a data table component.
  * 
@@ -14,54 +24,79 @@
  * @param {*} tableComponent - The LWC data table component that will be updated with the selected/deselected rows. 
  * Required: selectedRows = new Set(); This should be added to the data table's JS where this service is used.
  * @param {*} data - The data representing the table rows, fetched from the server or after processing.
+ * Select all and deselect all only apply to these rows, pass the current search/filter result so hidden rows keep their state.
+ * @param {*} keyField - The field identifying a row, or a function returning the key of a row (see getRowKey).
  * 
  * @returns {Object} An object containing:
  *  - deselectedRecords: An array of records that were deselected.
  *  - selectedRecords: An array of records that are selected.
  *  - selectedRows: The updated Set of selected row IDs.
  */
-export const handleRowSelection = (event, tableComponent, data) => {
+export const handleRowSelection = (event, tableComponent, data, keyField = 'Id') => {
+    const getKey = row => getRowKey(row, keyField);
     const { action, value } = event.detail.config;
     const selectedRows = event.detail.selectedRows;
     let deselectedRecords = [];
     let selectedRecords = []; 
     switch (action) {
         case 'selectAllRows':
-            // Select all rows
-            tableComponent.selectedRows = new Set(data.map(row => row.Id));
-            selectedRecords = data;
+            // Select the rows checked by the datatable header, rows hidden by a search or filter keep their state
+            selectedRows.forEach(row => {
+                tableComponent.selectedRows.add(getKey(row));
+            });
+            selectedRecords = data.filter(row => tableComponent.selectedRows.has(getKey(row)));
             break;
 
         case 'deselectAllRows':
-            // Deselect all rows
-            deselectedRecords = [...tableComponent.selectedRows].map(id => data.find(row => row.Id === id));
-            tableComponent.selectedRows.clear();
+            // Deselect the rows of the current result only
+            deselectedRecords = data.filter(row => tableComponent.selectedRows.has(getKey(row)));
+            deselectedRecords.forEach(row => tableComponent.selectedRows.delete(getKey(row)));
             selectedRecords=[];
             break;
 
-        case 'rowSelect':
+        case 'rowSelect': {
             // Handle row selections
             selectedRows.forEach(row => {
-                tableComponent.selectedRows.add(row.Id);
+                tableComponent.selectedRows.add(getKey(row));
             });
-            selectedRecords = data.filter(row => selectedRows.some(sel => sel.Id === row.Id));
+            const rowKeys = new Set(selectedRows.map(getKey));
+            selectedRecords = data.filter(row => rowKeys.has(getKey(row)));
             break;
+        }
 
         case 'rowDeselect':
             // Handle row deselections
             if (selectedRows.length === 0) {
                 // If selectedRows is empty, clear all selected rows
-                deselectedRecords = [...tableComponent.selectedRows].map(id => data.find(row => row.Id === id));
+                const rowsByKey = indexRows(data, keyField);
+                deselectedRecords = [...tableComponent.selectedRows].map(id => rowsByKey.get(id));
                 tableComponent.selectedRows.clear();
                 selectedRecords=[];
             } else {
                 // Normal deselection logic when there are rows to deselect
                 tableComponent.selectedRows.delete(value);
-                deselectedRecords = data.filter(row => tableComponent.selectedRows.has(row.Id) === false);
-                selectedRecords = data.filter(row => tableComponent.selectedRows.has(row.Id));
+                deselectedRecords = data.filter(row => tableComponent.selectedRows.has(getKey(row)) === false);
+                selectedRecords = data.filter(row => tableComponent.selectedRows.has(getKey(row)));
             }
             break;
 
+        case 'selectRows': {
+            // Select several rows at once (a range, a group, ...), value holds the row IDs
+            const rowKeys = new Set(value);
+            rowKeys.forEach(rowId => tableComponent.selectedRows.add(rowId));
+            selectedRecords = data.filter(row => rowKeys.has(getKey(row)));
+            break;
+        }
+
+        case 'deselectRows': {
+            // Deselect several rows at once
+            const rowKeys = new Set(value);
+            rowKeys.forEach(rowId => tableComponent.selectedRows.delete(rowId));
+            deselectedRecords = data.filter(row => rowKeys.has(getKey(row)));
+            selectedRecords = data.filter(row => tableComponent.selectedRows.has(getKey(row)));
+            break;
+        }
+
         default:
             tableComponent.selectedRows.clear(); // if something breaks clear the selection to avoid data inconsistency
             break;
@@ -84,76 +119,256 @@ export const handleRowSelection = (event, tableComponent, data) => {
  * @returns {Array} The sorted data.
  */
 export const handleSort = (event, tableComponent, tableData) => {
-    try {
-        let fieldName = event.detail.fieldName;
-        let sortDirection = event.detail.sortDirection;
-        tableComponent.sortedBy = fieldName;
-        tableComponent.sortedDirection = sortDirection;
-        let clonedData = JSON.parse(JSON.stringify(tableData));
-        clonedData.sort((a, b) => {
-            // Handle cases where the field might be nested
-            let valueA = resolveFieldValue(a, fieldName);
-            let valueB = resolveFieldValue(b, fieldName);
-
-            // Move null/undefined values to the end regardless of sort direction
-            if (valueA == null && valueB == null) return 0;
-            if (valueA == null) return 1;
-            if (valueB == null) return -1;
-
-            // Handle different data types
-            if (typeof valueA !== typeof valueB) {
-                // Convert both to strings if types don't match
-                valueA = String(valueA);
-                valueB = String(valueB);
-            }
-
-            // Type-specific comparisons
-            switch (typeof valueA) {
-                case 'number':
-                    return sortDirection === 'asc' ? valueA - valueB : valueB - valueA;
-
-                case 'boolean':
-                    return sortDirection === 'asc' ?
-                        (valueA === valueB ? 0 : valueA ? -1 : 1) :
-                        (valueA === valueB ? 0 : valueA ? 1 : -1);
-
-                case 'string':
-                    valueA = valueA.toLowerCase();
-                    valueB = valueB.toLowerCase();
-                    return sortDirection === 'asc' ?
-                        valueA.localeCompare(valueB) :
-                        valueB.localeCompare(valueA);
-
-                case 'object':
-                    if (valueA instanceof Date && valueB instanceof Date) {
-                        return sortDirection === 'asc' ?
-                            valueA.getTime() - valueB.getTime() :
-                            valueB.getTime() - valueA.getTime();
-                    }
-                    // For other objects, convert to string
-                    valueA = JSON.stringify(valueA).toLowerCase();
-                    valueB = JSON.stringify(valueB).toLowerCase();
-                    return sortDirection === 'asc' ?
-                        valueA.localeCompare(valueB) :
-                        valueB.localeCompare(valueA);
-
-                default:
-                    // Fallback to string comparison
-                    valueA = String(valueA).toLowerCase();
-                    valueB = String(valueB).toLowerCase();
-                    return sortDirection === 'asc' ?
-                        valueA.localeCompare(valueB) :
-                        valueB.localeCompare(valueA);
-            }
-        });
+    let fieldName = event.detail.fieldName;
+    let sortDirection = event.detail.sortDirection;
+    tableComponent.sortedBy = fieldName;
+    tableComponent.sortedDirection = sortDirection;
+    return sortData(tableData, fieldName, sortDirection, tableComponent.columns);
+}
 
-        return clonedData;
+/**
+ * Sorts a copy of the data by a field and direction.
+ * 
+ * @param {*} tableData - The data to be sorted.
+ * @param {*} fieldName - The field to sort by, nested fields are supported (e.g., "account.name").
+ * @param {*} sortDirection - The sort direction, asc or desc.
+ * @param {*} columns - Optional table columns, the column type decides how values are compared.
+ * 
+ * @returns {Array} The sorted data.
+ */
+export const sortData = (tableData, fieldName, sortDirection, columns) => {
+    return multiSortData(tableData, [{ fieldName, direction: sortDirection }], columns);
+}
 
+/**
+ * Sorts a copy of the data by several fields. The sort is stable: records that are equal on every key keep their order.
+ * Only the array is copied, the records are shared with the given data.
+ * 
+ * @param {*} tableData - The data to be sorted.
+ * @param {*} sortBy - The sort keys in priority order, e.g. [{ fieldName: 'Type', direction: 'asc' }, { fieldName: 'Name', direction: 'desc' }].
+ * @param {*} columns - Optional table columns, the column type (number, currency, percent, date, boolean) decides how values are compared.
+ * Fields without a column are compared by the type of their values.
+ * 
+ * @returns {Array} The sorted data.
+ */
+export const multiSortData = (tableData, sortBy = [], columns = []) => {
+    try {
+        const sortKeys = buildSortKeys(sortBy, columns);
+        if (!sortKeys.length) {
+            return [...tableData];
+        }
+        return tableData
+            .map((record, index) => decorateForSort(record, index, sortKeys))
+            .sort((a, b) => compareDecorated(a, b, sortKeys))
+            .map(item => item.record);
     } catch (e) {
         return tableData; // In case of error, return the original data
     }
 }
 
+/**
+ * Normalizes the sort keys and looks up how each field is compared.
+ * 
+ * @param {*} sortBy - The sort keys in priority order.
+ * @param {*} columns - The table columns.
+ * 
+ * @returns {Array} The sort keys with fieldName, direction and sortType.
+ */
+function buildSortKeys(sortBy = [], columns = []) {
+    return sortBy
+        .filter(key => key?.fieldName)
+        .map(key => ({
+            fieldName: key.fieldName,
+            direction: key.direction === 'desc' ? 'desc' : 'asc',
+            columnType: (columns || []).find(column => column.fieldName === key.fieldName)?.type,
+            sortType: getSortType((columns || []).find(column => column.fieldName === key.fieldName))
+        }));
+}
+
+/**
+ * Wraps a record with its position and sort values, so the (possibly nested) values are resolved once per record
+ * instead of once per comparison.
+ * 
+ * @param {*} record - The record.
+ * @param {*} index - The position of the record, used to keep the sort stable.
+ * @param {*} sortKeys - The sort keys from buildSortKeys.
+ * 
+ * @returns {Object} The wrapped record.
+ */
+function decorateForSort(record, index, sortKeys) {
+    return { record, index, values: sortKeys.map(key => toUnderlyingValue(resolveFieldValue(record, key.fieldName), key.columnType)) };
+}
+
+/**
+ * Compares two records wrapped by decorateForSort, key by key, then by position.
+ * 
+ * @param {*} a - The first wrapped record.
+ * @param {*} b - The second wrapped record.
+ * @param {*} sortKeys - The sort keys from buildSortKeys.
+ * 
+ * @returns {number} Negative, zero or positive like a sort comparator.
+ */
+function compareDecorated(a, b, sortKeys) {
+    for (let i = 0; i < sortKeys.length; i++) {
+        const result = compareValues(a.values[i], b.values[i], sortKeys[i].direction, sortKeys[i].sortType);
+        if (result !== 0) {
+            return result;
+        }
+    }
+    return a.index - b.index;
+}
+
+const MAX_SORT_KEYS = 3;
+
+/**
+ * Updates the list of sort keys after a column header was clicked.
+ * 
+ * @param {*} sortBy - The current sort keys.
+ * @param {*} fieldName - The field of the clicked column.
+ * @param {*} sortDirection - The direction requested by the datatable.
+ * @param {*} append - True to add the field as an extra key (shift-click), false to sort by this field only.
+ * 
+ * @returns {Array} The new sort keys.
+ */
+export const updateSortKeys = (sortBy, fieldName, sortDirection, append) => {
+    const sortKey = { fieldName, direction: sortDirection === 'desc' ? 'desc' : 'asc' };
+    if (!append || !sortBy?.length) {
+        return [sortKey];
+    }
+    if (sortBy.some(key => key.fieldName === fieldName)) {
+        return sortBy.map(key => (key.fieldName === fieldName ? sortKey : key));
+    }
+    // Adding a key beyond the limit replaces the lowest priority one
+    return [...sortBy.slice(0, MAX_SORT_KEYS - 1), sortKey];
+}
+
+const DEFAULT_SORT_LABELS = {
+    sortedBy: 'Sorted by {0}',
+    sortAscending: '{0} ascending',
+    sortDescending: '{0} descending',
+    sortSeparator: ', then ',
+    notSorted: 'Not sorted'
+};
+
+/**
+ * Describes the sort keys for screen reader announcements.
+ * 
+ * @param {*} sortBy - The sort keys, each { fieldName, direction }.
+ * @param {*} columns - The column definitions, used for the labels.
+ * @param {*} labels - The texts sortedBy, sortAscending, sortDescending, sortSeparator and notSorted, English by default.
+ * 
+ * @returns {string} The description, e.g. "Sorted by Type ascending, then Name descending".
+ */
+export const describeSortKeys = (sortBy = [], columns = [], labels = {}) => {
+    const texts = { ...DEFAULT_SORT_LABELS, ...labels };
+    if (!sortBy.length) {
+        return texts.notSorted;
+    }
+    const parts = sortBy.map(key => {
+        const label = columns.find(column => column.fieldName === key.fieldName)?.label || key.fieldName;
+        return formatLabel(key.direction === 'desc' ? texts.sortDescending : texts.sortAscending, label);
+    });
+    return formatLabel(texts.sortedBy, parts.join(texts.sortSeparator));
+}
+
+/**
+ * Returns how the values of a column are compared, based on the column type.
+ * 
+ * @param {*} column - The column definition, if any.
+ * 
+ * @returns {string} number, date, boolean, text, or null when there is no column (compared by value type).
+ */
+function getSortType(column) {
+    if (!column) return null;
+    switch (getBaseColumnType(column.type)) {
+        case 'number':
+        case 'currency':
+        case 'percent':
+            return 'number';
+        case 'date':
+        case 'date-local':
+            return 'date';
+        case 'boolean':
+            return 'boolean';
+        default:
+            return 'text';
+    }
+}
+
+/**
+ * Compares two field values for sorting. Null/undefined values are moved to the end regardless of sort direction.
+ * 
+ * @param {*} valueA - The first value.
+ * @param {*} valueB - The second value.
+ * @param {*} sortDirection - The sort direction, asc or desc.
+ * @param {*} sortType - The comparison from getSortType, null to compare by the type of the values.
+ * 
+ * @returns {number} Negative, zero or positive like a sort comparator.
+ */
+function compareValues(valueA, valueB, sortDirection, sortType) {
+    // Move null/undefined values to the end regardless of sort direction
+    if (valueA == null && valueB == null) return 0;
+    if (valueA == null) return 1;
+    if (valueB == null) return -1;
+
+    const direction = sortDirection === 'asc' ? 1 : -1;
+    switch (sortType) {
+        case 'number': {
+            const numberA = Number(valueA);
+            const numberB = Number(valueB);
+            if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+                return direction * (numberA - numberB);
+            }
+            break;
+        }
+        case 'date': {
+            // Apex returns dates and datetimes as ISO strings
+            const timeA = new Date(valueA).getTime();
+            const timeB = new Date(valueB).getTime();
+            if (!Number.isNaN(timeA) && !Number.isNaN(timeB)) {
+                return direction * (timeA - timeB);
+            }
+            break;
+        }
+        case 'boolean':
+            return direction * (Boolean(valueA) === Boolean(valueB) ? 0 : valueA ? -1 : 1);
+        case 'text':
+            return direction * TEXT_COLLATOR.compare(String(valueA), String(valueB));
+        default:
+            break;
+    }
+
+    // Handle different data types
+    if (typeof valueA !== typeof valueB) {
+        // Convert both to strings if types don't match
+        valueA = String(valueA);
+        valueB = String(valueB);
+    }
+
+    // Type-specific comparisons
+    switch (typeof valueA) {
+        case 'number':
+            return direction * (valueA - valueB);
+
+        case 'boolean':
+            return direction * (valueA === valueB ? 0 : valueA ? -1 : 1);
+
+        case 'string':
+            return direction * TEXT_COLLATOR.compare(valueA, valueB);
+
+        case 'object':
+            if (valueA instanceof Date && valueB instanceof Date) {
+                return direction * (valueA.getTime() - valueB.getTime());
+            }
+            // For other objects, convert to string
+            return direction * TEXT_COLLATOR.compare(JSON.stringify(valueA), JSON.stringify(valueB));
+
+        default:
+            // Fallback to string comparison
+            return direction * TEXT_COLLATOR.compare(String(valueA), String(valueB));
+    }
+}
+
 /**
  * Resolves the value of a field, supporting nested fields (e.g., "account.name").
  * 
@@ -207,43 +422,2401 @@ export const searchTextPaste = (event) => {
 
 /**
  * Searches the data table based on the provided search value and fields.
+ * The search value supports the query language parsed by parseSearchQuery, plain text and comma separated lists
+ * (e.g. pasted from a spreadsheet) keep their original behaviour.
  * 
  * @param {*} searchValue - The search text input by the user (typed or pasted).
  * @param {*} searchableFields - The columns/fields in the data that are searchable.
  * @param {*} data - The data to be searched.
+ * @param {*} options - Optional settings:
+ *  - columns: The table columns used for field names and typed comparisons.
+ *  - matchStrategy: How text is matched, exact, contains (default), normalized or fuzzy (see matchSearchText).
+ *  - sortByRelevance: True to return the best matches first.
+ *  - labels: The texts of the syntax errors, see parseSearchQuery.
  * 
  * @returns {Array} The filtered data matching the search criteria.
+ * @throws {SearchSyntaxError} When the search value is not a valid query.
  */
-export const dataTableSearchResult = (searchValue, searchableFields, data) => {
-    searchValue = formatSearchString(searchValue);
-    const searchValueLower = searchValue.toLowerCase();
-    const searchValueArray = searchValue.toLowerCase().split(','); // case insensitive 
+export const dataTableSearchResult = (searchValue, searchableFields, data, options = {}) => {
+    const columns = options.columns || [];
+    const fields = getSearchFields(searchableFields, columns);
+    const query = parseSearchQuery(searchValue, [...fields, ...columns.map(column => column.fieldName)], options.labels);
+    if (!query) {
+        return [...data];
+    }
+    const context = createSearchContext(fields, columns, options.matchStrategy);
     let tempDisplayData = [];
-    for (let i = 0; i < data.length; i++) {
-        const record = data[i];
+    collectMatches(query, context, data, 0, data.length, tempDisplayData);
+    if (options.sortByRelevance) {
+        // Array sort is stable, rows with the same score keep their order
+        tempDisplayData.sort((a, b) => b.score - a.score);
+    }
+    return tempDisplayData.map(item => item.record);
+}
 
-        if (
-            searchableFields.some(field =>
-                record[field]?.toLowerCase().includes(searchValueLower)
-            ) ||
-            searchableFields.some(field =>
-                record[field] && searchValueArray.includes(record[field]?.toLowerCase())
-            )
-        ) {
-            tempDisplayData.push(record);
+/**
+ * Scores a slice of the data against a query and adds the matching records to the result.
+ * 
+ * @param {*} query - The parsed query.
+ * @param {*} context - The context from createSearchContext.
+ * @param {*} data - The data to be searched.
+ * @param {*} start - The index of the first record to score.
+ * @param {*} end - The index after the last record to score.
+ * @param {*} matches - The result, receives { record, score } for every matching record.
+ */
+function collectMatches(query, context, data, start, end, matches) {
+    for (let i = start; i < end; i++) {
+        const record = data[i];
+        const score = scoreSearchQuery(query, record, context);
+        if (score > 0) {
+            matches.push({ record, score });
         }
     }
-    return tempDisplayData;
 }
 
 /**
- * Formats the search string by removing unnecessary spaces before/after commas.
+ * Builds the context a query is evaluated in.
+ * 
+ * @param {*} searchableFields - The fields searched by terms without a field name.
+ * @param {*} columns - The table columns.
+ * @param {*} matchStrategy - exact, contains, normalized or fuzzy.
+ * 
+ * @returns {Object} The evaluation context.
+ */
+export const createSearchContext = (searchableFields, columns = [], matchStrategy = 'contains') => {
+    return {
+        searchableFields,
+        columnTypes: new Map(columns.map(column => [column.fieldName, column.type])),
+        matchStrategy: MATCH_STRATEGIES.includes(matchStrategy) ? matchStrategy : 'contains',
+        normalizedTerms: new Map() // Search terms are normalized once per search
+    };
+}
+
+/**
+ * Returns the fields searched by terms without a field name: the searchable fields, or every column when none are given.
+ * 
+ * @param {*} searchableFields - The fields configured as searchable.
+ * @param {*} columns - The table columns.
+ * 
+ * @returns {Array} The field names to search.
+ */
+export const getSearchFields = (searchableFields, columns = []) => {
+    if (searchableFields?.length) {
+        return [...searchableFields];
+    }
+    return columns.map(column => column.fieldName).filter(fieldName => fieldName);
+}
+
+// Search query language
+
+const NUMERIC_COLUMN_TYPES = ['number', 'currency', 'percent'];
+const DATE_COLUMN_TYPES = ['date', 'date-local'];
+const EMPTY_KEYWORD = 'empty';
+const QUERY_KEYWORDS = { AND: 'and', OR: 'or', NOT: 'not' };
+const FIELD_TERM_PATTERN = /^([A-Za-z_][\w.]*)\s*(>=|<=|!=|:|>|<|=)\s*/;
+const STRUCTURED_QUERY_PATTERN = /"|[()]|(^|\s)-\S|[A-Za-z_][\w.]*\s*(>=|<=|!=|:|>|<|=)|(^|\s)(AND|OR|NOT)(\s|$)/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const DEFAULT_SEARCH_ERROR_LABELS = {
+    searchTermMissing: '"{0}" must be followed by a search term',
+    searchParenthesisMissing: 'Missing closing parenthesis',
+    searchUnexpected: 'Unexpected "{0}"',
+    searchAndMisplaced: '"AND" must be between two search terms',
+    searchOrMisplaced: '"OR" must be between two search terms',
+    searchTermExpected: 'Search term expected',
+    searchValueMissing: 'Missing value after "{0}"',
+    searchQuoteMissing: 'Missing closing quote',
+    searchSingleValue: '"{0}" accepts only one value'
+};
+
+/**
+ * Error thrown when the search text is not a valid query. The message is meant to be shown to the user.
+ */
+export class SearchSyntaxError extends Error {
+    /**
+     * @param {*} message - The description of the problem.
+     * @param {*} position - The index in the search text where the problem was found.
+     */
+    constructor(message, position) {
+        super(message);
+        this.name = 'SearchSyntaxError';
+        this.position = position;
+    }
+}
+
+/**
+ * Checks whether the search text may use the query language (field terms, quotes, negation, AND/OR, parentheses).
+ * Plain text and comma separated lists are searched the way they always were. parseSearchQuery still searches
+ * a text passing this check as a list when it reads like pasted values, see isPastedList.
  * 
  * @param {*} searchValue - The search text input by the user.
  * 
- * @returns {string} The formatted search string.
+ * @returns {boolean} True when the text has to be parsed as a query.
  */
-export const formatSearchString = (searchValue) => {
-    searchValue = searchValue.replace(/\s*,\s*/g, ",");
-    return searchValue;
+export const isStructuredQuery = (searchValue) => {
+    return STRUCTURED_QUERY_PATTERN.test(searchValue || '');
+}
+
+/**
+ * Parses the search text into a query tree.
+ * 
+ * Syntax:
+ *  - acme                      Any searchable field contains "acme".
+ *  - "Acme Corp"               Any searchable field contains the phrase.
+ *  - Type:Customer             Type contains "Customer". Field names are case-insensitive and may be nested (Owner.Name).
+ *  - Rating=Hot,Warm           Rating equals one of the values. Commas separate alternatives for every operator but < > <= >=.
+ *  - AnnualRevenue>100000      Typed comparison (>, >=, <, <=, !=), numbers and dates are compared by value.
+ *  - Phone:empty               Phone has no value.
+ *  - -Phone:empty, NOT x       Negation.
+ *  - a b, a AND b, a OR b      Terms are combined with AND unless OR is given; AND binds tighter than OR, use ( ) to group.
+ * 
+ * Pasted lists like "Acme (UK),Beta Ltd" or "Ref:123" are searched as lists: a comma outside of a field term
+ * or a field term with an unknown field turn the whole text into a list search.
+ * 
+ * @param {*} searchValue - The search text input by the user.
+ * @param {*} knownFields - The field names that may be used in field terms.
+ * @param {*} labels - The texts of the syntax errors (searchTermMissing, searchUnexpected, searchSingleValue...), English by default.
+ * 
+ * @returns {Object} The query tree, or null when the search text is empty.
+ * @throws {SearchSyntaxError} When the search text is not a valid query.
+ */
+export const parseSearchQuery = (searchValue, knownFields = [], labels = {}) => {
+    const text = formatSearchString(searchValue || '').trim();
+    if (!text) {
+        return null;
+    }
+    const buildList = () => {
+        const textLower = text.toLocaleLowerCase(LOCALE);
+        return { type: 'list', text: textLower, values: textLower.split(',').filter(value => value) };
+    };
+    if (!isStructuredQuery(text)) {
+        return buildList();
+    }
+
+    const texts = { ...DEFAULT_SEARCH_ERROR_LABELS, ...labels };
+    const fieldLookup = new Map(knownFields.filter(field => field).map(field => [field.toLowerCase(), field]));
+    const tokens = tokenizeSearchQuery(text, texts);
+    if (isPastedList(tokens, fieldLookup)) {
+        return buildList();
+    }
+    let position = 0;
+    const peek = () => tokens[position];
+    const isTermStart = (token) => token && !['and', 'or', 'rparen'].includes(token.type);
+
+    const parseUnary = () => {
+        const token = tokens[position++];
+        if (token.type === 'not') {
+            if (!isTermStart(peek())) {
+                throw new SearchSyntaxError(formatLabel(texts.searchTermMissing, token.text), token.position);
+            }
+            return { type: 'not', child: parseUnary() };
+        }
+        if (token.type === 'lparen') {
+            const node = parseOr();
+            if (peek()?.type !== 'rparen') {
+                throw new SearchSyntaxError(texts.searchParenthesisMissing, token.position);
+            }
+            position++;
+            return node;
+        }
+        if (token.type === 'term') {
+            return resolveTermField(token, fieldLookup, texts);
+        }
+        throw new SearchSyntaxError(formatLabel(texts.searchUnexpected, token.text), token.position);
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+            if (peek().type === 'and') {
+                const andToken = tokens[position++];
+                if (!children.length || !isTermStart(peek())) {
+                    throw new SearchSyntaxError(texts.searchAndMisplaced, andToken.position);
+                }
+                continue;
+            }
+            children.push(parseUnary());
+        }
+        if (!children.length) {
+            const token = peek();
+            throw new SearchSyntaxError(token ? formatLabel(texts.searchUnexpected, token.text) : texts.searchTermExpected, token ? token.position : text.length);
+        }
+        return children.length > 1 ? { type: 'and', children } : children[0];
+    };
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek()?.type === 'or') {
+            const orToken = tokens[position++];
+            if (!isTermStart(peek())) {
+                throw new SearchSyntaxError(texts.searchOrMisplaced, orToken.position);
+            }
+            children.push(parseAnd());
+        }
+        return children.length > 1 ? { type: 'or', children } : children[0];
+    };
+
+    const query = parseOr();
+    if (position < tokens.length) {
+        throw new SearchSyntaxError(formatLabel(texts.searchUnexpected, tokens[position].text), tokens[position].position);
+    }
+    return query;
+}
+
+/**
+ * Checks whether the tokens of a search text read like a pasted list rather than a query: a term without field
+ * holds a comma, which the query language only allows between the values of a field term, or a field term names
+ * an unknown field, e.g. "Ref:123".
+ * 
+ * @param {*} tokens - The tokens of the search text.
+ * @param {*} fieldLookup - Map of lower case field name to field name.
+ * 
+ * @returns {boolean} True when the text has to be searched as a list.
+ */
+function isPastedList(tokens, fieldLookup) {
+    return tokens.some(token => token.type === 'term' && (token.field ?
+        !fieldLookup.has(token.field.toLowerCase()) :
+        token.values.length > 1 || token.text.replace(/"[^"]*"/g, '').includes(',')));
+}
+
+/**
+ * Checks whether a record matches a query tree returned by parseSearchQuery.
+ * 
+ * @param {*} query - The query tree.
+ * @param {*} record - The record to check.
+ * @param {*} context - The searchableFields used by terms without a field and the columnTypes (Map of fieldName to column type).
+ * 
+ * @returns {boolean} True when the record matches.
+ */
+export const evaluateSearchQuery = (query, record, context) => {
+    return scoreSearchQuery(query, record, context) > 0;
+}
+
+/**
+ * Scores how well a record matches a query tree, used to rank results by relevance.
+ * 
+ * @param {*} query - The query tree.
+ * @param {*} record - The record to check.
+ * @param {*} context - The context from createSearchContext.
+ * 
+ * @returns {number} 0 when the record does not match, up to 1 for an exact match.
+ */
+export const scoreSearchQuery = (query, record, context) => {
+    switch (query.type) {
+        case 'and': {
+            let total = 0;
+            for (const child of query.children) {
+                const score = scoreSearchQuery(child, record, context);
+                if (score === 0) return 0;
+                total += score;
+            }
+            return total / query.children.length;
+        }
+        case 'or':
+            return Math.max(...query.children.map(child => scoreSearchQuery(child, record, context)));
+        case 'not':
+            return scoreSearchQuery(query.child, record, context) > 0 ? 0 : 1;
+        case 'list':
+            // Plain text: a field contains the whole text or equals one of the comma separated values
+            return bestFieldScore(context.searchableFields, record, context.columnTypes, text => {
+                if (!text) return 0;
+                let score = matchSearchText(text, query.text, context);
+                for (const value of query.values) {
+                    if (score === 1) break;
+                    score = Math.max(score, equalsSearchText(text, value, context));
+                }
+                return score;
+            });
+        default: {
+            const fields = query.field ? [query.field] : context.searchableFields;
+            let best = 0;
+            for (const field of fields) {
+                best = Math.max(best, scoreTermValue(query, resolveFieldValue(record, field), context.columnTypes?.get(field), context));
+                if (best === 1) break;
+            }
+            return best;
+        }
+    }
+}
+
+/**
+ * Splits the search text into tokens: terms (with an optional field and operator), AND/OR/NOT keywords, "-" and parentheses.
+ * 
+ * @param {*} text - The formatted search text.
+ * @param {*} texts - The texts of the syntax errors.
+ * 
+ * @returns {Array} The tokens.
+ */
+function tokenizeSearchQuery(text, texts) {
+    const tokens = [];
+    let index = 0;
+    while (index < text.length) {
+        const char = text[index];
+        if (/\s/.test(char)) {
+            index++;
+            continue;
+        }
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char === '(' ? 'lparen' : 'rparen', text: char, position: index });
+            index++;
+            continue;
+        }
+        if (char === '-' && index + 1 < text.length && !/[\s()]/.test(text[index + 1])) {
+            tokens.push({ type: 'not', text: char, position: index });
+            index++;
+            continue;
+        }
+
+        const start = index;
+        let field = null;
+        let operator = null;
+        const fieldMatch = FIELD_TERM_PATTERN.exec(text.slice(index));
+        if (fieldMatch) {
+            field = fieldMatch[1];
+            operator = fieldMatch[2];
+            index += fieldMatch[0].length;
+        }
+        const { values, end } = readTermValues(text, index, texts);
+        index = end;
+
+        if (field && !values.length) {
+            throw new SearchSyntaxError(formatLabel(texts.searchValueMissing, `${field}${operator}`), start);
+        }
+        if (!values.length) {
+            throw new SearchSyntaxError(formatLabel(texts.searchUnexpected, char), start);
+        }
+        const keyword = !field && values.length === 1 && !values[0].quoted && QUERY_KEYWORDS[values[0].value];
+        if (keyword) {
+            tokens.push({ type: keyword, text: values[0].value, position: start });
+            continue;
+        }
+        tokens.push({
+            type: 'term',
+            text: text.slice(start, index),
+            position: start,
+            field,
+            operator: operator || ':',
+            values
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Reads the comma separated values of a term, each value may be quoted.
+ * 
+ * @param {*} text - The search text.
+ * @param {*} start - The index where the values begin.
+ * @param {*} texts - The texts of the syntax errors.
+ * 
+ * @returns {Object} The values ({ value, quoted }) and the index after the last value.
+ */
+function readTermValues(text, start, texts) {
+    const values = [];
+    let index = start;
+    do {
+        if (text[index] === ',') {
+            index++;
+        }
+        if (text[index] === '"') {
+            const end = text.indexOf('"', index + 1);
+            if (end === -1) {
+                throw new SearchSyntaxError(texts.searchQuoteMissing, index);
+            }
+            values.push({ value: text.slice(index + 1, end), quoted: true });
+            index = end + 1;
+        } else {
+            const match = /^[^\s,()"]+/.exec(text.slice(index));
+            if (!match) {
+                break;
+            }
+            values.push({ value: match[0], quoted: false });
+            index += match[0].length;
+        }
+    } while (text[index] === ',');
+    return { values, end: index };
+}
+
+/**
+ * Resolves the field of a term token to the field name of the table and builds the term node.
+ * Unknown fields never get here, parseSearchQuery searches such texts as lists.
+ * 
+ * @param {*} token - The term token.
+ * @param {*} fieldLookup - Map of lower case field name to field name.
+ * @param {*} texts - The texts of the syntax errors.
+ * 
+ * @returns {Object} The term node.
+ */
+function resolveTermField(token, fieldLookup, texts) {
+    const field = token.field ? fieldLookup.get(token.field.toLowerCase()) : null;
+    const isComparison = ['>', '>=', '<', '<='].includes(token.operator);
+    if (isComparison && token.values.length > 1) {
+        throw new SearchSyntaxError(formatLabel(texts.searchSingleValue, `${token.field}${token.operator}`), token.position);
+    }
+    const isEmptyKeyword = item => !isComparison && !item.quoted && item.value.toLowerCase() === EMPTY_KEYWORD;
+    return {
+        type: 'term',
+        field,
+        operator: token.operator,
+        // The empty keyword is kept apart from the other values, e.g. Phone:empty,555
+        values: token.values.filter(item => !isEmptyKeyword(item)).map(item => item.value),
+        matchesEmpty: token.values.some(isEmptyKeyword)
+    };
+}
+
+/**
+ * Scores a single field value against a term. Text terms (field:value and terms without field) use the match strategy,
+ * the other operators either match (1) or not (0).
+ * 
+ * @param {*} term - The term node.
+ * @param {*} value - The resolved field value.
+ * @param {*} columnType - The type of the column of the field, if known.
+ * @param {*} context - The context from createSearchContext.
+ * 
+ * @returns {number} The match score between 0 and 1.
+ */
+function scoreTermValue(term, fieldValue, columnType, context) {
+    const value = toUnderlyingValue(fieldValue, columnType);
+    if (term.matchesEmpty && isEmptyValue(value)) {
+        return term.operator === '!=' ? 0 : 1;
+    }
+    if (term.operator === ':') {
+        const text = toSearchText(value);
+        return text && term.values.length ? Math.max(...term.values.map(searchTerm => matchSearchText(text, searchTerm, context))) : 0;
+    }
+    return matchesTermValue(term, value, columnType) ? 1 : 0;
+}
+
+/**
+ * Returns the best score of a match function over the text of several fields.
+ * 
+ * @param {*} fields - The fields to check.
+ * @param {*} record - The record.
+ * @param {*} columnTypes - The column types by field name, custom types are searched by their underlying value.
+ * @param {*} scoreText - Function scoring the text of a field.
+ * 
+ * @returns {number} The best score.
+ */
+function bestFieldScore(fields, record, columnTypes, scoreText) {
+    let best = 0;
+    for (const field of fields) {
+        best = Math.max(best, scoreText(toSearchText(toUnderlyingValue(resolveFieldValue(record, field), columnTypes?.get(field)))));
+        if (best === 1) break;
+    }
+    return best;
+}
+
+/**
+ * Checks a single field value against a term with an equality or comparison operator, empty values are handled by scoreTermValue.
+ * 
+ * @param {*} term - The term node.
+ * @param {*} value - The resolved field value.
+ * @param {*} columnType - The type of the column of the field, if known.
+ * 
+ * @returns {boolean} True when the value matches the term.
+ */
+function matchesTermValue(term, value, columnType) {
+    switch (term.operator) {
+        case '=':
+            return term.values.some(searchTerm => compareSearchValues(value, searchTerm, columnType) === 0);
+        case '!=':
+            return !term.values.some(searchTerm => compareSearchValues(value, searchTerm, columnType) === 0);
+        default: {
+            if (isEmptyValue(value)) return false;
+            const result = compareSearchValues(value, term.values[0], columnType);
+            if (Number.isNaN(result)) return false;
+            switch (term.operator) {
+                case '>': return result > 0;
+                case '>=': return result >= 0;
+                case '<': return result < 0;
+                default: return result <= 0;
+            }
+        }
+    }
+}
+
+/**
+ * Compares a field value with a value from the search text. Numbers and dates are compared by value
+ * (by column type, or when both sides look like numbers/dates), everything else case-insensitively as text.
+ * 
+ * @param {*} value - The field value.
+ * @param {*} searchTerm - The value from the search text.
+ * @param {*} columnType - The type of the column of the field, if known.
+ * 
+ * @returns {number} Negative, zero or positive like a sort comparator, NaN when the values can not be compared.
+ */
+function compareSearchValues(value, searchTerm, columnType) {
+    if (isEmptyValue(value)) return NaN;
+    const baseType = getBaseColumnType(columnType);
+    const isNumericColumn = NUMERIC_COLUMN_TYPES.includes(baseType);
+    if (isNumericColumn || (!columnType && typeof value === 'number')) {
+        return Number(value) - Number(searchTerm);
+    }
+    const isDateColumn = DATE_COLUMN_TYPES.includes(baseType);
+    if (isDateColumn || value instanceof Date || (ISO_DATE_PATTERN.test(String(value)) && ISO_DATE_PATTERN.test(searchTerm))) {
+        return new Date(value).getTime() - new Date(searchTerm).getTime();
+    }
+    return SEARCH_COLLATOR.compare(toSearchText(value), searchTerm);
+}
+
+// Match strategies
+
+const MATCH_STRATEGIES = ['exact', 'contains', 'normalized', 'fuzzy'];
+
+/**
+ * Normalizes text for accent and punctuation insensitive matching: "Société Générale" and "Acme, Inc." become
+ * "societe generale" and "acme inc".
+ * 
+ * @param {*} text - The text to normalize.
+ * 
+ * @returns {string} The lower case text without diacritics and punctuation, with single spaces.
+ */
+export const normalizeSearchText = (text) => {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLocaleLowerCase(LOCALE)
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Scores how well a field text matches a search term with the strategy of the context:
+ *  - exact: The text equals the term (case-insensitive).
+ *  - contains: The text contains the term (case-insensitive).
+ *  - normalized: Like contains, ignoring diacritics and punctuation.
+ *  - fuzzy: Like normalized, and every word of the term may also match a word of the text with a typo
+ *    (1 edit for words of 4 to 6 characters, 2 edits for longer words) or as a prefix.
+ * 
+ * @param {*} text - The field text.
+ * @param {*} term - The search term.
+ * @param {*} context - The context from createSearchContext.
+ * 
+ * @returns {number} 0 when the text does not match, 1 when it equals the term, partial matches score in between.
+ */
+export const matchSearchText = (text, term, context) => {
+    const strategy = context.matchStrategy;
+    if (strategy === 'exact' || strategy === 'contains') {
+        const textLower = text.toLocaleLowerCase(LOCALE);
+        const termLower = term.toLocaleLowerCase(LOCALE);
+        if (textLower === termLower) return 1;
+        if (strategy === 'exact') return 0;
+        return scoreContains(textLower, termLower);
+    }
+    const normalizedText = normalizeSearchText(text);
+    const normalizedTerm = getNormalizedTerm(term, context);
+    if (!normalizedTerm) return 0;
+    if (normalizedText === normalizedTerm) return 1;
+    const score = scoreContains(normalizedText, normalizedTerm);
+    if (score > 0 || strategy === 'normalized') return score;
+    return scoreFuzzy(normalizedText, normalizedTerm);
+}
+
+/**
+ * Scores whether a field text equals a search term with the strategy of the context, used for the values of a comma separated list.
+ * 
+ * @param {*} text - The field text.
+ * @param {*} term - The search term.
+ * @param {*} context - The context from createSearchContext.
+ * 
+ * @returns {number} 1 when the text equals the term, a lower score for a fuzzy match, else 0.
+ */
+function equalsSearchText(text, term, context) {
+    const strategy = context.matchStrategy;
+    if (strategy === 'exact' || strategy === 'contains') {
+        return text.toLocaleLowerCase(LOCALE) === term ? 1 : 0;
+    }
+    const normalizedText = normalizeSearchText(text);
+    const normalizedTerm = getNormalizedTerm(term, context);
+    if (normalizedText === normalizedTerm) return 1;
+    if (strategy === 'normalized') return 0;
+    const score = scoreFuzzy(normalizedText, normalizedTerm);
+    // Every word of the text has to be matched too, so "acme" does not equal "acme holdings"
+    return score && normalizedText.split(' ').length === normalizedTerm.split(' ').length ? score : 0;
+}
+
+/**
+ * Returns the normalized form of a search term, cached in the context.
+ * 
+ * @param {*} term - The search term.
+ * @param {*} context - The context from createSearchContext.
+ * 
+ * @returns {string} The normalized term.
+ */
+function getNormalizedTerm(term, context) {
+    if (!context.normalizedTerms.has(term)) {
+        context.normalizedTerms.set(term, normalizeSearchText(term));
+    }
+    return context.normalizedTerms.get(term);
+}
+
+/**
+ * Scores a contains match: a match at the start of the text ranks above a match in the middle.
+ * 
+ * @param {*} text - The text.
+ * @param {*} term - The term.
+ * 
+ * @returns {number} 0.9 for a prefix, 0.75 for any other position, 0 when not found.
+ */
+function scoreContains(text, term) {
+    const index = text.indexOf(term);
+    if (index === -1) return 0;
+    return index === 0 ? 0.9 : 0.75;
+}
+
+/**
+ * Scores a typo tolerant match: every word of the term has to match a word of the text as a prefix or within the allowed edit distance.
+ * 
+ * @param {*} text - The normalized text.
+ * @param {*} term - The normalized term.
+ * 
+ * @returns {number} The average word score (at most 0.7), 0 when a word does not match.
+ */
+function scoreFuzzy(text, term) {
+    const textWords = text.split(' ');
+    let total = 0;
+    const termWords = term.split(' ');
+    for (const termWord of termWords) {
+        const maxEdits = termWord.length <= 3 ? 0 : termWord.length <= 6 ? 1 : 2;
+        let best = 0;
+        for (const textWord of textWords) {
+            if (termWord.length > 1 && textWord.startsWith(termWord)) {
+                best = 0.7;
+                break;
+            }
+            if (maxEdits && Math.abs(textWord.length - termWord.length) <= maxEdits) {
+                const distance = getEditDistance(termWord, textWord, maxEdits);
+                if (distance <= maxEdits) {
+                    best = Math.max(best, 0.7 - 0.2 * distance);
+                }
+            }
+        }
+        if (best === 0) return 0;
+        total += best;
+    }
+    return total / termWords.length;
+}
+
+/**
+ * Computes the edit distance between two words, counting insertions, deletions, substitutions and transpositions of adjacent characters.
+ * 
+ * @param {*} a - The first word.
+ * @param {*} b - The second word.
+ * @param {*} maxDistance - Distances above this value are not needed, the computation stops early.
+ * 
+ * @returns {number} The edit distance, or maxDistance + 1 when it is larger than maxDistance.
+ */
+function getEditDistance(a, b, maxDistance) {
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousPrevious[j - 2] + 1);
+            }
+            current[j] = distance;
+            rowMinimum = Math.min(rowMinimum, distance);
+        }
+        if (rowMinimum > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Converts any field value (number, boolean, date, array, object) to the text used for searching.
+ * 
+ * @param {*} value - The field value.
+ * 
+ * @returns {string} The searchable text.
+ */
+function toSearchText(value) {
+    if (value == null) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(toSearchText).join(' ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Checks whether a field value is empty (null, undefined, blank text or an empty array).
+ * 
+ * @param {*} value - The field value.
+ * 
+ * @returns {boolean} True when the value is empty.
+ */
+function isEmptyValue(value) {
+    return value == null || (typeof value === 'string' && !value.trim()) || (Array.isArray(value) && !value.length);
+}
+
+/**
+ * Formats the search string by removing unnecessary spaces before/after commas.
+ * 
+ * @param {*} searchValue - The search text input by the user.
+ * 
+ * @returns {string} The formatted search string.
+ */
+export const formatSearchString = (searchValue) => {
+    searchValue = searchValue.replace(/\s*,\s*/g, ",");
+    return searchValue;
+}
+
+/**
+ * Builds the request object sent to a remote data provider when the table runs in remote data mode.
+ * 
+ * @param {*} options - The current paging, sorting and searching state of the table component.
+ * 
+ * @returns {Object} An object containing:
+ *  - offset: The number of records already loaded (0 when the table is reset).
+ *  - pageSize: The number of records requested.
+ *  - cursor: The cursor returned with the previous page, if the provider uses cursors.
+ *  - sortedBy / sortedDirection: The primary sort key.
+ *  - sortBy: All sort keys in priority order ({ fieldName, direction }).
+ *  - searchValue: The formatted search string.
+ *  - searchTerms: The search string split into its comma separated terms.
+ *  - searchQuery: The search string parsed by parseSearchQuery, for providers that support the query language.
+ *  - searchableFields: The fields the search terms apply to.
+ *  - columnFilters: The active column filters ({ fieldName, type, values, min, max, checked }).
+ *  - matchStrategy: How the provider should match text (exact, contains, normalized or fuzzy).
+ * The labels option holds the texts of the syntax errors, see parseSearchQuery.
+ * @throws {SearchSyntaxError} When the search value is not a valid query.
+ */
+export const buildPageRequest = ({ offset, pageSize, cursor, sortedBy, sortedDirection, sortBy = [], searchValue, searchableFields, columns = [], columnFilters = [], matchStrategy = 'contains', labels }) => {
+    const formattedSearchString = searchValue ? formatSearchString(searchValue.trim()) : '';
+    const fields = getSearchFields(searchableFields, columns);
+    return {
+        offset,
+        pageSize,
+        cursor,
+        sortedBy,
+        sortedDirection,
+        sortBy,
+        searchValue: formattedSearchString,
+        searchTerms: formattedSearchString ? formattedSearchString.split(',').filter(term => term) : [],
+        searchQuery: parseSearchQuery(formattedSearchString, [...fields, ...columns.map(column => column.fieldName)], labels),
+        searchableFields: fields,
+        columnFilters: columnFilters.filter(isFilterActive),
+        matchStrategy
+    };
+}
+
+/**
+ * Normalizes the page returned by a remote data provider. Providers may return a plain array of records
+ * or an object with records, totalCount and an optional cursor for the next page. An explicit hasMore
+ * wins over the count, e.g. when the provider can not page past a limit, and isTotalCountCapped marks
+ * a totalCount at which the provider stopped counting.
+ * 
+ * @param {*} result - The value resolved by the data provider.
+ * @param {*} pageSize - The number of records that were requested.
+ * @param {*} loadedCount - The number of records loaded after this page is applied.
+ * 
+ * @returns {Object} An object containing the records, totalCount, isTotalCountCapped, cursor and whether more records are available.
+ */
+export const normalizePageResult = (result, pageSize, loadedCount) => {
+    const records = Array.isArray(result) ? result : (result?.records || []);
+    const totalCount = Number.isInteger(result?.totalCount) ? result.totalCount : null;
+    let hasMore = totalCount !== null ? loadedCount + records.length < totalCount : records.length === pageSize;
+    if (typeof result?.hasMore === 'boolean') {
+        hasMore = result.hasMore;
+    }
+    return {
+        records,
+        totalCount,
+        isTotalCountCapped: totalCount !== null && result?.isTotalCountCapped === true,
+        cursor: result?.cursor,
+        hasMore
+    };
+}
+
+/**
+ * Extracts a readable message from an Apex, JavaScript or string error.
+ * 
+ * @param {*} error - The error to read.
+ * 
+ * @returns {string} The error message.
+ */
+export const getErrorMessage = (error) => {
+    if (!error) return '';
+    if (typeof error === 'string') return error;
+    if (Array.isArray(error?.body)) return error.body.map(item => item.message).join(', ');
+    return error?.body?.message || error?.message || String(error);
+}
+
+// Column filters
+
+const MAX_FILTER_OPTIONS = 100; // Columns with more distinct values are left to the search box
+
+/**
+ * Returns the kind of filter offered for a column, based on the column type.
+ * 
+ * @param {*} column - The column definition.
+ * 
+ * @returns {string} values (pick-list of distinct values), range (number/currency/percent), dateRange (date) or boolean.
+ */
+export const getColumnFilterType = (column) => {
+    switch (getBaseColumnType(column?.type)) {
+        case 'number':
+        case 'currency':
+        case 'percent':
+            return 'range';
+        case 'date':
+        case 'date-local':
+            return 'dateRange';
+        case 'boolean':
+            return 'boolean';
+        default:
+            return 'values';
+    }
+}
+
+/**
+ * Collects the distinct, non-empty values of a field, sorted alphabetically.
+ * 
+ * @param {*} data - The data to read the values from.
+ * @param {*} fieldName - The field, nested fields are supported.
+ * 
+ * @returns {Array} The distinct values as strings.
+ */
+export const getDistinctValues = (data, fieldName) => {
+    const values = new Set();
+    data.forEach(record => {
+        const value = resolveFieldValue(record, fieldName);
+        if (!isEmptyValue(value)) {
+            values.add(String(value));
+        }
+    });
+    return [...values].sort(TEXT_COLLATOR.compare);
+}
+
+/**
+ * Builds the filter definitions shown in the filter panel, one per filterable column.
+ * Columns with "filterable: false", without a fieldName or without values are skipped. Columns with too many
+ * distinct values for a pick-list get hasTooManyValues and their valueCount instead of options.
+ * 
+ * @param {*} columns - The table columns.
+ * @param {*} data - The data the pick-list values are computed from.
+ * @param {*} activeFilters - The filters currently applied.
+ * 
+ * @returns {Array} The filter definitions with the current filter values.
+ */
+export const buildFilterDefinitions = (columns, data, activeFilters = []) => {
+    const definitions = [];
+    (columns || []).forEach(column => {
+        if (!column.fieldName || column.filterable === false) return;
+        const type = getColumnFilterType(column);
+        const activeFilter = activeFilters.find(filter => filter.fieldName === column.fieldName) || {};
+        const definition = {
+            fieldName: column.fieldName,
+            label: column.label || column.fieldName,
+            type,
+            isValues: type === 'values',
+            isRange: type === 'range',
+            isDateRange: type === 'dateRange',
+            isBoolean: type === 'boolean',
+            values: activeFilter.values || [],
+            min: activeFilter.min ?? '',
+            max: activeFilter.max ?? '',
+            checked: activeFilter.checked || ''
+        };
+        if (type === 'values') {
+            const distinctValues = getDistinctValues(data, column.fieldName);
+            if (!distinctValues.length) return;
+            if (distinctValues.length > MAX_FILTER_OPTIONS) {
+                definition.isValues = false;
+                definition.hasTooManyValues = true;
+                definition.valueCount = distinctValues.length;
+            } else {
+                definition.options = distinctValues.map(value => ({ label: value, value }));
+            }
+        }
+        definitions.push(definition);
+    });
+    return definitions;
+}
+
+/**
+ * Checks whether a filter restricts the data.
+ * 
+ * @param {*} filter - The filter ({ fieldName, type, values, min, max, checked }).
+ * 
+ * @returns {boolean} True when the filter has a value.
+ */
+export const isFilterActive = (filter) => {
+    switch (filter?.type) {
+        case 'values':
+            return filter.values?.length > 0;
+        case 'range':
+        case 'dateRange':
+            return !isEmptyValue(filter.min) || !isEmptyValue(filter.max);
+        case 'boolean':
+            return filter.checked === 'checked' || filter.checked === 'unchecked';
+        default:
+            return false;
+    }
+}
+
+/**
+ * Applies the column filters to the data, a record has to match every active filter.
+ * 
+ * @param {*} data - The data to be filtered.
+ * @param {*} filters - The column filters.
+ * 
+ * @returns {Array} The records matching all filters.
+ */
+export const applyColumnFilters = (data, filters = []) => {
+    const activeFilters = filters.filter(isFilterActive);
+    if (!activeFilters.length) {
+        return data;
+    }
+    return data.filter(record => activeFilters.every(filter => matchesColumnFilter(record, filter)));
+}
+
+/**
+ * Builds the label of the pill shown for an active filter, e.g. "Type: Customer, Partner" or "Annual Revenue: 1000 - 5000".
+ * 
+ * @param {*} filter - The active filter.
+ * @param {*} columns - The table columns, used for the column label.
+ * @param {*} labels - The texts checked and unchecked of boolean filters, English by default.
+ * 
+ * @returns {string} The pill label.
+ */
+export const describeColumnFilter = (filter, columns = [], labels = {}) => {
+    const column = columns.find(item => item.fieldName === filter.fieldName);
+    const label = column?.label || filter.fieldName;
+    switch (filter.type) {
+        case 'values':
+            return `${label}: ${filter.values.join(', ')}`;
+        case 'boolean':
+            return `${label}: ${filter.checked === 'checked' ? labels.checked || 'Checked' : labels.unchecked || 'Unchecked'}`;
+        default:
+            if (isEmptyValue(filter.max)) return `${label} ≥ ${filter.min}`;
+            if (isEmptyValue(filter.min)) return `${label} ≤ ${filter.max}`;
+            return `${label}: ${filter.min} - ${filter.max}`;
+    }
+}
+
+/**
+ * Checks a record against a single active filter.
+ * 
+ * @param {*} record - The record to check.
+ * @param {*} filter - The active filter.
+ * 
+ * @returns {boolean} True when the record matches.
+ */
+function matchesColumnFilter(record, filter) {
+    const value = resolveFieldValue(record, filter.fieldName);
+    switch (filter.type) {
+        case 'values':
+            return !isEmptyValue(value) && filter.values.includes(String(value));
+        case 'boolean':
+            return filter.checked === 'checked' ? value === true : value !== true;
+        case 'range':
+            return isWithinRange(isEmptyValue(value) ? NaN : Number(value), Number(filter.min), Number(filter.max), filter);
+        case 'dateRange':
+            // Date inputs give yyyy-mm-dd, compare on the date part so datetime values on the "to" day are included
+            return isWithinRange(isEmptyValue(value) ? NaN : new Date(value).getTime(), Date.parse(filter.min), Date.parse(filter.max) + (isEmptyValue(filter.max) ? 0 : 86399999), filter);
+        default:
+            return true;
+    }
+}
+
+/**
+ * Checks whether a number is within the bounds of a range filter, empty bounds are open.
+ * 
+ * @param {*} value - The value to check.
+ * @param {*} min - The lower bound.
+ * @param {*} max - The upper bound.
+ * @param {*} filter - The filter, to know which bounds are set.
+ * 
+ * @returns {boolean} True when the value is within the range.
+ */
+function isWithinRange(value, min, max, filter) {
+    if (Number.isNaN(value)) return false;
+    if (!isEmptyValue(filter.min) && value < min) return false;
+    if (!isEmptyValue(filter.max) && value > max) return false;
+    return true;
+}
+
+// Locale formatting
+
+/**
+ * Formats a count or amount for the locale of the user, e.g. 12345 as "12,345" in en-US.
+ * 
+ * @param {*} value - The number.
+ * 
+ * @returns {string} The formatted number.
+ */
+export const formatNumber = (value) => {
+    return NUMBER_FORMAT.format(Number(value) || 0);
+}
+
+/**
+ * Fills in the placeholders of a custom label: {0} with the first value, {1} with the second and so on.
+ * Placeholders without a value are kept.
+ * 
+ * @param {*} label - The label text, e.g. "Available ({0} of {1})".
+ * @param {...*} values - The values of the placeholders.
+ * 
+ * @returns {string} The text.
+ */
+export const formatLabel = (label, ...values) => {
+    return String(label ?? '').replace(/\{(\d+)\}/g, (placeholder, index) => (values[index] ?? placeholder));
+}
+
+// Export
+
+const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/; // Text a spreadsheet would run as a formula
+const PLAIN_NUMBER_PATTERN = /^[+-]?(\d+([.,]\d+)?|[.,]\d+)(\s?%)?$/; // Signed numbers and percentages, e.g. -12,5 or -3 %
+// Numbers of CSV files are read by spreadsheets with the decimal separator of the locale, without grouping
+const CSV_NUMBER_FORMAT = new Intl.NumberFormat(LOCALE, { useGrouping: false, maximumFractionDigits: 10 });
+const PERCENT_FORMAT = new Intl.NumberFormat(LOCALE, { style: 'percent', maximumFractionDigits: 8 });
+// Date only values have no time zone, they are formatted as they are
+const DATE_FORMAT = new Intl.DateTimeFormat(LOCALE, { dateStyle: 'short', timeZone: 'UTC' });
+const DATE_TIME_FORMAT = new Intl.DateTimeFormat(LOCALE, { dateStyle: 'short', timeStyle: 'short', timeZone: TIME_ZONE });
+
+/**
+ * Builds the header and rows of an export: one column per table column with a fieldName, in column order,
+ * with the column labels as header and the values formatted by column type.
+ * 
+ * @param {*} data - The records to export.
+ * @param {*} columns - The table columns.
+ * @param {*} options - localizeNumbers: true to write numbers as text with the decimal separator of the locale (for CSV).
+ * 
+ * @returns {Array} The rows of cells, the first row holds the column labels.
+ */
+export const buildExportMatrix = (data, columns = [], options = {}) => {
+    const exportColumns = columns.filter(column => column.fieldName);
+    return [
+        exportColumns.map(column => column.label || column.fieldName),
+        ...data.map(record => exportColumns.map(column => formatExportValue(resolveFieldValue(record, column.fieldName), column, options)))
+    ];
+}
+
+/**
+ * Formats a value for export based on the column type and the locale of the user. Numbers stay numbers so spreadsheets
+ * can calculate with them, percentages and dates are formatted like the datatable shows them.
+ * 
+ * @param {*} value - The field value.
+ * @param {*} column - The column definition.
+ * @param {*} options - localizeNumbers: true to format numbers as text for the locale.
+ * 
+ * @returns {*} A number, boolean or string.
+ */
+export const formatExportValue = (fieldValue, column, options = {}) => {
+    const value = toUnderlyingValue(fieldValue, column?.type);
+    if (isEmptyValue(value)) return '';
+    switch (getBaseColumnType(column?.type)) {
+        case 'number':
+        case 'currency': {
+            const number = Number(value);
+            if (Number.isNaN(number)) return String(value);
+            return options.localizeNumbers ? CSV_NUMBER_FORMAT.format(number) : number;
+        }
+        case 'percent': {
+            // The datatable shows 0.25 as 25%
+            const number = Number(value);
+            return Number.isNaN(number) ? String(value) : PERCENT_FORMAT.format(number);
+        }
+        case 'date':
+        case 'date-local': {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) return String(value);
+            // Date only values (yyyy-mm-dd) have no time
+            return ISO_DATE_PATTERN.test(String(value)) && String(value).length === 10 ? DATE_FORMAT.format(date) : DATE_TIME_FORMAT.format(date);
+        }
+        case 'boolean':
+            return Boolean(value);
+        default:
+            return Array.isArray(value) ? value.join('; ') : toSearchText(value);
+    }
+}
+
+/**
+ * Converts rows of cells to CSV. Values with commas, quotes or line breaks are quoted, quotes are doubled and
+ * text that a spreadsheet would run as a formula is prefixed with a single quote: every text starting with =, +, -, @,
+ * a tab or a carriage return, unless the whole text is a plain number.
+ * 
+ * @param {*} matrix - The rows of cells.
+ * 
+ * @returns {string} The CSV text, with a byte order mark so spreadsheets read it as UTF-8.
+ */
+export const toCsv = (matrix) => {
+    const csvRows = matrix.map(row => row.map(value => {
+        let text = value == null ? '' : String(value);
+        if (typeof value === 'string' && FORMULA_PREFIX_PATTERN.test(text) && !PLAIN_NUMBER_PATTERN.test(text)) {
+            text = `'${text}`;
+        }
+        if (/[",\r\n]/.test(text) || text !== text.trim()) {
+            text = `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }).join(','));
+    return '\ufeff' + csvRows.join('\r\n');
+}
+
+/**
+ * Builds an export file of the records.
+ * 
+ * @param {*} data - The records to export.
+ * @param {*} columns - The table columns.
+ * @param {*} format - csv or xlsx.
+ * @param {*} fileName - The file name without extension.
+ * 
+ * @returns {Object} The file: content (string or Uint8Array), mimeType and fileName with extension.
+ */
+export const buildExportFile = (data, columns, format, fileName = 'export') => {
+    const matrix = buildExportMatrix(data, columns, { localizeNumbers: format !== 'xlsx' });
+    if (format === 'xlsx') {
+        return { content: buildXlsx(matrix, fileName), mimeType: XLSX_MIME_TYPE, fileName: `${fileName}.xlsx` };
+    }
+    return { content: toCsv(matrix), mimeType: CSV_MIME_TYPE, fileName: `${fileName}.csv` };
+}
+
+// Multi-value search reconciliation
+
+/**
+ * Splits a comma separated search value into its terms, as used by the multi-value search.
+ * 
+ * @param {*} searchValue - The search text input by the user (typed or pasted).
+ * 
+ * @returns {Array} The non-empty terms in their original case.
+ */
+export const getSearchValueArray = (searchValue) => {
+    return formatSearchString(searchValue || '').trim().split(',').map(term => term.trim()).filter(term => term);
+}
+
+/**
+ * Reports how the terms of a multi-value search (e.g. account numbers pasted from a spreadsheet) matched the data.
+ * A term matches a record when one of the searchable fields equals the term with the match strategy of the search, like the
+ * values of a list in dataTableSearchResult: normalized ignores diacritics and punctuation, fuzzy also accepts small typos.
+ * 
+ * @param {*} searchValue - The search text input by the user.
+ * @param {*} searchableFields - The columns/fields in the data that are searchable.
+ * @param {*} data - The data that was searched.
+ * @param {*} options - Optional settings: columns, the table columns, and matchStrategy.
+ * 
+ * @returns {Object} Null when the search is not a plain list of two or more terms, otherwise:
+ *  - terms: Every distinct term with its match count and the matching records ({ term, count, records }).
+ *  - unmatchedTerms: The terms that matched no record.
+ *  - multipleMatchTerms: The terms that matched more than one record.
+ *  - matchedRecords: The distinct records matched by any term.
+ */
+export const buildSearchReconciliation = (searchValue, searchableFields, data, options = {}) => {
+    const fields = getSearchFields(searchableFields, options.columns);
+    let query = null;
+    try {
+        query = parseSearchQuery(searchValue, [...fields, ...(options.columns || []).map(column => column.fieldName)]);
+    } catch (error) {
+        // Invalid queries have no terms to reconcile
+    }
+    if (query?.type !== 'list') {
+        return null;
+    }
+    const context = createSearchContext(fields, options.columns, options.matchStrategy);
+    const toKey = ['normalized', 'fuzzy'].includes(context.matchStrategy) ? normalizeSearchText : text => text.toLocaleLowerCase(LOCALE);
+    const termsByValue = new Map();
+    getSearchValueArray(searchValue).forEach(term => {
+        const key = toKey(term);
+        if (!termsByValue.has(key)) {
+            termsByValue.set(key, { term, value: term.toLocaleLowerCase(LOCALE), records: new Set() });
+        }
+    });
+    if (termsByValue.size < 2) {
+        return null;
+    }
+
+    const termItems = [...termsByValue.values()];
+    data.forEach(record => {
+        fields.forEach(field => {
+            const text = toSearchText(toUnderlyingValue(resolveFieldValue(record, field), context.columnTypes.get(field)));
+            if (!text) return;
+            // Equal keys are looked up, fuzzy matches have to be scored against every term
+            const matches = context.matchStrategy === 'fuzzy'
+                ? termItems.filter(item => equalsSearchText(text, item.value, context) > 0)
+                : [termsByValue.get(toKey(text))];
+            matches.forEach(match => match?.records.add(record));
+        });
+    });
+
+    const terms = [...termsByValue.values()].map(item => ({ term: item.term, count: item.records.size, records: [...item.records] }));
+    const matchedRecords = new Set();
+    terms.forEach(item => item.records.forEach(record => matchedRecords.add(record)));
+    return {
+        terms,
+        unmatchedTerms: terms.filter(item => item.count === 0).map(item => item.term),
+        multipleMatchTerms: terms.filter(item => item.count > 1),
+        matchedRecords: [...matchedRecords]
+    };
+}
+
+// Inline editing
+
+/**
+ * Merges the cell changes of a datatable cellchange event into the draft values of all edited rows.
+ * 
+ * @param {*} draftValues - The current draft values, one object per edited row with the key field and the changed fields.
+ * @param {*} changes - The draft values of the cellchange event.
+ * @param {*} keyField - The field identifying a row.
+ * 
+ * @returns {Array} The new draft values.
+ */
+export const mergeDraftValues = (draftValues = [], changes = [], keyField = 'Id') => {
+    const draftsByKey = new Map(draftValues.map(draft => [draft[keyField], draft]));
+    changes.forEach(change => {
+        const key = change[keyField];
+        draftsByKey.set(key, { ...(draftsByKey.get(key) || {}), ...change });
+    });
+    return [...draftsByKey.values()];
+}
+
+/**
+ * Applies draft values to the rows they belong to.
+ * 
+ * @param {*} data - The rows to look the edited rows up in.
+ * @param {*} draftValues - The draft values.
+ * @param {*} keyField - The field identifying a row.
+ * 
+ * @returns {Array} The edited rows with the draft values applied.
+ */
+export const applyDraftValues = (data, draftValues = [], keyField = 'Id') => {
+    const rowsByKey = new Map(data.map(row => [row[keyField], row]));
+    return draftValues.map(draft => ({ ...(rowsByKey.get(draft[keyField]) || {}), ...draft }));
+}
+
+const DEFAULT_VALIDATION_LABELS = {
+    fieldRequired: '{0} is required',
+    fieldInvalidFormat: '{0} has an invalid format',
+    fieldMinimum: '{0} must be at least {1}',
+    fieldMinimumLength: '{0} must be at least {1} characters',
+    fieldMaximum: '{0} must be at most {1}',
+    fieldMaximumLength: '{0} must be at most {1} characters',
+    rowErrorsTitle: 'We found an error',
+    saveErrorsRow: 'Fix the errors in {0} row before saving',
+    saveErrorsRows: 'Fix the errors in {0} rows before saving',
+    saveFailed: 'The changes could not be saved'
+};
+
+/**
+ * Validates draft values against the validation rules of the columns and builds the errors object of lightning-datatable.
+ * Rules are given on the column definition, e.g.
+ * { fieldName: 'Phone', editable: true, validation: { required: true, pattern: '^[0-9 +()-]*$', message: 'Enter a valid phone number' } }
+ *  - required: The value may not be empty.
+ *  - pattern: A RegExp or regular expression string the value has to match.
+ *  - min / max: Bounds for number and date columns, length bounds for text columns.
+ *  - validator: Function(value, row) returning an error message, or nothing when the value is valid.
+ *  - message: Replaces the default message of the pattern, min and max rules.
+ * 
+ * @param {*} draftValues - The draft values.
+ * @param {*} columns - The table columns.
+ * @param {*} data - The rows the drafts belong to, passed to custom validators with the drafts applied.
+ * @param {*} keyField - The field identifying a row.
+ * @param {*} labels - The texts of the messages (fieldRequired, fieldInvalidFormat, fieldMinimum, saveErrorsRows...), English by default.
+ * 
+ * @returns {Object} The datatable errors ({ rows, table }), or null when every draft is valid.
+ */
+export const validateDraftValues = (draftValues = [], columns = [], data = [], keyField = 'Id', labels = {}) => {
+    const texts = { ...DEFAULT_VALIDATION_LABELS, ...labels };
+    const rows = {};
+    const editedRows = applyDraftValues(data, draftValues, keyField);
+    draftValues.forEach((draft, index) => {
+        const messages = [];
+        const fieldNames = [];
+        columns.forEach(column => {
+            if (!column.validation || !Object.prototype.hasOwnProperty.call(draft, column.fieldName)) return;
+            const message = validateFieldValue(draft[column.fieldName], column, editedRows[index], texts);
+            if (message) {
+                messages.push(message);
+                fieldNames.push(column.fieldName);
+            }
+        });
+        if (messages.length) {
+            rows[draft[keyField]] = { title: texts.rowErrorsTitle, messages, fieldNames };
+        }
+    });
+    const errorCount = Object.keys(rows).length;
+    if (!errorCount) {
+        return null;
+    }
+    return {
+        rows,
+        table: {
+            title: formatLabel(errorCount === 1 ? texts.saveErrorsRow : texts.saveErrorsRows, errorCount),
+            messages: Object.values(rows).flatMap(row => row.messages)
+        }
+    };
+}
+
+/**
+ * Converts a save error from the parent into the errors object of lightning-datatable. The parent may reject with
+ * datatable errors ({ rows, table }) or any other error, which is shown as a table error.
+ * 
+ * @param {*} error - The rejection reason.
+ * @param {*} labels - The text saveFailed, English by default.
+ * 
+ * @returns {Object} The datatable errors.
+ */
+export const buildSaveErrors = (error, labels = {}) => {
+    if (error?.rows || error?.table) {
+        return { rows: error.rows || {}, table: error.table || {} };
+    }
+    return {
+        rows: {},
+        table: { title: labels.saveFailed || DEFAULT_VALIDATION_LABELS.saveFailed, messages: [getErrorMessage(error)] }
+    };
+}
+
+/**
+ * Merges records into the data by key field, e.g. the records returned by the server after a save.
+ * 
+ * @param {*} data - The rows to merge into.
+ * @param {*} records - The records with new values.
+ * @param {*} keyField - The field identifying a row.
+ * 
+ * @returns {Array} The rows with the new values merged in, in the same order.
+ */
+export const mergeRecords = (data, records = [], keyField = 'Id') => {
+    const recordsByKey = new Map(records.map(record => [record[keyField], record]));
+    if (!recordsByKey.size) {
+        return data;
+    }
+    return data.map(row => (recordsByKey.has(row[keyField]) ? { ...row, ...recordsByKey.get(row[keyField]) } : row));
+}
+
+/**
+ * Checks a value against the validation rules of its column.
+ * 
+ * @param {*} value - The edited value.
+ * @param {*} column - The column definition with its validation rules.
+ * @param {*} row - The edited row.
+ * @param {*} texts - The texts of the messages.
+ * 
+ * @returns {string} The error message, or an empty string when the value is valid.
+ */
+function validateFieldValue(value, column, row, texts) {
+    const rules = column.validation;
+    const label = column.label || column.fieldName;
+    if (isEmptyValue(value)) {
+        return rules.required ? formatLabel(texts.fieldRequired, label) : '';
+    }
+    if (rules.pattern) {
+        const pattern = rules.pattern instanceof RegExp ? rules.pattern : new RegExp(rules.pattern);
+        if (!pattern.test(String(value))) {
+            return rules.message || formatLabel(texts.fieldInvalidFormat, label);
+        }
+    }
+    const sortType = getSortType(column);
+    const comparable = sortType === 'number' ? Number(value) : sortType === 'date' ? new Date(value).getTime() : String(value).length;
+    const toComparable = bound => (sortType === 'number' ? Number(bound) : sortType === 'date' ? new Date(bound).getTime() : Number(bound));
+    // Text columns are bounded by their length
+    const isLength = sortType !== 'number' && sortType !== 'date';
+    if (rules.min != null && comparable < toComparable(rules.min)) {
+        return rules.message || formatLabel(isLength ? texts.fieldMinimumLength : texts.fieldMinimum, label, rules.min);
+    }
+    if (rules.max != null && comparable > toComparable(rules.max)) {
+        return rules.message || formatLabel(isLength ? texts.fieldMaximumLength : texts.fieldMaximum, label, rules.max);
+    }
+    if (typeof rules.validator === 'function') {
+        const message = rules.validator(value, row);
+        if (typeof message === 'string' && message) {
+            return message;
+        }
+    }
+    return '';
+}
+
+// Saved views
+
+const VIEW_STORAGE_KEY_PREFIX = 'advancedDataTable.views.';
+
+/**
+ * Default storage of the saved views, in the localStorage of the browser.
+ * Any object with the same two functions can replace it, e.g. one calling Apex to store the views in a custom object.
+ * 
+ *  - loadViews(tableName): Resolves with { views, defaultViewId } for the table, no views when the stored entry cannot be read.
+ *  - saveViews(tableName, { views, defaultViewId }): Stores the views of the table.
+ */
+export const localStorageViewAdapter = {
+    loadViews(tableName) {
+        return Promise.resolve().then(() => {
+            const stored = window.localStorage.getItem(VIEW_STORAGE_KEY_PREFIX + tableName);
+            try {
+                return stored ? JSON.parse(stored) : { views: [], defaultViewId: null };
+            } catch (error) {
+                // A corrupt entry (e.g. edited by hand) is replaced on the next save
+                return { views: [], defaultViewId: null };
+            }
+        });
+    },
+    saveViews(tableName, viewSettings) {
+        return Promise.resolve().then(() => {
+            window.localStorage.setItem(VIEW_STORAGE_KEY_PREFIX + tableName, JSON.stringify(viewSettings));
+        });
+    }
+};
+
+/**
+ * Takes a snapshot of the table state for a saved view.
+ * 
+ * @param {*} state - The table state:
+ *  - sortBy: The sort keys in priority order.
+ *  - searchValue: The text in the search box.
+ *  - columnFilters: The active column filters.
+ *  - columnWidths: The widths set by the user, by field name.
+ *  - hiddenColumns: The field names of the hidden columns.
+ *  - columnOrder: The field names in the order chosen by the user.
+ *  - pinnedColumn: The field name of the column kept first.
+ *  - groupBy: The field names the rows are grouped by.
+ * 
+ * @returns {Object} A copy of the state that can be serialized.
+ */
+export const buildViewState = ({ sortBy = [], searchValue = '', columnFilters = [], columnWidths = {}, hiddenColumns = [], columnOrder = [], pinnedColumn = null, groupBy = [] }) => {
+    return {
+        sortBy: sortBy.map(key => ({ fieldName: key.fieldName, direction: key.direction })),
+        searchValue: searchValue || '',
+        columnFilters: columnFilters.map(filter => ({ ...filter, ...(filter.values ? { values: [...filter.values] } : {}) })),
+        columnWidths: { ...columnWidths },
+        hiddenColumns: [...hiddenColumns],
+        columnOrder: [...columnOrder],
+        pinnedColumn: pinnedColumn || null,
+        groupBy: [...groupBy]
+    };
+}
+
+/**
+ * Cleans up a stored view state for the current columns: settings of columns that do not exist anymore are dropped,
+ * so a view saved before the columns changed still loads. While the columns are not known yet every setting is kept.
+ * 
+ * @param {*} state - The stored view state.
+ * @param {*} columns - The column definitions of the table.
+ * 
+ * @returns {Object} The view state, with every property present.
+ */
+export const normalizeViewState = (state, columns = []) => {
+    const fieldNames = new Set(columns.map(column => column.fieldName));
+    const isKnownField = fieldName => Boolean(fieldName) && (!fieldNames.size || fieldNames.has(fieldName));
+    const columnWidths = {};
+    Object.entries(state?.columnWidths || {}).forEach(([fieldName, width]) => {
+        if (isKnownField(fieldName) && Number(width) > 0) {
+            columnWidths[fieldName] = Number(width);
+        }
+    });
+    return buildViewState({
+        sortBy: (state?.sortBy || []).filter(key => isKnownField(key?.fieldName))
+            .map(key => ({ fieldName: key.fieldName, direction: key.direction === 'desc' ? 'desc' : 'asc' })),
+        searchValue: typeof state?.searchValue === 'string' ? state.searchValue : '',
+        columnFilters: (state?.columnFilters || []).filter(filter => isKnownField(filter?.fieldName) && isFilterActive(filter)),
+        columnWidths,
+        hiddenColumns: (state?.hiddenColumns || []).filter(isKnownField),
+        columnOrder: (state?.columnOrder || []).filter(isKnownField),
+        pinnedColumn: isKnownField(state?.pinnedColumn) ? state.pinnedColumn : null,
+        groupBy: (state?.groupBy || []).filter(isKnownField)
+    });
+}
+
+/**
+ * Reads the column widths reported by the resize event of the datatable.
+ * 
+ * @param {*} columns - The columns shown by the datatable, in the same order as the widths.
+ * @param {*} widths - The columnWidths of the resize event.
+ * @param {*} columnWidths - The widths saved so far, by field name.
+ * 
+ * @returns {Object} The widths by field name.
+ */
+export const mergeColumnWidths = (columns, widths = [], columnWidths = {}) => {
+    const merged = { ...columnWidths };
+    columns.forEach((column, index) => {
+        if (column.fieldName && widths[index] > 0) {
+            merged[column.fieldName] = widths[index];
+        }
+    });
+    return merged;
+}
+
+/**
+ * Adds a view, or replaces the view with the same id.
+ * 
+ * @param {*} views - The saved views.
+ * @param {*} view - The view: id, name and state.
+ * 
+ * @returns {Array} The new list of views, sorted by name.
+ */
+export const upsertView = (views = [], view) => {
+    return [...views.filter(existing => existing.id !== view.id), view]
+        .sort((a, b) => TEXT_COLLATOR.compare(a.name, b.name));
+}
+
+/**
+ * Creates an id for a new view.
+ * 
+ * @returns {string} The id, unique within the views of a table.
+ */
+export const createViewId = () => {
+    return `view-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Column chooser
+
+/**
+ * Orders the columns as chosen by the user. The pinned column comes first, columns missing from the order
+ * (e.g. added by the parent later) follow in their original order.
+ * 
+ * @param {*} columns - The column definitions of the table.
+ * @param {*} columnOrder - The field names in the chosen order.
+ * @param {*} pinnedColumn - The field name of the column kept first.
+ * 
+ * @returns {Array} The column definitions in display order.
+ */
+export const orderColumns = (columns = [], columnOrder = [], pinnedColumn = null) => {
+    const positions = new Map(columnOrder.map((fieldName, index) => [fieldName, index]));
+    const orderedColumns = columns
+        .map((column, index) => ({
+            column,
+            position: positions.has(column.fieldName) ? positions.get(column.fieldName) : columnOrder.length + index
+        }))
+        .sort((a, b) => a.position - b.position)
+        .map(item => item.column);
+    const pinnedIndex = orderedColumns.findIndex(column => column.fieldName === pinnedColumn);
+    if (pinnedIndex > 0) {
+        orderedColumns.unshift(...orderedColumns.splice(pinnedIndex, 1));
+    }
+    return orderedColumns;
+}
+
+/**
+ * Moves a column to a new position.
+ * 
+ * @param {*} orderedColumns - The column definitions in display order (see orderColumns).
+ * @param {*} fieldName - The field name of the moved column.
+ * @param {*} targetIndex - The new position of the column.
+ * 
+ * @returns {Array} The new column order, as field names.
+ */
+export const moveColumn = (orderedColumns, fieldName, targetIndex) => {
+    const columnOrder = orderedColumns.map(column => column.fieldName);
+    const sourceIndex = columnOrder.indexOf(fieldName);
+    if (sourceIndex === -1) {
+        return columnOrder;
+    }
+    columnOrder.splice(sourceIndex, 1);
+    columnOrder.splice(Math.min(Math.max(targetIndex, 0), columnOrder.length), 0, fieldName);
+    return columnOrder;
+}
+
+// Grouping
+
+const GROUP_KEY_PREFIX = 'group:';
+const GROUP_LABEL_FIELD = '_groupLabel';
+const AGGREGATE_FUNCTIONS = ['sum', 'avg', 'min', 'max'];
+const DEFAULT_EMPTY_GROUP_LABEL = '(Empty)';
+
+/**
+ * Computes count, sum, average, minimum and maximum of the numeric columns.
+ * 
+ * @param {*} records - The rows to aggregate.
+ * @param {*} columns - The column definitions, only number, currency and percent columns are aggregated.
+ * 
+ * @returns {Object} The aggregates by field name: { count, sum, avg, min, max }, count is the number of rows with a value.
+ */
+export const computeAggregates = (records, columns = []) => {
+    const aggregates = {};
+    columns.filter(column => NUMERIC_COLUMN_TYPES.includes(column.type)).forEach(column => {
+        const values = records
+            .map(record => resolveFieldValue(record, column.fieldName))
+            .filter(value => !isEmptyValue(value) && !Number.isNaN(Number(value)))
+            .map(Number);
+        // A single pass instead of Math.min(...values), spreading large tables overflows the call stack.
+        let sum = 0;
+        let min = null;
+        let max = null;
+        values.forEach(value => {
+            sum += value;
+            min = min === null || value < min ? value : min;
+            max = max === null || value > max ? value : max;
+        });
+        aggregates[column.fieldName] = {
+            count: values.length,
+            sum,
+            avg: values.length ? sum / values.length : null,
+            min,
+            max
+        };
+    });
+    return aggregates;
+}
+
+/**
+ * Groups rows by one or more fields into the nested rows of a lightning-tree-grid.
+ * Group rows get a generated key, a label with the row count in the _groupLabel field and the chosen aggregate
+ * in the numeric columns. Groups are ordered by value, the rows keep their order within a group.
+ * 
+ * @param {*} records - The rows to group, already searched, filtered and sorted.
+ * @param {*} groupBy - The field names to group by, outermost first.
+ * @param {*} columns - The column definitions.
+ * @param {*} aggregate - The aggregate shown in the group rows: sum (default), avg, min or max.
+ * @param {*} keyField - The key field of the tree-grid, the group rows get their generated key in it.
+ * @param {*} labels - The text emptyGroup of the group of rows without a value, English by default.
+ * 
+ * @returns {Object} An object containing:
+ *  - rows: The tree-grid rows, group rows hold their rows or sub-groups in _children.
+ *  - groupKeys: The keys of all group rows.
+ *  - groupRowIds: The IDs of the rows in every group, by group key.
+ *  - totals: The aggregates of all rows (see computeAggregates) and the row count.
+ */
+export const buildGroupTree = (records, groupBy = [], columns = [], aggregate = 'sum', keyField = 'Id', labels = {}) => {
+    const aggregateFunction = AGGREGATE_FUNCTIONS.includes(aggregate) ? aggregate : 'sum';
+    const emptyGroup = labels.emptyGroup || DEFAULT_EMPTY_GROUP_LABEL;
+    const groupKeys = [];
+    const groupRowIds = new Map();
+
+    const buildLevel = (levelRecords, level, parentKey) => {
+        if (level >= groupBy.length) {
+            return levelRecords.map(record => ({ ...record }));
+        }
+        const fieldName = groupBy[level];
+        const column = columns.find(item => item.fieldName === fieldName);
+        const groups = new Map();
+        levelRecords.forEach(record => {
+            const value = resolveFieldValue(record, fieldName);
+            const groupValue = isEmptyValue(value) ? null : value;
+            const valueKey = groupValue === null ? '' : String(groupValue);
+            if (!groups.has(valueKey)) {
+                groups.set(valueKey, { value: groupValue, records: [] });
+            }
+            groups.get(valueKey).records.push(record);
+        });
+
+        return [...groups.entries()]
+            .sort(([, a], [, b]) => compareValues(a.value, b.value, 'asc', getSortType(column)))
+            .map(([valueKey, group]) => {
+                const key = `${parentKey}${parentKey === GROUP_KEY_PREFIX ? '' : '|'}${fieldName}=${valueKey}`;
+                const aggregates = computeAggregates(group.records, columns);
+                const groupRow = {
+                    [keyField]: key,
+                    [GROUP_LABEL_FIELD]: `${column?.label || fieldName}: ${group.value === null ? emptyGroup : group.value} (${group.records.length})`,
+                    _children: buildLevel(group.records, level + 1, key)
+                };
+                Object.keys(aggregates).forEach(aggregateField => {
+                    groupRow[aggregateField] = aggregates[aggregateField][aggregateFunction];
+                });
+                groupKeys.push(key);
+                groupRowIds.set(key, group.records.map(record => record[keyField]));
+                return groupRow;
+            });
+    };
+
+    return {
+        rows: buildLevel(records, 0, GROUP_KEY_PREFIX),
+        groupKeys,
+        groupRowIds,
+        totals: { count: records.length, aggregates: computeAggregates(records, columns) }
+    };
+}
+
+/**
+ * Checks if a tree-grid row key belongs to a group row.
+ * 
+ * @param {*} key - The row key.
+ * 
+ * @returns {boolean} True for group rows.
+ */
+export const isGroupKey = (key) => {
+    return typeof key === 'string' && key.startsWith(GROUP_KEY_PREFIX);
+}
+
+/**
+ * Turns a selection change of the grouped tree-grid into the rows to select and deselect.
+ * Checking or unchecking a group row (de)selects all rows of the group.
+ * 
+ * @param {*} groupRowIds - The IDs of the rows in every group, by group key (see buildGroupTree).
+ * @param {*} previousKeys - The keys checked in the tree-grid before the change.
+ * @param {*} selectedKeys - The keys checked in the tree-grid after the change.
+ * 
+ * @returns {Object} An object containing the row IDs to select (selectIds) and to deselect (deselectIds).
+ */
+export const resolveGroupSelection = (groupRowIds, previousKeys = [], selectedKeys = []) => {
+    const previous = new Set(previousKeys);
+    const selected = new Set(selectedKeys);
+    const selectIds = new Set();
+    const deselectIds = new Set();
+    const getRowIds = key => (isGroupKey(key) ? groupRowIds.get(key) || [] : [key]);
+
+    // Group changes are applied after row changes so they win over the state of the rows they contain
+    const changedKeys = [...new Set([...previous, ...selected])]
+        .filter(key => previous.has(key) !== selected.has(key))
+        .sort((a, b) => Number(isGroupKey(a)) - Number(isGroupKey(b)));
+    changedKeys.forEach(key => {
+        getRowIds(key).forEach(rowId => {
+            if (selected.has(key)) {
+                selectIds.add(rowId);
+                deselectIds.delete(rowId);
+            } else {
+                deselectIds.add(rowId);
+                selectIds.delete(rowId);
+            }
+        });
+    });
+    return { selectIds: [...selectIds], deselectIds: [...deselectIds] };
+}
+
+/**
+ * Returns the keys to check in the grouped tree-grid: the selected rows and every group whose rows are all selected.
+ * 
+ * @param {*} groupRowIds - The IDs of the rows in every group, by group key (see buildGroupTree).
+ * @param {*} selectedIds - The IDs of the selected rows.
+ * 
+ * @returns {Array} The keys of the rows and groups to check.
+ */
+export const getGroupSelectedKeys = (groupRowIds, selectedIds = []) => {
+    const selected = new Set(selectedIds);
+    const groupKeys = [...groupRowIds.entries()]
+        .filter(([, rowIds]) => rowIds.length && rowIds.every(rowId => selected.has(rowId)))
+        .map(([key]) => key);
+    return [...selected, ...groupKeys];
+}
+
+// Selection
+
+/**
+ * Returns the IDs of the rows between two rows, both included, for shift-click range selection.
+ * 
+ * @param {*} data - The rows in display order, e.g. the searched, filtered and sorted rows of all loaded pages.
+ * @param {*} anchorId - The ID of the row clicked before.
+ * @param {*} targetId - The ID of the row shift-clicked.
+ * @param {*} keyField - The field identifying a row.
+ * 
+ * @returns {Array} The row IDs of the range, only the target row when the anchor is not in the data.
+ */
+export const getRangeIds = (data, anchorId, targetId, keyField = 'Id') => {
+    const anchorIndex = data.findIndex(row => row[keyField] === anchorId);
+    const targetIndex = data.findIndex(row => row[keyField] === targetId);
+    if (anchorIndex === -1 || targetIndex === -1) {
+        return [targetId];
+    }
+    return data.slice(Math.min(anchorIndex, targetIndex), Math.max(anchorIndex, targetIndex) + 1).map(row => row[keyField]);
+}
+
+/**
+ * Inverts the selection within the given rows.
+ * 
+ * @param {*} data - The rows to invert, e.g. the current search/filter result.
+ * @param {*} selectedIds - The IDs of the selected rows.
+ * @param {*} keyField - The field identifying a row.
+ * 
+ * @returns {Object} An object containing the row IDs to select (selectIds) and to deselect (deselectIds).
+ */
+export const invertSelection = (data, selectedIds = [], keyField = 'Id') => {
+    const selected = new Set(selectedIds);
+    const selectIds = [];
+    const deselectIds = [];
+    data.forEach(row => (selected.has(row[keyField]) ? deselectIds : selectIds).push(row[keyField]));
+    return { selectIds, deselectIds };
+}
+
+/**
+ * Checks if a selection change would select more rows than allowed. Changes that reduce the selection are always allowed.
+ * 
+ * @param {*} selectedIds - The IDs of the selected rows.
+ * @param {*} selectIds - The IDs of the rows to select.
+ * @param {*} deselectIds - The IDs of the rows to deselect.
+ * @param {*} maxSelection - The maximum number of selected rows, no limit when empty.
+ * 
+ * @returns {boolean} True if the change has to be blocked.
+ */
+export const exceedsSelectionLimit = (selectedIds, selectIds = [], deselectIds = [], maxSelection) => {
+    const limit = parseInt(maxSelection, 10);
+    if (!(limit >= 0)) {
+        return false;
+    }
+    const selection = new Set(selectedIds);
+    deselectIds.forEach(rowId => selection.delete(rowId));
+    selectIds.forEach(rowId => selection.add(rowId));
+    return selection.size > limit && selection.size > new Set(selectedIds).size;
+}
+
+/**
+ * Moves keys one position up or down within an ordered list, e.g. the checked rows of the Selected list in transfer mode.
+ * A block of moved keys moves as a whole and stops at the start or end of the list.
+ * With visibleKeys the keys move past the visible keys only, in their shown order, and the other keys keep their positions.
+ * 
+ * @param {*} keys - The keys in their current order.
+ * @param {*} movedKeys - The keys to move.
+ * @param {*} direction - up or down.
+ * @param {*} visibleKeys - The keys shown, in the shown order, e.g. the rows matching the search. All keys by default.
+ * 
+ * @returns {Array} The keys in their new order.
+ */
+export const moveKeys = (keys, movedKeys = [], direction, visibleKeys) => {
+    if (visibleKeys) {
+        const visible = new Set(visibleKeys);
+        const visibleOrder = moveKeys(visibleKeys, movedKeys, direction);
+        let visibleIndex = 0;
+        return keys.map(key => (visible.has(key) ? visibleOrder[visibleIndex++] : key));
+    }
+    const order = [...keys];
+    const moved = new Set(movedKeys);
+    const step = direction === 'up' ? -1 : 1;
+    const indexes = order.map((key, index) => index).filter(index => moved.has(order[index]));
+    // Start with the key closest to the edge it moves to, so it makes room for the keys behind it
+    if (step > 0) {
+        indexes.reverse();
+    }
+    indexes.forEach(index => {
+        const targetIndex = index + step;
+        if (targetIndex >= 0 && targetIndex < order.length && !moved.has(order[targetIndex])) {
+            [order[index], order[targetIndex]] = [order[targetIndex], order[index]];
+        }
+    });
+    return order;
+}
+
+// Row keys
+
+const ROW_KEY_FIELD = '_rowKey'; // Holds the key built by a key function, lightning-datatable needs the key in a field
+
+/**
+ * Returns the key of a row.
+ * 
+ * @param {*} row - The row.
+ * @param {*} keyField - The field identifying a row, or a function building the key from the row (e.g. for composite keys).
+ * 
+ * @returns {*} The key, undefined when the row has none.
+ */
+export const getRowKey = (row, keyField = 'Id') => {
+    if (!row) return undefined;
+    if (typeof keyField === 'function') {
+        return ROW_KEY_FIELD in row ? row[ROW_KEY_FIELD] : buildRowKey(row, keyField);
+    }
+    return row[keyField];
+}
+
+/**
+ * Returns the name of the field holding the row keys, for the key-field attribute of the datatable.
+ * 
+ * @param {*} keyField - The field identifying a row, or a key function.
+ * 
+ * @returns {string} The field name.
+ */
+export const getKeyFieldName = (keyField = 'Id') => {
+    return typeof keyField === 'function' ? ROW_KEY_FIELD : keyField || 'Id';
+}
+
+/**
+ * Stores the key built by a key function in every row, so the datatable can read it. Rows are copied, the data of the parent is not changed.
+ * 
+ * @param {*} data - The rows.
+ * @param {*} keyField - The field identifying a row, or a key function.
+ * 
+ * @returns {Array} The rows, unchanged when the key is a field.
+ */
+export const applyRowKeys = (data = [], keyField = 'Id') => {
+    if (typeof keyField !== 'function') {
+        return data;
+    }
+    return data.map(row => ({ ...row, [ROW_KEY_FIELD]: buildRowKey(row, keyField) }));
+}
+
+/**
+ * Builds the key of a row with a key function. Keys are compared as text, like the datatable does.
+ * 
+ * @param {*} row - The row.
+ * @param {*} keyFunction - The function building the key.
+ * 
+ * @returns {string} The key, undefined when the function returns no value.
+ */
+function buildRowKey(row, keyFunction) {
+    const key = keyFunction(row);
+    return isEmptyValue(key) ? undefined : String(key);
+}
+
+/**
+ * Finds rows without a key and keys used by more than one row. Such rows cannot be selected or edited reliably.
+ * 
+ * @param {*} data - The rows.
+ * @param {*} keyField - The name of the field holding the row keys (see getKeyFieldName).
+ * 
+ * @returns {Object} The problems found: missingCount and duplicateKeys, or null when every row has a unique key.
+ */
+export const findKeyProblems = (data = [], keyField = 'Id') => {
+    const seenKeys = new Set();
+    const duplicateKeys = new Set();
+    let missingCount = 0;
+    data.forEach(row => {
+        const key = row?.[keyField];
+        if (isEmptyValue(key)) {
+            missingCount++;
+        } else if (seenKeys.has(key)) {
+            duplicateKeys.add(key);
+        } else {
+            seenKeys.add(key);
+        }
+    });
+    return missingCount || duplicateKeys.size ? { missingCount, duplicateKeys: [...duplicateKeys] } : null;
+}
+
+const DEFAULT_KEY_PROBLEM_LABELS = {
+    rowKey: 'the row key',
+    rowsWithoutKey: 'Rows without {0}: {1}.',
+    duplicateKeys: 'Duplicate values of {0}: {1}.',
+    moreDuplicateKeys: '{0} and {1} more',
+    unreliableKeys: 'These rows cannot be selected or edited reliably.'
+};
+
+/**
+ * Describes key problems for the user.
+ * 
+ * @param {*} problems - The problems returned by findKeyProblems.
+ * @param {*} keyField - The key field, or a key function.
+ * @param {*} labels - The texts rowKey, rowsWithoutKey, duplicateKeys, moreDuplicateKeys and unreliableKeys, English by default.
+ * 
+ * @returns {string} The message, empty when there are no problems.
+ */
+export const describeKeyProblems = (problems, keyField = 'Id', labels = {}) => {
+    if (!problems) return '';
+    const texts = { ...DEFAULT_KEY_PROBLEM_LABELS, ...labels };
+    const keyName = typeof keyField === 'function' ? texts.rowKey : keyField;
+    const messages = [];
+    if (problems.missingCount) {
+        messages.push(formatLabel(texts.rowsWithoutKey, keyName, problems.missingCount));
+    }
+    if (problems.duplicateKeys.length) {
+        const examples = problems.duplicateKeys.slice(0, 5).join(', ');
+        const list = problems.duplicateKeys.length > 5 ? formatLabel(texts.moreDuplicateKeys, examples, problems.duplicateKeys.length - 5) : examples;
+        messages.push(formatLabel(texts.duplicateKeys, keyName, list));
+    }
+    return `${messages.join(' ')} ${texts.unreliableKeys}`;
+}
+
+// Large data
+
+/**
+ * Indexes rows by key, for constant time lookups of selected rows.
+ * 
+ * @param {*} data - The rows.
+ * @param {*} keyField - The field identifying a row, or a key function (see getRowKey).
+ * 
+ * @returns {Map} The rows by key. With duplicate keys the first row wins.
+ */
+export const indexRows = (data = [], keyField = 'Id') => {
+    const rowsByKey = new Map();
+    data.forEach(row => {
+        const key = getRowKey(row, keyField);
+        if (!isEmptyValue(key) && !rowsByKey.has(key)) {
+            rowsByKey.set(key, row);
+        }
+    });
+    return rowsByKey;
+}
+
+/**
+ * Computes the rows to render in virtual scroll mode: the rows in the viewport plus a buffer above and below.
+ * 
+ * @param {*} scrollTop - The scroll position of the table container, in pixels.
+ * @param {*} viewportHeight - The height of the table container, in pixels.
+ * @param {*} rowHeight - The height of a row, in pixels.
+ * @param {*} rowCount - The number of rows.
+ * @param {*} bufferSize - The number of rows rendered above and below the viewport.
+ * 
+ * @returns {Object} An object containing:
+ *  - start: The index of the first rendered row.
+ *  - end: The index after the last rendered row.
+ *  - offsetTop: The height of the rows above the window, in pixels.
+ *  - offsetBottom: The height of the rows below the window, in pixels.
+ */
+export const getVisibleWindow = (scrollTop, viewportHeight, rowHeight, rowCount, bufferSize) => {
+    const firstVisible = Math.floor(Math.max(scrollTop, 0) / rowHeight);
+    const visibleCount = Math.ceil(viewportHeight / rowHeight);
+    const start = Math.max(Math.min(firstVisible, rowCount - visibleCount) - bufferSize, 0);
+    const end = Math.min(firstVisible + visibleCount + bufferSize, rowCount);
+    return {
+        start,
+        end: Math.max(end, start),
+        offsetTop: start * rowHeight,
+        offsetBottom: Math.max(rowCount - end, 0) * rowHeight
+    };
+}
+
+// Chunked processing
+
+const DEFAULT_CHUNK_SIZE = 5000;
+
+/**
+ * Error thrown when a chunked search or sort was cancelled, e.g. because the user typed a new search.
+ */
+export class OperationCancelledError extends Error {
+    constructor() {
+        super('The operation was cancelled');
+        this.name = 'OperationCancelledError';
+    }
+}
+
+/**
+ * Searches the data like dataTableSearchResult, in chunks. Between chunks the browser can render and handle input,
+ * so the page does not freeze on big tables.
+ * 
+ * @param {*} searchValue - The search text input by the user.
+ * @param {*} searchableFields - The columns/fields in the data that are searchable.
+ * @param {*} data - The data to be searched.
+ * @param {*} options - The options of dataTableSearchResult, plus:
+ *  - chunkSize: The number of records processed before yielding to the browser.
+ *  - isCancelled: A function returning true once the result is no longer needed.
+ *  - onProgress: A function called between chunks with the share of the work done, from 0 to 1.
+ * 
+ * @returns {Promise} Resolves with the filtered data.
+ * @throws {SearchSyntaxError} When the search value is not a valid query.
+ * @throws {OperationCancelledError} When the search was cancelled.
+ */
+export const dataTableSearchResultAsync = async (searchValue, searchableFields, data, options = {}) => {
+    const columns = options.columns || [];
+    const fields = getSearchFields(searchableFields, columns);
+    const query = parseSearchQuery(searchValue, [...fields, ...columns.map(column => column.fieldName)], options.labels);
+    if (!query) {
+        return [...data];
+    }
+    const context = createSearchContext(fields, columns, options.matchStrategy);
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const nextChunk = createChunkScheduler(data.length, options);
+    const matches = [];
+    for (let start = 0; start < data.length; start += chunkSize) {
+        const end = Math.min(start + chunkSize, data.length);
+        collectMatches(query, context, data, start, end, matches);
+        if (end < data.length) {
+            await nextChunk(end - start);
+        }
+    }
+    if (options.sortByRelevance) {
+        matches.sort((a, b) => b.score - a.score);
+    }
+    return matches.map(item => item.record);
+}
+
+/**
+ * Sorts a copy of the data like multiSortData, in chunks: runs of chunkSize records are sorted, then merged pass by pass.
+ * Between chunks the browser can render and handle input.
+ * 
+ * @param {*} tableData - The data to be sorted.
+ * @param {*} sortBy - The sort keys in priority order.
+ * @param {*} columns - Optional table columns, the column type decides how values are compared.
+ * @param {*} options - Optional settings:
+ *  - chunkSize: The number of records processed before yielding to the browser.
+ *  - isCancelled: A function returning true once the result is no longer needed.
+ *  - onProgress: A function called between chunks with the share of the work done, from 0 to 1.
+ * 
+ * @returns {Promise} Resolves with the sorted data.
+ * @throws {OperationCancelledError} When the sort was cancelled.
+ */
+export const multiSortDataAsync = async (tableData, sortBy = [], columns = [], options = {}) => {
+    const sortKeys = buildSortKeys(sortBy, columns);
+    if (!sortKeys.length) {
+        return [...tableData];
+    }
+    const count = tableData.length;
+    const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    const compare = (a, b) => compareDecorated(a, b, sortKeys);
+    const passes = count > chunkSize ? Math.ceil(Math.log2(count / chunkSize)) : 0;
+    const nextChunk = createChunkScheduler(count * (passes + 1), options);
+
+    let sorted = new Array(count);
+    for (let start = 0; start < count; start += chunkSize) {
+        const end = Math.min(start + chunkSize, count);
+        const run = [];
+        for (let i = start; i < end; i++) {
+            run.push(decorateForSort(tableData[i], i, sortKeys));
+        }
+        run.sort(compare);
+        run.forEach((item, offset) => {
+            sorted[start + offset] = item;
+        });
+        if (end < count) {
+            await nextChunk(end - start);
+        }
+    }
+
+    // Merge neighbouring runs until a single sorted run is left
+    for (let width = chunkSize; width < count; width *= 2) {
+        const merged = new Array(count);
+        let written = 0;
+        for (let left = 0; left < count; left += 2 * width) {
+            const middle = Math.min(left + width, count);
+            const right = Math.min(left + 2 * width, count);
+            let i = left;
+            let j = middle;
+            for (let k = left; k < right; k++) {
+                merged[k] = j >= right || (i < middle && compare(sorted[i], sorted[j]) <= 0) ? sorted[i++] : sorted[j++];
+                if (++written % chunkSize === 0) {
+                    await nextChunk(chunkSize);
+                }
+            }
+        }
+        sorted = merged;
+    }
+    return sorted.map(item => item.record);
+}
+
+/**
+ * Creates the function called between chunks: it reports the progress, yields to the browser and stops the operation
+ * once it was cancelled.
+ * 
+ * @param {*} totalWork - The number of work units of the operation.
+ * @param {*} options - The isCancelled and onProgress options of the operation.
+ * 
+ * @returns {Function} An async function taking the number of work units done in the last chunk.
+ */
+function createChunkScheduler(totalWork, options) {
+    let doneWork = 0;
+    return async (units) => {
+        doneWork += units;
+        if (options.onProgress) {
+            options.onProgress(Math.min(doneWork / totalWork, 1));
+        }
+        // A timer, unlike a resolved promise, lets the browser render and handle input first
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (options.isCancelled && options.isCancelled()) {
+            throw new OperationCancelledError();
+        }
+    };
+}
+
+// Row and bulk actions
+
+const STANDARD_ACTIONS = {
+    view: { label: 'View', name: 'view', iconName: 'utility:preview' },
+    edit: { label: 'Edit', name: 'edit', iconName: 'utility:edit' },
+    delete: { label: 'Delete', name: 'delete', iconName: 'utility:delete', removesRows: true, confirm: true }
+};
+
+/**
+ * Normalizes a row or bulk action configuration. The standard actions view, edit and delete can be given by name.
+ * 
+ * @param {*} actions - The actions, each a name of a standard action or { label, name, iconName, removesRows, confirm, disabled }.
+ * removesRows: true removes the affected rows once the parent reports success, confirm: true asks the user first.
+ * @param {*} labels - The labels of the standard actions by name (view, edit, delete), English by default.
+ * 
+ * @returns {Array} The actions with label, name, iconName, removesRows, confirm and disabled.
+ */
+export const normalizeActions = (actions, labels = {}) => {
+    return (Array.isArray(actions) ? actions : [])
+        .map(action => (typeof action === 'string' && STANDARD_ACTIONS[action] ?
+            { ...STANDARD_ACTIONS[action], label: labels[action] || STANDARD_ACTIONS[action].label } :
+            action))
+        .filter(action => action?.name)
+        .map(action => ({
+            label: action.label || action.name,
+            name: action.name,
+            iconName: action.iconName,
+            removesRows: action.removesRows === true,
+            confirm: action.confirm === true,
+            disabled: action.disabled === true
+        }));
+}
+
+/**
+ * Normalizes the value the parent resolved an action with.
+ * 
+ * @param {*} result - Nothing, or { records, removedIds, refresh }.
+ * 
+ * @returns {Object} An object containing:
+ *  - records: Updated records to merge into the table.
+ *  - removedIds: Keys of rows to remove from the table.
+ *  - refresh: True to reload the rows (remote mode).
+ */
+export const normalizeActionResult = (result) => {
+    return {
+        records: Array.isArray(result?.records) ? result.records : [],
+        removedIds: Array.isArray(result?.removedIds) ? result.removedIds : [],
+        refresh: result?.refresh === true
+    };
+}
+
+/**
+ * Removes records from the data by key.
+ * 
+ * @param {*} data - The data.
+ * @param {*} ids - The keys of the records to remove.
+ * @param {*} keyField - The field identifying a row, or a function returning the key of a row (see getRowKey).
+ * 
+ * @returns {Array} A new array without the removed records.
+ */
+export const removeRecords = (data = [], ids = [], keyField = 'Id') => {
+    const removedIds = new Set(ids);
+    return data.filter(row => !removedIds.has(getRowKey(row, keyField)));
+}
+
+// Custom cell types
+
+// Types of c/extendedDatatable and the standard type their values are sorted, searched, filtered and exported as
+const CUSTOM_COLUMN_TYPES = {
+    recordLink: 'text',
+    badge: 'text',
+    icon: 'text',
+    progress: 'number',
+    multiPicklist: 'text',
+    richText: 'text'
+};
+
+/**
+ * Returns the standard column type a custom type is handled as, e.g. progress is handled as number.
+ * 
+ * @param {*} type - The column type.
+ * 
+ * @returns {string} The standard type, standard types are returned as they are.
+ */
+export const getBaseColumnType = (type) => {
+    return CUSTOM_COLUMN_TYPES[type] || type;
+}
+
+/**
+ * Returns the value a cell of a custom type is sorted, searched and exported by: the text of rich text without markup,
+ * the values of a multi-select picklist separated by semicolons. Other values are returned as they are.
+ * 
+ * @param {*} value - The field value.
+ * @param {*} columnType - The column type.
+ * 
+ * @returns {*} The underlying value.
+ */
+export const toUnderlyingValue = (value, columnType) => {
+    if (columnType === 'richText' && typeof value === 'string') {
+        return value
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    if (columnType === 'multiPicklist' && Array.isArray(value)) {
+        return value.join(';');
+    }
+    return value;
+}
+
+/**
+ * Completes the columns of custom types: record links without a recordId open the record identified by the key field.
+ * Keys built by a key function are no record IDs, the links then open the record in the Id field.
+ * 
+ * @param {*} columns - The column definitions.
+ * @param {*} keyFieldName - The field holding the row keys.
+ * 
+ * @returns {Array} The column definitions.
+ */
+export const prepareCustomColumns = (columns = [], keyFieldName = 'Id') => {
+    const recordIdField = keyFieldName === ROW_KEY_FIELD ? 'Id' : keyFieldName;
+    return columns.map(column => {
+        if (column.type !== 'recordLink' || column.typeAttributes?.recordId) {
+            return column;
+        }
+        return { ...column, typeAttributes: { ...column.typeAttributes, recordId: { fieldName: recordIdField } } };
+    });
+}
+
+/**
+ * Replaces custom types by their standard type, for tables that cannot render custom types (lightning-tree-grid).
+ * 
+ * @param {*} columns - The column definitions.
+ * 
+ * @returns {Array} The column definitions with standard types.
+ */
+export const toStandardColumns = (columns = []) => {
+    return columns.map(column => (CUSTOM_COLUMN_TYPES[column.type] ? { ...column, type: getBaseColumnType(column.type), typeAttributes: undefined } : column));
+}
+
+// Incremental updates
+
+/**
+ * Updates existing records and appends new ones, matched by key. Records with the same key are merged in order.
+ * 
+ * @param {*} data - The data.
+ * @param {*} records - The changed or new records, changed records may hold only the changed fields.
+ * @param {*} keyField - The field identifying a row.
+ * 
+ * @returns {Array} A new array with the updated records in place and the new records at the end.
+ */
+export const upsertRecords = (data = [], records = [], keyField = 'Id') => {
+    const changes = new Map();
+    records.forEach(record => {
+        const key = record?.[keyField];
+        if (!isEmptyValue(key)) {
+            changes.set(key, { ...changes.get(key), ...record });
+        }
+    });
+    const existingKeys = new Set(data.map(row => row[keyField]));
+    const newRecords = [...changes.values()].filter(record => !existingKeys.has(record[keyField]));
+    return [...mergeRecords(data, [...changes.values()], keyField), ...newRecords];
+}
+
+/**
+ * Removes a field from the given rows, e.g. the highlight of rows that were changed a moment ago.
+ * 
+ * @param {*} data - The data.
+ * @param {*} ids - The keys of the rows to change.
+ * @param {*} fieldName - The field to remove.
+ * @param {*} keyField - The field identifying a row.
+ * 
+ * @returns {Array} A new array, rows without the field are kept as they are.
+ */
+export const removeFieldFromRows = (data = [], ids = [], fieldName, keyField = 'Id') => {
+    const keys = new Set(ids);
+    return data.map(row => {
+        if (!keys.has(row[keyField]) || !(fieldName in row)) {
+            return row;
+        }
+        const copy = { ...row };
+        delete copy[fieldName];
+        return copy;
+    });
+}
+
+/**
+ * Converts a Change Data Capture event received through lightning/empApi into row changes.
+ * Updates hold only the changed fields, gap and overflow events are ignored. Created and undeleted records are reported
+ * by ID only: the payload ignores sharing and the criteria the table was loaded with, so the parent decides whether they belong.
+ * 
+ * @param {*} message - The message received from the empApi subscription.
+ * 
+ * @returns {Object} An object containing:
+ *  - createdIds: IDs of created and undeleted records.
+ *  - updatedRows: Changed fields of updated records, with the record ID in the Id field.
+ *  - removedIds: IDs of deleted records.
+ */
+export const parseChangeEvent = (message) => {
+    const changes = { createdIds: [], updatedRows: [], removedIds: [] };
+    const payload = message?.data?.payload;
+    const header = payload?.ChangeEventHeader;
+    if (!header) {
+        return changes;
+    }
+    const values = {};
+    Object.keys(payload)
+        .filter(fieldName => fieldName !== 'ChangeEventHeader')
+        .forEach(fieldName => {
+            values[fieldName] = payload[fieldName];
+        });
+    (header.nulledFields || []).forEach(fieldName => {
+        values[fieldName] = null;
+    });
+    const recordIds = header.recordIds || [];
+    switch (header.changeType) {
+        case 'CREATE':
+        case 'UNDELETE':
+            changes.createdIds = [...recordIds];
+            break;
+        case 'UPDATE':
+            changes.updatedRows = recordIds.map(recordId => ({ ...values, Id: recordId }));
+            break;
+        case 'DELETE':
+            changes.removedIds = [...recordIds];
+            break;
+        default:
+            break;
+    }
+    return changes;
 }
@@ -0,0 +1,237 @@
+/**
+ * @fileOverview This file builds a minimal Office Open XML workbook (.xlsx) with a single worksheet in the browser,
+ * without third party libraries. The parts are stored uncompressed in a zip container.
+ * 
+ * @author Aman Pathak /Abdul Quadir Kotwala / Ashish Singh
+ * @Date: 9th March 2025
+ * @company Salesforce
+ * @copyright Copyright (c) 2025 Salesforce. All rights reserved.
+ */
+
+const CONTENT_TYPES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>';
+
+const ROOT_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>';
+
+const WORKBOOK_RELS_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+    '</Relationships>';
+
+// Style 1 is used for the bold header row
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+    '</styleSheet>';
+
+let crcTable;
+
+/**
+ * Builds an .xlsx file from a matrix of cell values. The first row is written as a bold header.
+ * Numbers and booleans are written as typed cells, every other value as text.
+ * 
+ * @param {*} matrix - The rows of the worksheet, each an array of cell values.
+ * @param {*} sheetName - The name of the worksheet.
+ * 
+ * @returns {Uint8Array} The content of the .xlsx file.
+ */
+export const buildXlsx = (matrix, sheetName = 'Sheet1') => {
+    const workbookXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(toSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>';
+
+    return buildZip([
+        { name: '[Content_Types].xml', content: CONTENT_TYPES_XML },
+        { name: '_rels/.rels', content: ROOT_RELS_XML },
+        { name: 'xl/workbook.xml', content: workbookXml },
+        { name: 'xl/_rels/workbook.xml.rels', content: WORKBOOK_RELS_XML },
+        { name: 'xl/styles.xml', content: STYLES_XML },
+        { name: 'xl/worksheets/sheet1.xml', content: buildSheetXml(matrix) }
+    ]);
+}
+
+/**
+ * Builds the worksheet part.
+ * 
+ * @param {*} matrix - The rows of the worksheet.
+ * 
+ * @returns {string} The worksheet XML.
+ */
+function buildSheetXml(matrix) {
+    const rowsXml = matrix.map((row, rowIndex) => {
+        const cellsXml = row.map((value, columnIndex) => {
+            const reference = `${toColumnLetters(columnIndex)}${rowIndex + 1}`;
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${reference}"${style}><v>${value}</v></c>`;
+            }
+            if (typeof value === 'boolean') {
+                return `<c r="${reference}"${style} t="b"><v>${value ? 1 : 0}</v></c>`;
+            }
+            if (value == null || value === '') {
+                return '';
+            }
+            return `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+    }).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        `<sheetData>${rowsXml}</sheetData>` +
+        '</worksheet>';
+}
+
+/**
+ * Converts a zero based column index to spreadsheet column letters (0 -> A, 26 -> AA).
+ * 
+ * @param {*} index - The column index.
+ * 
+ * @returns {string} The column letters.
+ */
+function toColumnLetters(index) {
+    let letters = '';
+    let remaining = index + 1;
+    while (remaining > 0) {
+        const modulo = (remaining - 1) % 26;
+        letters = String.fromCharCode(65 + modulo) + letters;
+        remaining = Math.floor((remaining - modulo) / 26);
+    }
+    return letters;
+}
+
+/**
+ * Escapes text for XML and removes the control characters XML does not allow.
+ * 
+ * @param {*} text - The text to escape.
+ * 
+ * @returns {string} The escaped text.
+ */
+function escapeXml(text) {
+    return text
+        // Of the characters below a space only tab, line feed and carriage return are kept
+        .replace(/[^\t\n\r\u0020-\uFFFF]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Makes a worksheet name valid: at most 31 characters and none of \ / ? * [ ] :
+ * 
+ * @param {*} name - The requested name.
+ * 
+ * @returns {string} The valid worksheet name.
+ */
+function toSheetName(name) {
+    return String(name).replace(/[\\/?*[\]:]/g, ' ').trim().slice(0, 31) || 'Sheet1';
+}
+
+/**
+ * Builds a zip archive with the files stored without compression.
+ * 
+ * @param {*} files - The files, each { name, content } with text content.
+ * 
+ * @returns {Uint8Array} The zip archive.
+ */
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034b50, true); // Local file header signature
+        localHeader.setUint16(4, 20, true); // Version needed to extract
+        localHeader.setUint16(6, 0x0800, true); // UTF-8 file names
+        localHeader.setUint16(8, 0, true); // Stored, no compression
+        localHeader.setUint16(10, 0, true); // Modification time
+        localHeader.setUint16(12, 0x21, true); // Modification date (1980-01-01)
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, data.length, true); // Compressed size
+        localHeader.setUint32(22, data.length, true); // Uncompressed size
+        localHeader.setUint16(26, nameBytes.length, true);
+        localHeader.setUint16(28, 0, true); // Extra field length
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014b50, true); // Central directory header signature
+        centralHeader.setUint16(4, 20, true); // Version made by
+        centralHeader.setUint16(6, 20, true); // Version needed to extract
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint16(12, 0, true);
+        centralHeader.setUint16(14, 0x21, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, data.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        centralHeader.setUint32(42, offset, true); // Offset of the local header
+
+        localParts.push(new Uint8Array(localHeader.buffer), nameBytes, data);
+        centralParts.push(new Uint8Array(centralHeader.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const endRecord = new DataView(new ArrayBuffer(22));
+    endRecord.setUint32(0, 0x06054b50, true); // End of central directory signature
+    endRecord.setUint16(8, files.length, true); // Entries on this disk
+    endRecord.setUint16(10, files.length, true); // Total entries
+    endRecord.setUint32(12, centralSize, true);
+    endRecord.setUint32(16, offset, true); // Offset of the central directory
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(endRecord.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Computes the CRC-32 checksum of the data, as required by the zip format.
+ * 
+ * @param {*} data - The bytes to check.
+ * 
+ * @returns {number} The checksum.
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
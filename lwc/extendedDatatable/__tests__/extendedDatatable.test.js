@@ -0,0 +1,29 @@
+import ExtendedDatatable from 'c/extendedDatatable';
+import { prepareCustomColumns, getKeyFieldName } from 'c/dataTableService';
+
+describe('c-extended-datatable', () => {
+    it('registers the custom cell types', () => {
+        expect(Object.keys(ExtendedDatatable.customTypes)).toEqual(['recordLink', 'badge', 'icon', 'progress', 'multiPicklist', 'richText']);
+        expect(ExtendedDatatable.customTypes.recordLink.typeAttributes).toEqual(['recordId', 'objectApiName']);
+        expect(ExtendedDatatable.customTypes.badge.typeAttributes).toEqual(['variants']);
+        expect(ExtendedDatatable.customTypes.icon.typeAttributes).toEqual(['icons', 'iconName', 'size']);
+        expect(ExtendedDatatable.customTypes.progress.typeAttributes).toEqual(['max']);
+    });
+
+    it('renders every custom type with its own template in the standard cell layout', () => {
+        const types = Object.values(ExtendedDatatable.customTypes);
+
+        types.forEach(type => {
+            expect(typeof type.template).toBe('function');
+            expect(type.standardCellLayout).toBe(true);
+        });
+        expect(new Set(types.map(type => type.template)).size).toBe(types.length);
+    });
+
+    it('opens the record in the Id field when the keys come from a key function', () => {
+        const columns = [{ label: 'Name', fieldName: 'Name', type: 'recordLink' }];
+
+        expect(prepareCustomColumns(columns, getKeyFieldName(row => `${row.Id}-${row.Name}`))[0].typeAttributes.recordId).toEqual({ fieldName: 'Id' });
+        expect(prepareCustomColumns(columns, 'ExternalId__c')[0].typeAttributes.recordId).toEqual({ fieldName: 'ExternalId__c' });
+    });
+});
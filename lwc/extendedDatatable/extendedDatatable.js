@@ -0,0 +1,67 @@
+/**
+ * @class ExtendedDatatable
+ * @description A lightning-datatable with extra cell types: recordLink, badge, icon, progress, multiPicklist and richText.
+ * Sorting, searching, filtering and export handle the cells by their underlying value (see dataTableService.getBaseColumnType).
+ * 
+ * @author Aman Pathak /Abdul Quadir Kotwala / Ashish Singh
+ * @Date: 9th March 2025
+ * @company Salesforce
+ * @copyright © 2025 Salesforce. All rights reserved.
+ */
+
+import { api } from 'lwc';
+import LightningDatatable from 'lightning/datatable';
+import recordLinkTemplate from './recordLink.html';
+import badgeTemplate from './badge.html';
+import iconTemplate from './icon.html';
+import progressTemplate from './progress.html';
+import multiPicklistTemplate from './multiPicklist.html';
+import richTextTemplate from './richText.html';
+
+export default class ExtendedDatatable extends LightningDatatable {
+    static customTypes = {
+        // Record name opening the record, typeAttributes: recordId ({ fieldName }, defaults to the key field) and objectApiName
+        recordLink: {
+            template: recordLinkTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['recordId', 'objectApiName']
+        },
+        // Value shown as a badge, typeAttributes: variants, a map of value to success, warning, error, inverse or lightest
+        badge: {
+            template: badgeTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['variants']
+        },
+        // Icon for the value, typeAttributes: icons (map of value to icon name), iconName (fallback), size
+        icon: {
+            template: iconTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['icons', 'iconName', 'size']
+        },
+        // Number shown as a progress bar, typeAttributes: max (defaults to 100)
+        progress: {
+            template: progressTemplate,
+            standardCellLayout: true,
+            typeAttributes: ['max']
+        },
+        // Multi-select picklist values (separated by semicolons, or an array) shown as pills
+        multiPicklist: {
+            template: multiPicklistTemplate,
+            standardCellLayout: true
+        },
+        // Formatted rich text
+        richText: {
+            template: richTextTemplate,
+            standardCellLayout: true
+        }
+    };
+
+    /**
+     * @description Returns the key of the row holding the focused cell. The rows sit in the shadow tree of the datatable,
+     * which the parent component can not reach, and carry their key in the data-row-key-value attribute.
+     * @returns {string} - The row key, undefined when no cell has the focus.
+     */
+    @api getFocusedRowKey() {
+        return this.template.activeElement?.closest('[data-row-key-value]')?.dataset.rowKeyValue;
+    }
+}
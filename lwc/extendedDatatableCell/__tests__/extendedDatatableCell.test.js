@@ -0,0 +1,86 @@
+import { createElement } from 'lwc';
+import ExtendedDatatableCell from 'c/extendedDatatableCell';
+
+const mockGenerateUrl = jest.fn();
+
+// The stub of lightning/navigation always resolves GenerateUrl, this one lets a test refuse it
+jest.mock('lightning/navigation', () => {
+    const Navigate = Symbol('Navigate');
+    const GenerateUrl = Symbol('GenerateUrl');
+    const NavigationMixin = Base => class extends Base {
+        [Navigate]() {}
+        [GenerateUrl](pageReference) {
+            return mockGenerateUrl(pageReference);
+        }
+    };
+    NavigationMixin.Navigate = Navigate;
+    NavigationMixin.GenerateUrl = GenerateUrl;
+    return { NavigationMixin };
+});
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('c-extended-datatable-cell', () => {
+    beforeEach(() => {
+        mockGenerateUrl.mockResolvedValue('/lightning/r/Account/001000000000001AAA/view');
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+    });
+
+    const render = (properties) => {
+        const element = createElement('c-extended-datatable-cell', { is: ExtendedDatatableCell });
+        Object.assign(element, properties);
+        document.body.appendChild(element);
+        return element;
+    };
+
+    it('shows a badge with the variant configured for the value', () => {
+        const element = render({ type: 'badge', value: 'Hot', variants: { Hot: 'error', Cold: 'lightest' } });
+
+        const badge = element.shadowRoot.querySelector('lightning-badge');
+        expect(badge.label).toBe('Hot');
+        expect(badge.className).toBe('slds-theme_error');
+    });
+
+    it('shows multi-select picklist values as pills', () => {
+        const element = render({ type: 'multiPicklist', value: 'Email; Phone;;Chat' });
+
+        const labels = [...element.shadowRoot.querySelectorAll('.slds-pill__label')].map(label => label.textContent);
+        expect(labels).toEqual(['Email', 'Phone', 'Chat']);
+    });
+
+    it('shows the value as a share of max in the progress bar', () => {
+        const element = render({ type: 'progress', value: 150, max: 200 });
+
+        expect(element.shadowRoot.querySelector('lightning-progress-bar').value).toBe(75);
+    });
+
+    it('links to the URL of the record', async () => {
+        const element = render({ type: 'recordLink', value: 'Acme', recordId: '001000000000001AAA' });
+        await flushPromises();
+
+        expect(mockGenerateUrl).toHaveBeenCalledWith({ type: 'standard__recordPage', attributes: { recordId: '001000000000001AAA', actionName: 'view' } });
+        expect(element.shadowRoot.querySelector('a').getAttribute('href')).toBe('/lightning/r/Account/001000000000001AAA/view');
+    });
+
+    it('keeps a link without URL when the URL cannot be generated', async () => {
+        mockGenerateUrl.mockRejectedValue(new Error('No access to the record'));
+        const element = render({ type: 'recordLink', value: 'Acme', recordId: '001000000000001AAA' });
+        await flushPromises();
+
+        const link = element.shadowRoot.querySelector('a');
+        expect(link.textContent).toBe('Acme');
+        expect(link.getAttribute('href')).toBeNull();
+    });
+
+    it('falls back to text for a record link without a record ID', () => {
+        const element = render({ type: 'recordLink', value: 'Acme' });
+
+        expect(element.shadowRoot.querySelector('a')).toBeNull();
+        expect(element.shadowRoot.querySelector('span').textContent).toBe('Acme');
+    });
+});
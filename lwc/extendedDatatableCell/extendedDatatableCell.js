@@ -0,0 +1,169 @@
+/**
+ * @class ExtendedDatatableCell
+ * @description Renders a cell of a custom type of c/extendedDatatable. Record links navigate with the NavigationMixin.
+ * 
+ * @author Aman Pathak /Abdul Quadir Kotwala / Ashish Singh
+ * @Date: 9th March 2025
+ * @company Salesforce
+ * @copyright © 2025 Salesforce. All rights reserved.
+ */
+
+import { LightningElement, api } from 'lwc';
+import { NavigationMixin } from 'lightning/navigation';
+
+const BADGE_CLASSES = {
+    success: 'slds-theme_success',
+    warning: 'slds-theme_warning',
+    error: 'slds-theme_error',
+    inverse: 'slds-badge_inverse',
+    lightest: 'slds-badge_lightest'
+};
+const DEFAULT_PROGRESS_MAX = 100;
+
+export default class ExtendedDatatableCell extends NavigationMixin(LightningElement) {
+    @api type; // recordLink, badge, icon, progress or multiPicklist
+    @api value;
+    @api objectApiName;
+    @api variants; // Badge variant by value
+    @api icons; // Icon name by value
+    @api iconName;
+    @api size = 'x-small';
+    @api max;
+    url;
+    _recordId;
+
+    /**
+     * @description Getter for the ID of the record the link opens.
+     * @returns {string} - The record ID.
+     */
+    @api get recordId() {
+        return this._recordId;
+    }
+
+    /**
+     * @description Setter for the ID of the record the link opens. Generates the URL shown when hovering the link.
+     * @param {string} value - The record ID.
+     */
+    set recordId(value) {
+        this._recordId = value;
+        this.url = undefined;
+        if (value) {
+            this[NavigationMixin.GenerateUrl](this.recordPageReference)
+                .then(url => {
+                    if (this._recordId === value) {
+                        this.url = url;
+                    }
+                })
+                .catch(() => {
+                    // The link still navigates on click, it only shows no URL on hover
+                });
+        }
+    }
+
+    /**
+     * @description Returns the page reference of the linked record.
+     * @returns {Object} - A standard__recordPage page reference.
+     */
+    get recordPageReference() {
+        return {
+            type: 'standard__recordPage',
+            attributes: { recordId: this._recordId, objectApiName: this.objectApiName, actionName: 'view' }
+        };
+    }
+
+    /**
+     * @description Checks if the cell is a link to a record.
+     * @returns {boolean} - Returns true for record links with a record ID.
+     */
+    get isRecordLink() {
+        return this.type === 'recordLink' && Boolean(this._recordId);
+    }
+
+    /**
+     * @description Checks if the cell is a badge.
+     * @returns {boolean} - Returns true for badges with a value.
+     */
+    get isBadge() {
+        return this.type === 'badge' && this.hasValue;
+    }
+
+    /**
+     * @description Checks if the cell is an icon.
+     * @returns {boolean} - Returns true if an icon is configured for the value.
+     */
+    get isIcon() {
+        return this.type === 'icon' && Boolean(this.resolvedIconName);
+    }
+
+    /**
+     * @description Checks if the cell is a progress bar.
+     * @returns {boolean} - Returns true for progress cells with a value.
+     */
+    get isProgress() {
+        return this.type === 'progress' && this.hasValue;
+    }
+
+    /**
+     * @description Checks if the cell shows multi-select picklist values.
+     * @returns {boolean} - Returns true for multiPicklist cells.
+     */
+    get isMultiPicklist() {
+        return this.type === 'multiPicklist';
+    }
+
+    /**
+     * @description Checks if the cell has a value.
+     * @returns {boolean} - Returns true if the value is not empty.
+     */
+    get hasValue() {
+        return this.value != null && this.value !== '';
+    }
+
+    /**
+     * @description Returns the class of the badge from the variant configured for the value.
+     * @returns {string} - The SLDS badge theme class, empty for the default badge.
+     */
+    get badgeClass() {
+        return BADGE_CLASSES[this.variants?.[this.value]] || '';
+    }
+
+    /**
+     * @description Returns the icon configured for the value, or the fallback icon.
+     * @returns {string} - The icon name, e.g. utility:warning.
+     */
+    get resolvedIconName() {
+        return this.icons?.[this.value] || this.iconName;
+    }
+
+    /**
+     * @description Returns the value as a percentage of max, limited to 0 - 100.
+     * @returns {number} - The progress bar value.
+     */
+    get progressValue() {
+        const max = Number(this.max) || DEFAULT_PROGRESS_MAX;
+        const progress = (Number(this.value) / max) * 100;
+        return Number.isFinite(progress) ? Math.min(Math.max(progress, 0), 100) : 0;
+    }
+
+    /**
+     * @description Splits the multi-select picklist value into pills.
+     * @returns {Array} - Items with key and label.
+     */
+    get pills() {
+        const values = Array.isArray(this.value) ? this.value : String(this.value ?? '').split(';');
+        return values
+            .map(value => String(value).trim())
+            .filter(value => value)
+            .map((label, index) => ({ key: `${index}-${label}`, label }));
+    }
+
+    /**
+     * @description Opens the linked record.
+     * @param {Event} event - The click event of the link.
+     */
+    handleNavigate(event) {
+        event.preventDefault();
+        event.stopPropagation();
+        this[NavigationMixin.Navigate](this.recordPageReference);
+    }
+}
@@ -0,0 +1,53 @@
+import { loadColumns, createRecordProvider, flattenRecord } from 'c/recordTableAdapter';
+import getColumns from '@salesforce/apex/RecordTableController.getColumns';
+import getRecords from '@salesforce/apex/RecordTableController.getRecords';
+import { buildPageRequest, SearchSyntaxError } from 'c/dataTableService';
+
+jest.mock('@salesforce/apex/RecordTableController.getColumns', () => ({ default: jest.fn() }), { virtual: true });
+jest.mock('@salesforce/apex/RecordTableController.getRecords', () => ({ default: jest.fn() }), { virtual: true });
+
+describe('c-record-table-adapter', () => {
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('builds editable columns for updateable fields and applies overrides', async () => {
+        getColumns.mockResolvedValue([
+            { label: 'Account Name', fieldName: 'Name', type: 'text', sortable: true, updateable: true },
+            { label: 'Owner Full Name', fieldName: 'Owner.Name', type: 'text', sortable: true, updateable: false }
+        ]);
+
+        const columns = await loadColumns({
+            objectApiName: 'Account',
+            fieldNames: ['Name', 'Owner.Name'],
+            editable: true,
+            columnOverrides: { Name: { validation: { required: true } } }
+        });
+
+        expect(getColumns).toHaveBeenCalledWith({ objectApiName: 'Account', fieldSetName: undefined, fieldNames: ['Name', 'Owner.Name'] });
+        expect(columns[0]).toEqual({ label: 'Account Name', fieldName: 'Name', type: 'text', sortable: true, editable: true, validation: { required: true } });
+        expect(columns[1].editable).toBe(false);
+    });
+
+    it('maps the page request of the table to the Apex request and flattens related fields', async () => {
+        getRecords.mockResolvedValue({ records: [{ Id: '001', Name: 'Acme', Owner: { Name: 'Ann' } }], totalCount: 1, isTotalCountCapped: false, hasMore: false });
+        const provider = createRecordProvider({ objectApiName: 'Account', fieldSetName: 'Table' });
+
+        const page = await provider({ offset: 15, pageSize: 15, sortedBy: 'Name', sortedDirection: 'asc', sortBy: [], searchTerms: ['acme'], columnFilters: [] });
+
+        expect(getRecords.mock.calls[0][0].request).toMatchObject({ objectApiName: 'Account', fieldSetName: 'Table', offsetSize: 15, pageSize: 15, searchTerms: ['acme'] });
+        expect(page).toEqual({ records: [{ Id: '001', Name: 'Acme', Owner: { Name: 'Ann' }, 'Owner.Name': 'Ann' }], totalCount: 1, isTotalCountCapped: false, hasMore: false });
+    });
+
+    it('rejects searches using the query language without calling Apex', async () => {
+        const provider = createRecordProvider({ objectApiName: 'Account', fieldNames: ['Name', 'Type'] });
+        const request = buildPageRequest({ offset: 0, pageSize: 15, searchValue: 'Type:Customer', searchableFields: ['Name', 'Type'] });
+
+        await expect(provider(request)).rejects.toBeInstanceOf(SearchSyntaxError);
+        expect(getRecords).not.toHaveBeenCalled();
+    });
+
+    it('flattens nested relationships', () => {
+        expect(flattenRecord({ Id: '1', Account: { Owner: { Name: 'Ann' } } })['Account.Owner.Name']).toBe('Ann');
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileOverview This file connects advancedDataTable to the generic RecordTableController, so a table on any object
+ * only needs an object API name and a field set or field list, no new Apex.
+ * 
+ * @author Aman Pathak /Abdul Quadir Kotwala / Ashish Singh
+ * @Date: 9th March 2025
+ * @company Salesforce
+ * @copyright Copyright (c) 2025 Salesforce. All rights reserved.
+ */
+
+import getColumns from '@salesforce/apex/RecordTableController.getColumns';
+import getRecords from '@salesforce/apex/RecordTableController.getRecords';
+import SEARCH_QUERY_UNSUPPORTED from '@salesforce/label/c.AdvancedDataTable_SearchQueryUnsupported';
+import { SearchSyntaxError } from 'c/dataTableService';
+
+/**
+ * Loads the table columns of an object, with labels and types from the field describe.
+ * 
+ * @param {*} config - The table configuration:
+ *  - objectApiName: API name of the object, e.g. Account.
+ *  - fieldSetName: Field set listing the fields, takes precedence over fieldNames.
+ *  - fieldNames: Field API names, relationship fields such as Owner.Name are supported. They have to be listed in the
+ *    RecordTableAllowedFields__mdt custom metadata of the object.
+ *  - editable: True to make the columns of updateable fields editable.
+ *  - columnOverrides: Extra column properties by field name, e.g. { Phone: { validation: { required: true } } }.
+ * 
+ * @returns {Promise} Resolves with the columns for advancedDataTable.
+ */
+export const loadColumns = (config) => {
+    return getColumns({
+        objectApiName: config.objectApiName,
+        fieldSetName: config.fieldSetName,
+        fieldNames: config.fieldNames
+    }).then(columns => columns.map(column => ({
+        label: column.label,
+        fieldName: column.fieldName,
+        type: column.type,
+        sortable: column.sortable,
+        editable: Boolean(config.editable && column.updateable),
+        ...(config.columnOverrides?.[column.fieldName] || {})
+    })));
+}
+
+/**
+ * Creates a pageProvider for the remote data mode of advancedDataTable. The controller searches for the comma separated
+ * terms only, searches using the query language (field terms, AND/OR, NOT, quotes) are rejected with a SearchSyntaxError.
+ * 
+ * @param {*} config - The table configuration: objectApiName, fieldSetName and fieldNames, as for loadColumns.
+ * 
+ * @returns {Function} The provider, it takes the page request of the table and resolves with { records, totalCount, isTotalCountCapped, hasMore }.
+ */
+export const createRecordProvider = (config) => {
+    return (request) => (request.searchQuery && request.searchQuery.type !== 'list' ?
+        Promise.reject(new SearchSyntaxError(SEARCH_QUERY_UNSUPPORTED, 0)) :
+        fetchRecords(config, request));
+}
+
+/**
+ * Reads one page of records through RecordTableController.getRecords.
+ * 
+ * @param {*} config - The table configuration given to createRecordProvider.
+ * @param {*} request - The page request of the table.
+ * 
+ * @returns {Promise} Resolves with { records, totalCount, isTotalCountCapped, hasMore }.
+ */
+function fetchRecords(config, request) {
+    return getRecords({
+        request: {
+            objectApiName: config.objectApiName,
+            fieldSetName: config.fieldSetName,
+            fieldNames: config.fieldNames,
+            offsetSize: request.offset,
+            pageSize: request.pageSize,
+            sortedBy: request.sortedBy,
+            sortedDirection: request.sortedDirection,
+            sortBy: request.sortBy,
+            searchTerms: request.searchTerms,
+            columnFilters: request.columnFilters
+        }
+    }).then(page => ({
+        records: (page.records || []).map(record => flattenRecord(record)),
+        totalCount: page.totalCount,
+        isTotalCountCapped: page.isTotalCountCapped === true,
+        hasMore: page.hasMore
+    }));
+}
+
+/**
+ * Adds the values of related records as flat fields, e.g. { Owner: { Name: 'Ann' } } also gets 'Owner.Name': 'Ann',
+ * because lightning-datatable reads the column fieldName as a plain key.
+ * 
+ * @param {*} record - The record returned by Apex.
+ * @param {*} prefix - The relationship path of a related record.
+ * @param {*} target - The flat record being built.
+ * 
+ * @returns {Object} The record with the related fields flattened.
+ */
+export const flattenRecord = (record, prefix = '', target = { ...record }) => {
+    Object.keys(record).forEach(key => {
+        const value = record[key];
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            flattenRecord(value, path, target);
+        } else if (prefix) {
+            target[path] = value;
+        }
+    });
+    return target;
+}